@@ -0,0 +1,30 @@
+const AWS = require("aws-sdk");
+require("dotenv").config();
+
+const s3 = new AWS.S3({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION,
+});
+
+// Deletes object keys (as returned by uploadToS3) in batches of 1000.
+// Returns the keys S3 reported as failed.
+const deleteFromS3 = async (keys) => {
+  const unique = [...new Set((keys || []).filter(Boolean))];
+  const failed = [];
+
+  for (let i = 0; i < unique.length; i += 1000) {
+    const batch = unique.slice(i, i + 1000);
+    const res = await s3
+      .deleteObjects({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: true },
+      })
+      .promise();
+    failed.push(...(res.Errors || []).map((e) => e.Key));
+  }
+
+  return failed;
+};
+
+module.exports = deleteFromS3;
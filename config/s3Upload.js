@@ -1,4 +1,5 @@
 const AWS = require("aws-sdk");
+const path = require("path");
 const { v4: uuidv4 } = require("uuid");
 require("dotenv").config();
 
@@ -8,19 +9,26 @@ const s3 = new AWS.S3({
   region: process.env.AWS_REGION,
 });
 
-// Uploads the file and returns the S3 object key (not public URL)
-const uploadToS3 = async (fileBuffer, fileName, mimeType) => {
-  const key = `${uuidv4()}-${fileName}`;
+// only the extension of the client's file name is kept, never the name itself
+const safeExtension = (fileName) => {
+  const ext = path.extname(fileName || "").toLowerCase();
+  return /^\.[a-z0-9]{1,8}$/.test(ext) ? ext : "";
+};
+
+// Uploads the file and returns the S3 object key (not public URL).
+// `key` defaults to a random one.
+const uploadToS3 = async (fileBuffer, fileName, mimeType, key) => {
+  const objectKey = key || `${uuidv4()}${safeExtension(fileName)}`;
   const uploadParams = {
     Bucket: process.env.S3_BUCKET_NAME,
-    Key: key,
+    Key: objectKey,
     Body: fileBuffer,
     ContentType: mimeType,
     CacheControl: "public, max-age=31536000, immutable", // 🔥 ADD THIS
   };
 
   await s3.upload(uploadParams).promise();
-  return key; // Return object key instead of public URL
+  return objectKey; // Return object key instead of public URL
 };
 
 module.exports = uploadToS3;
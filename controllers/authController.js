@@ -1,8 +1,51 @@
 // controllers/authController.js
 const pool = require("../config/db");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const generatePresignedUrl = require("../config/generatePresignedUrl");
+const {
+  getClientIp,
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/sessionService");
+const {
+  getDomainPolicy,
+  checkUniversityEmail,
+  isEmailVerificationTokenValid,
+} = require("../services/universityDomainService");
+const {
+  consumeResetToken,
+  sendPasswordChangedEmail,
+} = require("../services/passwordResetService");
+const {
+  createChallenge,
+  getChallengeUserId,
+  completeChallenge,
+  sendSmsFallbackCode,
+  isSetupRequired: isTwoFactorSetupRequired,
+} = require("../services/twoFactorService");
+const { ACCOUNT_ROLES, getUserRoles } = require("../services/roleService");
+const { normalizeLocale, localeFromRequest } = require("../services/mail");
+const {
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottled,
+} = require("../services/loginThrottle");
+const { OTP_MESSAGES } = require("../services/otp");
+const { reactivateAccount } = require("../services/accountDeletionService");
+const { generateHandle } = require("../services/handleService");
+const notify = require("../routes/notify");
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Same answer for unknown email and wrong password (no account enumeration)
+const INVALID_CREDENTIALS = { msg: "Invalid email or password" };
+// compared against when the email is unknown so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("aroundu-no-such-user", 10);
 
 // REGISTER CONTROLLER
 const registerUser = async (req, res) => {
@@ -24,6 +67,13 @@ let lastName = (body.lastName || body.last_name || "").trim();
     const specialization = body.specialization || null;
     const blogLink = (body.blogLink || body.blog_link || "").trim() || null;
 
+    // Account type is self-chosen: never a staff role
+    if (!ACCOUNT_ROLES.includes(userType)) {
+      return res.status(400).json({
+        msg: `userType must be one of: ${ACCOUNT_ROLES.join(", ")}`,
+      });
+    }
+
     // Professors must have blog link
     if (userType === "professor" && !blogLink) {
       return res
@@ -46,35 +96,43 @@ let lastName = (body.lastName || body.last_name || "").trim();
     }
 
     // 🔒 Validate university + email domain (SOURCE OF TRUTH)
-if (!university) {
-  return res.status(400).json({ msg: "University is required" });
-}
-
-// const uniResult = await query(
-//   "SELECT domain FROM universities WHERE name = $1 LIMIT 1",
-//   [university]
-// );
-
-// if (!uniResult.rows.length) {
-//   return res.status(400).json({ msg: "Invalid university selected" });
-// }
-
-// const allowedDomain = uniResult.rows[0].domain.toLowerCase();
-// const emailDomain = emailLower.split("@")[1];
-
-// if (!emailDomain || emailDomain !== allowedDomain) {
-//   return res.status(400).json({
-//     msg: `Email must end with @${allowedDomain}`,
-//   });
-// }
+    if (!university) {
+      return res.status(400).json({ msg: "University is required" });
+    }
 
+    const domainPolicy = getDomainPolicy();
+    let verifiedStudent = false;
+
+    if (domainPolicy !== "off") {
+      const domainCheck = await checkUniversityEmail(emailLower, university);
+
+      if (!domainCheck.universityFound) {
+        return res.status(400).json({ msg: "Invalid university selected" });
+      }
+
+      if (domainPolicy === "strict" && !domainCheck.matched) {
+        return res.status(400).json({
+          msg: domainCheck.domains.length
+            ? `Email must end with @${domainCheck.domains.join(" or @")}`
+            : "This university does not accept registrations yet",
+        });
+      }
+
+      // verified only if the email was proven via /api/AuthOtp/verify-otp
+      verifiedStudent =
+        domainCheck.matched &&
+        isEmailVerificationTokenValid(
+          body.emailVerificationToken || body.email_verification_token,
+          emailLower,
+        );
+    }
 
     const hashed = await bcrypt.hash(password, 10);
 
     // 🔴 Make sure your users table has these columns:
     // first_name, last_name, email, password, gender, user_type, dob,
     // university, interests, course, duration, specialization,
-    // blog_link, verified
+    // blog_link, verified, verified_student (migrations/002)
     const result = await pool.query(
       `
       INSERT INTO users (
@@ -91,9 +149,16 @@ if (!university) {
         duration,
         specialization,
         blog_link,
-        verified
+        verified,
+        verified_student,
+        student_verified_at,
+        locale,
+        handle
       ) VALUES (
-        $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14
+        $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,
+        CASE WHEN $15 THEN now() END,
+        $16,
+        $17
       )
       RETURNING
         id,
@@ -104,7 +169,8 @@ if (!university) {
         course,
         user_type,
         blog_link,
-        verified
+        verified,
+        verified_student
       `,
       [
         firstName,
@@ -121,25 +187,21 @@ if (!university) {
         specialization || null,
         blogLink, // can be null
         false, // verified default
+        verifiedStudent,
+        normalizeLocale(body.locale) || localeFromRequest(req), // email language
+        await generateHandle(firstName, lastName), // @handle, changeable in settings
       ]
     );
 
     const user = result.rows[0];
 
-    const token = jwt.sign(
-      {
-        id: user.id,
-        university: user.university,
-        course: user.course,
-        user_type:user.user_type,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+    const { token, refreshToken } = await createSession(user, req);
 
     return res.status(201).json({
       msg: "User registered",
       token,
+      refreshToken,
+      verified_student: user.verified_student,
       // user: {
       //   id: user.id,
       //   first_name: user.first_name,
@@ -161,6 +223,64 @@ if (!university) {
 };
 
 
+// Shared by password login and 2FA verification:
+// opens a device session and returns the login payload
+const sendLoginSuccess = async (user, req, res) => {
+  // Get signed profile URL if exists
+  let profileurl = null;
+  try {
+    profileurl = user.profile
+      ? await generatePresignedUrl(user.profile)
+      : null;
+  } catch (e) {
+    profileurl = null;
+  }
+
+  // signing in undoes deactivation and cancels a scheduled deletion
+  const reactivated = user.deactivated_at
+    ? await reactivateAccount(user.id)
+    : false;
+
+  // 🔥 STORE FULL USER DATA IN TOKEN (bound to a new device session)
+  const { token, refreshToken, sessionId } = await createSession(user, req);
+
+  // 🔔 security alert on every other device / in the notification list
+  await notify(req.app && req.app.get && req.app.get("io"), {
+    toUserId: user.id,
+    type: "new_sign_in",
+    entityId: sessionId,
+    entityType: "session",
+    data: {
+      ip: getClientIp(req),
+      user_agent: req.get("user-agent") || null,
+    },
+  });
+
+  // staff roles may require 2FA; tell the client to send the user to setup
+  const roles = await getUserRoles(user.id);
+  const twoFactorSetupRequired = await isTwoFactorSetupRequired(user.id, roles);
+
+  res.json({
+    token,
+    refreshToken,
+    two_factor_setup_required: twoFactorSetupRequired,
+    reactivated,
+    user: {
+      id: user.id,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      email: user.email,
+      user_type: user.user_type,
+      roles,
+      profile: profileurl,
+      university: user.university,
+      course: user.course,
+      location: user.location,
+      verified_student: user.verified_student,
+    },
+  });
+};
+
 // LOGIN CONTROLLER
 const loginUser = async (req, res) => {
   try {
@@ -173,90 +293,161 @@ const loginUser = async (req, res) => {
     // Normalize email
     const emailLower = email.toLowerCase().trim();
 
+    // 🛑 progressive delay / lockout per account and per IP
+    const throttleIds = { account: emailLower, ip: getClientIp(req) };
+    const throttle = await checkThrottle("login", throttleIds);
+    if (!throttle.allowed) return sendThrottled(res, throttle);
+
     const result = await pool.query("SELECT * FROM users WHERE email = $1", [
       emailLower,
     ]);
     const user = result.rows[0];
 
-    if (!user) return res.status(404).json({ msg: "User not found" });
+    const valid = await bcrypt.compare(
+      password,
+      user ? user.password : DUMMY_PASSWORD_HASH,
+    );
+    if (!user || !valid) {
+      await recordFailure("login", throttleIds);
+      return res.status(401).json(INVALID_CREDENTIALS);
+    }
+
+    await clearFailures("login", emailLower);
 
-    const valid = await bcrypt.compare(password, user.password);
-    if (!valid) return res.status(401).json({ msg: "Incorrect password" });
-
-    // Get signed profile URL if exists
-    let profileurl = null;
-    try {
-      profileurl = user.profile
-        ? await generatePresignedUrl(user.profile)
-        : null;
-    } catch (e) {
-      profileurl = null;
+    // 🔐 2FA on: no session yet, client must POST /api/auth/2fa/verify
+    if (user.totp_enabled) {
+      // re-entering the password doesn't reset the 2FA code budget
+      const twoFactorThrottle = await checkThrottle("2fa", { account: user.id });
+      if (!twoFactorThrottle.allowed) {
+        return sendThrottled(res, twoFactorThrottle);
+      }
+
+      const challenge = await createChallenge(user.id);
+      return res.json({ status: "2fa_required", ...challenge });
     }
 
-    // 🔥 STORE FULL USER DATA IN TOKEN
-const token = jwt.sign(
-  {
-    id: user.id,
-    user_type: user.user_type,
-    university: user.university,
-    course: user.course,
-  },
-  process.env.JWT_SECRET,
-  { expiresIn: "7d" }
-);
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        email: user.email,
-        user_type: user.user_type,
-        profile: profileurl,
-        university: user.university,
-        course: user.course,
-        location: user.location,
-      },
-    });
+    await sendLoginSuccess(user, req, res);
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ msg: "Login failed", error: err.message });
   }
 };
 
+// 2FA LOGIN CONTROLLER (exchange challengeToken + TOTP/backup code)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ msg: "challengeToken and code are required" });
+    }
+
+    const ip = getClientIp(req);
+    const throttle = await checkThrottle("2fa", { ip });
+    if (!throttle.allowed) return sendThrottled(res, throttle);
+
+    const result = await completeChallenge(challengeToken, code);
+    if (!result.ok) {
+      await recordFailure("2fa", { account: result.userId, ip });
+      return res.status(401).json({
+        msg:
+          result.reason === "invalid_code"
+            ? "Invalid authentication code"
+            : "Login challenge expired. Please sign in again",
+        code: result.reason,
+      });
+    }
+
+    await clearFailures("2fa", result.userId);
+
+    const userRes = await pool.query("SELECT * FROM users WHERE id = $1", [
+      result.userId,
+    ]);
+    const user = userRes.rows[0];
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    await sendLoginSuccess(user, req, res);
+  } catch (err) {
+    console.error("2FA verify error:", err);
+    res.status(500).json({ msg: "Login failed", error: err.message });
+  }
+};
+
+// 2FA SMS FALLBACK (text a code to the verified phone for this challenge)
+const sendTwoFactorSms = async (req, res) => {
+  try {
+    const { challengeToken } = req.body;
+    if (!challengeToken) {
+      return res.status(400).json({ msg: "challengeToken is required" });
+    }
+
+    const userId = await getChallengeUserId(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        msg: "Login challenge expired. Please sign in again",
+        code: "invalid_challenge",
+      });
+    }
+
+    const sent = await sendSmsFallbackCode(userId, getClientIp(req));
+    if (!sent.ok) {
+      if (sent.reason === "no_phone") {
+        return res
+          .status(400)
+          .json({ msg: "No verified phone number on this account", code: "no_phone" });
+      }
+      res.set("Retry-After", String(sent.retryAfterSeconds));
+      return res.status(429).json({
+        msg: OTP_MESSAGES[sent.reason],
+        retryAfter: sent.retryAfterSeconds,
+      });
+    }
+
+    res.json({ msg: "Code sent", sentTo: sent.sentTo });
+  } catch (err) {
+    console.error("2FA SMS error:", err);
+    res.status(500).json({ msg: "Failed to send code", error: err.message });
+  }
+};
+
 // RESET PASSWORD CONTROLLER
+// Requires the one-time resetToken from /api/forgot-password/verify-otp
 const resetPassword = async (req, res) => {
   try {
-    const { email, password, confirmPassword } = req.body;
+    const { resetToken, password, confirmPassword } = req.body;
 
     // Validate input
-    if (!email || !password || !confirmPassword) {
+    if (!resetToken || !password || !confirmPassword) {
       return res.status(400).json({ msg: "All fields are required" });
     }
     if (password !== confirmPassword) {
       return res.status(400).json({ msg: "Passwords do not match" });
     }
 
-    // 🔽 Normalize email
-    const emailLower = email.toLowerCase().trim();
-
-    // Check if user exists
-    const result = await pool.query("SELECT * FROM users WHERE email = $1", [
-      emailLower,
-    ]);
-    const user = result.rows[0];
-    if (!user) {
-      return res.status(404).json({ msg: "User not found" });
+    // Burn the token first so it can never be replayed
+    const userId = await consumeResetToken(resetToken);
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ msg: "Reset link is invalid or has expired" });
     }
 
     // Hash new password
     const hashed = await bcrypt.hash(password, 10);
 
     // Update password in DB
-    await pool.query("UPDATE users SET password = $1 WHERE email = $2", [
-      hashed,
-      emailLower,
-    ]);
+    const result = await pool.query(
+      "UPDATE users SET password = $1 WHERE id = $2 RETURNING email",
+      [hashed, userId]
+    );
+    const user = result.rows[0];
+    if (!user) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    // Kill every existing session (stolen device, old tokens)
+    await revokeAllSessions(userId, "password_reset");
+    await sendPasswordChangedEmail(user.email, userId);
 
     res.json({ msg: "Password reset successfully" });
   } catch (err) {
@@ -281,6 +472,7 @@ const checkEmailExists = async (req, res) => {
       emailLower,
     ]);
 
+    // (rate limited per IP in routes/authRoutes.js)
     if (result.rows.length > 0) {
       return res.json({ exists: true, msg: "Email already registered" });
     } else {
@@ -292,9 +484,109 @@ const checkEmailExists = async (req, res) => {
   }
 };
 
+// REFRESH TOKEN CONTROLLER (rotates the refresh token)
+const refreshToken = async (req, res) => {
+  try {
+    const token = (req.body && req.body.refreshToken) || "";
+
+    if (!token) {
+      return res.status(400).json({ msg: "Refresh token is required" });
+    }
+
+    const session = await rotateSession(token, req);
+    if (!session) {
+      return res
+        .status(401)
+        .json({ msg: "Invalid or expired refresh token", code: "session_revoked" });
+    }
+
+    res.json({ token: session.token, refreshToken: session.refreshToken });
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    res.status(500).json({ msg: "Token refresh failed", error: err.message });
+  }
+};
+
+// LOGOUT CONTROLLER (current device, or every device with { all: true })
+const logoutUser = async (req, res) => {
+  try {
+    if (req.body && req.body.all === true) {
+      await revokeAllSessions(req.user.id, "logout_all");
+    } else {
+      await revokeSession(req.user.sid, "logout", req.user.id);
+    }
+
+    res.json({ msg: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ msg: "Logout failed", error: err.message });
+  }
+};
+
+// LIST ACTIVE DEVICE SESSIONS
+const listUserSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map((s) => ({
+        ...s,
+        current: s.id === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ msg: "Failed to fetch sessions", error: err.message });
+  }
+};
+
+// REVOKE ONE DEVICE SESSION
+const revokeUserSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!UUID_RE.test(sessionId || "")) {
+      return res.status(400).json({ msg: "Invalid session id" });
+    }
+
+    const revoked = await revokeSession(sessionId, "revoked_by_user", req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ msg: "Session not found" });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    res.status(500).json({ msg: "Failed to revoke session", error: err.message });
+  }
+};
+
+// REVOKE EVERY OTHER DEVICE SESSION
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(
+      req.user.id,
+      "revoked_by_user",
+      req.user.sid,
+    );
+
+    res.json({ success: true, revoked: revoked.length });
+  } catch (err) {
+    console.error("Revoke other sessions error:", err);
+    res.status(500).json({ msg: "Failed to revoke sessions", error: err.message });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
+  sendTwoFactorSms,
   resetPassword,
   checkEmailExists,
+  refreshToken,
+  logoutUser,
+  listUserSessions,
+  revokeUserSession,
+  revokeOtherSessions,
 };
@@ -0,0 +1,130 @@
+// controllers/twoFactorController.js
+// TOTP 2FA enrollment / management for the logged-in user.
+const pool = require("../config/db");
+const bcrypt = require("bcryptjs");
+const {
+  startEnrollment,
+  confirmEnrollment,
+  disable,
+  verifySecondFactor,
+  replaceBackupCodes,
+  getStatus,
+  isSetupRequired,
+} = require("../services/twoFactorService");
+const { getUserRoles } = require("../services/roleService");
+
+// GET /api/auth/2fa
+const twoFactorStatus = async (req, res) => {
+  try {
+    const status = await getStatus(req.user.id);
+    if (!status) return res.status(404).json({ msg: "User not found" });
+
+    const roles = await getUserRoles(req.user.id);
+    res.json({
+      enabled: status.totp_enabled,
+      enabled_at: status.totp_enabled_at,
+      backup_codes_left: status.backup_codes_left,
+      required_by_role: await isSetupRequired(req.user.id, roles),
+    });
+  } catch (err) {
+    console.error("2FA status error:", err);
+    res.status(500).json({ msg: "Failed to fetch 2FA status", error: err.message });
+  }
+};
+
+// POST /api/auth/2fa/setup -> { secret, otpauthUri }
+const setupTwoFactor = async (req, res) => {
+  try {
+    const enrollment = await startEnrollment(req.user.id);
+    if (!enrollment) return res.status(404).json({ msg: "User not found" });
+    if (enrollment.alreadyEnabled) {
+      return res.status(400).json({ msg: "Two-factor authentication is already enabled" });
+    }
+
+    res.json(enrollment);
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ msg: "Failed to start 2FA setup", error: err.message });
+  }
+};
+
+// POST /api/auth/2fa/confirm { code } -> { backupCodes }
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ msg: "Code is required" });
+
+    const backupCodes = await confirmEnrollment(req.user.id, code);
+    if (!backupCodes) {
+      return res.status(400).json({ msg: "Invalid code. Start setup again if this keeps failing" });
+    }
+
+    res.json({ enabled: true, backupCodes });
+  } catch (err) {
+    console.error("2FA confirm error:", err);
+    res.status(500).json({ msg: "Failed to enable 2FA", error: err.message });
+  }
+};
+
+// POST /api/auth/2fa/disable { password, code }
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ msg: "Password and code are required" });
+    }
+
+    const userRes = await pool.query("SELECT password FROM users WHERE id = $1", [
+      req.user.id,
+    ]);
+    const user = userRes.rows[0];
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) return res.status(401).json({ msg: "Incorrect password" });
+
+    const validCode = await verifySecondFactor(req.user.id, code);
+    if (!validCode) return res.status(401).json({ msg: "Invalid authentication code" });
+
+    // can't opt out while one of your roles requires it
+    const roles = await getUserRoles(req.user.id);
+    const { rows } = await pool.query(
+      "SELECT 1 FROM role_2fa_policies WHERE required = true AND role = ANY($1::text[]) LIMIT 1",
+      [roles],
+    );
+    if (rows.length) {
+      return res.status(403).json({ msg: "Two-factor authentication is required for your role" });
+    }
+
+    await disable(req.user.id);
+    res.json({ enabled: false });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ msg: "Failed to disable 2FA", error: err.message });
+  }
+};
+
+// POST /api/auth/2fa/backup-codes { code } -> { backupCodes } (old ones stop working)
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ msg: "Code is required" });
+
+    const valid = await verifySecondFactor(req.user.id, code);
+    if (!valid) return res.status(401).json({ msg: "Invalid authentication code" });
+
+    const backupCodes = await replaceBackupCodes(req.user.id);
+    res.json({ backupCodes });
+  } catch (err) {
+    console.error("2FA backup codes error:", err);
+    res.status(500).json({ msg: "Failed to regenerate backup codes", error: err.message });
+  }
+};
+
+module.exports = {
+  twoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
@@ -6,6 +6,13 @@ const express = require("express");
 const cors = require("cors");
 const http = require("http");
 const { Server } = require("socket.io");
+const { socketAuth, onAuthenticatedConnection } = require("./middlewares/socketAuth");
+const { setIo } = require("./services/socketRegistry");
+const { startDeletionScheduler } = require("./services/accountDeletionService");
+const { startDigestScheduler } = require("./services/digestService");
+const { startVideoWorker } = require("./services/videoProcessingService");
+const { startEventReminderScheduler } = require("./services/eventService");
+const { startExportCleanupScheduler } = require("./services/dataExportService");
 const followRoutesFactory = require("./routes/followRoutes");
 const exploreRoutes = require("./routes/exploreRoutes");
 // routes
@@ -21,6 +28,17 @@ const marketplaceRoutes = require("./routes/marketplaceRoutes");
 const settingRoutes = require("./routes/settingsRoutes");
 
 const app = express();
+
+// req.ip honours X-Forwarded-For only for the proxies trusted here, so
+// clients can't pick the IP the per-IP limits see. TRUST_PROXY is a hop
+// count (default 1: the load balancer) or a comma-separated proxy list.
+const trustProxy = process.env.TRUST_PROXY || "1";
+app.set(
+  "trust proxy",
+  /^\d+$/.test(trustProxy)
+    ? parseInt(trustProxy, 10)
+    : trustProxy.split(",").map((s) => s.trim()),
+);
 const profileViewsRouter = require("./routes/profileViews");
 const bugReportsRouter = require("./routes/bugReports");
 const bookingRoutes = require("./routes/bookingRoutes");
@@ -28,6 +46,7 @@ const lostfoundRoutes = require("./routes/lostfound");
 const moderationRoutes = require("./routes/moderationRoutes");
 const adminRoutes = require("./routes/adminRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
+const tagRoutes = require("./routes/tagRoutes");
 const allowedOrigins = [
   "http://localhost:3000",
   "https://aroundu.me",
@@ -74,19 +93,17 @@ const io = new Server(server, {
 });
 
 app.set("io", io);
-io.on("connection", (socket) => {
-  const userId = socket.handshake.auth?.userId;
+setIo(io);
 
-  if (userId) {
-    socket.join(userId); // 🔥 AUTO JOIN
-    console.log("User auto joined:", userId);
-  }
-
-  socket.on("disconnect", () => {});
+// 🔒 verify the JWT on handshake; rooms come from the token, not the client
+io.use(socketAuth);
+io.on("connection", (socket) => {
+  onAuthenticatedConnection(socket); // 🔥 AUTO JOIN own room
 });
 app.use("/api/universities", require("./routes/universities"));
 app.use("/api/marketplace", marketplaceRoutes);
 app.use("/api/posts", postRoutes);
+app.use("/api/tags", tagRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/test-users", testUserRoutes);
 app.use("/api/lostfound", lostfoundRoutes); // <-- add this here
@@ -109,3 +126,13 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () =>
   console.log(`Server + Socket.IO running on port ${PORT}`),
 );
+
+// purge accounts whose deletion grace period is over
+startDeletionScheduler();
+// unread-notification digest emails (MAIL_DIGEST=on)
+startDigestScheduler();
+// transcode uploaded videos (needs ffmpeg / ffprobe)
+startVideoWorker();
+startEventReminderScheduler();
+// delete data export archives once they expire
+startExportCleanupScheduler();
@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
+const { isSessionActive } = require("../services/sessionService");
 
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -9,13 +10,32 @@ const verifyToken = (req, res, next) => {
 
   const token = authHeader.split(" ")[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { id: 'user-id-from-token' }
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      // client should call POST /api/auth/refresh
+      return res.status(401).json({ msg: "Token expired", code: "token_expired" });
+    }
     return res.status(403).json({ msg: "Invalid token" });
   }
+
+  try {
+    // access tokens are bound to a device session that can be revoked
+    const active = await isSessionActive(decoded.sid, decoded.id);
+    if (!active) {
+      return res
+        .status(401)
+        .json({ msg: "Session expired or revoked", code: "session_revoked" });
+    }
+  } catch (err) {
+    console.error("Session check error:", err);
+    return res.status(500).json({ msg: "Server error" });
+  }
+
+  req.user = decoded; // { id, user_type, university, course, sid }
+  next();
 };
 
 module.exports = verifyToken;
@@ -0,0 +1,29 @@
+// middlewares/rateLimit.js
+// Per-IP request budget, e.g.
+//   router.post("/check-email", rateLimit({ name: "check-email", max: 10, windowMs: 60000 }), handler)
+const { hit } = require("../services/loginThrottle");
+const { getClientIp } = require("../services/sessionService");
+
+function rateLimit({ name, max, windowMs }) {
+  return async (req, res, next) => {
+    const ip = getClientIp(req);
+    if (!ip) return next();
+
+    try {
+      const count = await hit(`rl:${name}:${ip}`, windowMs);
+      if (count > max) {
+        res.set("Retry-After", String(Math.ceil(windowMs / 1000)));
+        return res
+          .status(429)
+          .json({ msg: "Too many requests. Please try again later" });
+      }
+      next();
+    } catch (err) {
+      // don't take the endpoint down if the limiter's storage hiccups
+      console.error("rateLimit error:", err);
+      next();
+    }
+  };
+}
+
+module.exports = rateLimit;
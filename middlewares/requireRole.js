@@ -0,0 +1,66 @@
+// middlewares/requireRole.js
+// Use after authMiddleware:
+//   router.get("/x", auth, requireRole("moderator"), handler)
+//   router.get("/y", auth, requirePermission("reports:review"), handler)
+// Roles are read from the DB on each request so a revoked role takes effect
+// immediately (they are not baked into the JWT). admin passes every check.
+// If a role the user holds requires 2FA (role_2fa_policies) and they haven't
+// enrolled, access is refused until they do.
+const { getUserRoles, hasPermission } = require("../services/roleService");
+const { isSetupRequired } = require("../services/twoFactorService");
+
+const TWO_FACTOR_REQUIRED = {
+  error: "Two-factor authentication is required for your role",
+  code: "2fa_setup_required",
+};
+
+async function loadRoles(req) {
+  if (!req.user.roles) {
+    req.user.roles = await getUserRoles(req.user.id);
+  }
+  return req.user.roles;
+}
+
+function requireRole(...allowed) {
+  return async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Not authenticated" });
+
+    try {
+      const roles = await loadRoles(req);
+      if (!roles.includes("admin") && !allowed.some((r) => roles.includes(r))) {
+        return res
+          .status(403)
+          .json({ error: `${allowed.join(" or ")} role required` });
+      }
+      if (await isSetupRequired(req.user.id, roles)) {
+        return res.status(403).json(TWO_FACTOR_REQUIRED);
+      }
+      return next();
+    } catch (err) {
+      console.error("requireRole error:", err);
+      return res.status(500).json({ error: "Failed to check permissions" });
+    }
+  };
+}
+
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Not authenticated" });
+
+    try {
+      const roles = await loadRoles(req);
+      if (!hasPermission(roles, permission)) {
+        return res.status(403).json({ error: "Not allowed" });
+      }
+      if (await isSetupRequired(req.user.id, roles)) {
+        return res.status(403).json(TWO_FACTOR_REQUIRED);
+      }
+      return next();
+    } catch (err) {
+      console.error("requirePermission error:", err);
+      return res.status(500).json({ error: "Failed to check permissions" });
+    }
+  };
+}
+
+module.exports = { requireRole, requirePermission };
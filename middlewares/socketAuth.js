@@ -0,0 +1,90 @@
+// middlewares/socketAuth.js
+// Socket.IO handshake auth: same JWT + session check as authMiddleware.
+// Client: io(URL, { auth: { token: accessToken } })
+const jwt = require("jsonwebtoken");
+const { isSessionActive } = require("../services/sessionService");
+const { registerPollSocketHandlers } = require("../services/pollService");
+
+function readToken(socket) {
+  const fromAuth = socket.handshake.auth && socket.handshake.auth.token;
+  if (fromAuth) return String(fromAuth).replace(/^Bearer /, "");
+
+  const header = socket.handshake.headers && socket.handshake.headers.authorization;
+  if (header && header.startsWith("Bearer ")) return header.split(" ")[1];
+  return null;
+}
+
+async function verifySocketToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const active = await isSessionActive(decoded.sid, decoded.id);
+  if (!active) throw new Error("Session expired or revoked");
+  return decoded;
+}
+
+// Disconnect when the access token expires; the client reconnects (or sends
+// "auth:refresh") with a fresh token from POST /api/auth/refresh.
+function scheduleExpiry(socket) {
+  clearTimeout(socket.data.expiryTimer);
+  const msLeft = socket.data.user.exp * 1000 - Date.now();
+  socket.data.expiryTimer = setTimeout(() => {
+    socket.emit("auth:expired");
+    socket.disconnect(true);
+  }, Math.max(msLeft, 0));
+}
+
+// io.use(socketAuth)
+async function socketAuth(socket, next) {
+  const token = readToken(socket);
+  if (!token) return next(new Error("No token provided"));
+
+  try {
+    socket.data.user = await verifySocketToken(token);
+    next();
+  } catch (err) {
+    next(new Error("Invalid token"));
+  }
+}
+
+/**
+ * Per-connection setup: join the rooms derived from the token and
+ * handle token refresh / room join requests.
+ */
+function onAuthenticatedConnection(socket) {
+  const user = socket.data.user;
+
+  socket.join(String(user.id)); // personal room: message:new, notification:new ...
+  socket.join(`session:${user.sid}`); // lets session revocation kick this socket
+  scheduleExpiry(socket);
+
+  // payload may be anything a client sends (null included): read it inside try
+  socket.on("auth:refresh", async (payload, ack) => {
+    try {
+      const decoded = await verifySocketToken(payload?.token);
+      if (decoded.id !== user.id) throw new Error("Token belongs to another user");
+
+      socket.leave(`session:${socket.data.user.sid}`);
+      socket.data.user = decoded;
+      socket.join(`session:${decoded.sid}`);
+      scheduleExpiry(socket);
+      if (typeof ack === "function") ack({ ok: true });
+    } catch (err) {
+      if (typeof ack === "function") ack({ ok: false, error: "Invalid token" });
+    }
+  });
+
+  // legacy clients emit "join" with their user id; only their own room is allowed
+  socket.on("join", (room, ack) => {
+    const ok = String(room) === String(user.id);
+    if (!ok) console.warn("Socket join rejected:", user.id, "->", room);
+    if (typeof ack === "function") ack({ ok });
+  });
+
+  // live poll results (poll:subscribe / poll:unsubscribe)
+  registerPollSocketHandlers(socket);
+
+  socket.on("disconnect", () => {
+    clearTimeout(socket.data.expiryTimer);
+  });
+}
+
+module.exports = { socketAuth, onAuthenticatedConnection };
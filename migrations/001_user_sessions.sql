@@ -0,0 +1,21 @@
+-- 001_user_sessions.sql
+-- Device sessions backing short-lived access tokens + rotating refresh tokens.
+-- gen_random_uuid() needs pgcrypto on Postgres < 13.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash text NOT NULL,
+  device_name text,
+  user_agent text,
+  ip text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoked_reason text
+);
+
+CREATE INDEX IF NOT EXISTS user_sessions_user_active_idx
+  ON user_sessions (user_id)
+  WHERE revoked_at IS NULL;
@@ -0,0 +1,26 @@
+-- 002_university_domains.sql
+-- Several email domains per university (+ optional subdomain matching)
+-- and a verified_student flag set only after the email OTP is confirmed.
+
+CREATE TABLE IF NOT EXISTS university_domains (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  university text NOT NULL, -- universities.name (users.university stores the name)
+  domain text NOT NULL,
+  allow_subdomains boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (university, domain)
+);
+
+CREATE INDEX IF NOT EXISTS university_domains_domain_idx
+  ON university_domains (domain);
+
+-- seed from the single legacy column
+INSERT INTO university_domains (university, domain)
+SELECT name, lower(btrim(domain))
+FROM universities
+WHERE domain IS NOT NULL AND btrim(domain) <> ''
+ON CONFLICT (university, domain) DO NOTHING;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS verified_student boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS student_verified_at timestamptz;
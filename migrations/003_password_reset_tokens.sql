@@ -0,0 +1,16 @@
+-- 003_password_reset_tokens.sql
+-- One-time tokens issued by /api/forgot-password/verify-otp and consumed by
+-- /api/auth/reset-password. Only the sha256 of the token is stored.
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx
+  ON password_reset_tokens (user_id)
+  WHERE used_at IS NULL;
@@ -0,0 +1,22 @@
+-- 004_otp_store.sql
+-- Backing tables for services/otp/postgresStore.js (OTP_STORE=postgres).
+
+CREATE TABLE IF NOT EXISTS otp_codes (
+  purpose text NOT NULL,          -- 'email_verification' | 'password_reset' | ...
+  identifier text NOT NULL,       -- normalized email / phone
+  code_hash text NOT NULL,        -- HMAC of the code, never the code itself
+  attempts integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  last_sent_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (purpose, identifier)
+);
+
+-- one row per OTP sent; used for per-email / per-IP send quotas
+CREATE TABLE IF NOT EXISTS otp_send_events (
+  id bigserial PRIMARY KEY,
+  bucket text NOT NULL,           -- e.g. 'email:password_reset:a@b.edu', 'ip:1.2.3.4'
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS otp_send_events_bucket_idx
+  ON otp_send_events (bucket, created_at);
@@ -0,0 +1,40 @@
+-- 006_two_factor.sql
+-- Optional TOTP two-factor auth, backup recovery codes, login challenges
+-- and per-role "2FA required" policy.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS totp_secret text,           -- AES-GCM encrypted
+  ADD COLUMN IF NOT EXISTS totp_pending_secret text,   -- set during enrollment
+  ADD COLUMN IF NOT EXISTS totp_enabled boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at timestamptz,
+  ADD COLUMN IF NOT EXISTS totp_last_step bigint;      -- blocks code replay
+
+CREATE TABLE IF NOT EXISTS user_backup_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  used_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS user_backup_codes_user_idx
+  ON user_backup_codes (user_id)
+  WHERE used_at IS NULL;
+
+-- issued by /api/auth/login when 2FA is on; exchanged at /api/auth/2fa/verify
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  attempts integer NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS role_2fa_policies (
+  role text PRIMARY KEY,
+  required boolean NOT NULL DEFAULT false,
+  updated_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
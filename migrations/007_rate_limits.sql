@@ -0,0 +1,15 @@
+-- 007_rate_limits.sql
+-- Generic sliding-window counters (failed logins / OTP checks per account
+-- and per IP, /check-email lookups, ...). See services/loginThrottle.js.
+
+CREATE TABLE IF NOT EXISTS rate_limit_events (
+  id bigserial PRIMARY KEY,
+  bucket text NOT NULL,           -- e.g. 'login:acct:a@b.edu', 'login:ip:1.2.3.4'
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_events_bucket_idx
+  ON rate_limit_events (bucket, created_at DESC);
+
+-- "new sign-in" and other system notifications have no actor
+ALTER TABLE notifications ALTER COLUMN actor_id DROP NOT NULL;
@@ -0,0 +1,24 @@
+-- 008_email_changes.sql
+-- Verified primary / recovery email changes (services/emailChangeService.js).
+-- Addresses are only written after an OTP sent to the new address is
+-- confirmed; the previous owner gets a single-use undo link.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS recovery_email_verified boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS recovery_email_verified_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS email_changes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('primary', 'recovery')),
+  old_email text,
+  new_email text NOT NULL,
+  old_verified boolean NOT NULL DEFAULT false, -- recovery only
+  undo_token_hash text NOT NULL UNIQUE,
+  undo_expires_at timestamptz NOT NULL,
+  undone_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS email_changes_user_idx
+  ON email_changes (user_id, kind, created_at DESC);
@@ -0,0 +1,12 @@
+-- 009_phone_verification.sql
+-- Phone numbers become verified E.164 values (services/phoneService.js).
+-- Numbers saved before this migration stay unverified until re-confirmed
+-- via SMS; only verified numbers have to be unique.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS phone_verified boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS phone_verified_at timestamptz;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_verified_phone_uniq
+  ON users (phone_number)
+  WHERE phone_verified;
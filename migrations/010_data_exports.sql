@@ -0,0 +1,20 @@
+-- 010_data_exports.sql
+-- Personal data archives built by POST /api/settings/export
+-- (services/dataExportService.js). The zip lives in S3 under exports/ and
+-- is deleted once expires_at passes.
+
+CREATE TABLE IF NOT EXISTS data_exports (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+  s3_key text,
+  size_bytes bigint,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  expires_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS data_exports_user_idx
+  ON data_exports (user_id, created_at DESC);
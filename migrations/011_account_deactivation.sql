@@ -0,0 +1,13 @@
+-- 011_account_deactivation.sql
+-- Deactivated accounts are hidden everywhere (profile, posts, listings,
+-- search, explore) but kept intact. If deletion_scheduled_for is set, the
+-- account is purged once that time passes (services/accountDeletionService.js);
+-- signing in before then reactivates it and cancels the deletion.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS deactivated_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deletion_scheduled_for timestamptz;
+
+CREATE INDEX IF NOT EXISTS users_deletion_due_idx
+  ON users (deletion_scheduled_for)
+  WHERE deletion_scheduled_for IS NOT NULL;
@@ -0,0 +1,23 @@
+-- 012_mail.sql
+-- Delivery log of services/mail, preferred email language per user and
+-- bookkeeping for the unread-notifications digest.
+
+CREATE TABLE IF NOT EXISTS email_deliveries (
+  id bigserial PRIMARY KEY,
+  template text NOT NULL,
+  recipient text NOT NULL,
+  locale text,
+  driver text NOT NULL,
+  status text NOT NULL CHECK (status IN ('sent', 'failed')),
+  attempts int NOT NULL,
+  provider_id text,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS email_deliveries_created_idx
+  ON email_deliveries (created_at DESC);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS locale text,          -- e.g. 'en', 'hi'
+  ADD COLUMN IF NOT EXISTS last_digest_at timestamptz;
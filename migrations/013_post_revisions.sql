@@ -0,0 +1,23 @@
+-- 013_post_revisions.sql
+-- Editable posts (PATCH /api/posts/:postId). Before each edit the current
+-- caption / tags / visibility are copied into post_revisions, so the table
+-- holds every previous version; posts.edited_at marks edited posts.
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS edited_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id bigserial PRIMARY KEY,
+  post_id uuid NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  caption text,
+  tags text[] NOT NULL DEFAULT '{}',
+  visibility text NOT NULL,
+  -- when this version went live (post created_at or the previous edit)
+  valid_from timestamptz NOT NULL,
+  -- when the edit replaced it
+  replaced_at timestamptz NOT NULL DEFAULT now(),
+  edited_by uuid REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS post_revisions_post_idx
+  ON post_revisions (post_id, replaced_at DESC);
@@ -0,0 +1,23 @@
+-- 014_post_images.sql
+-- Multi-image (carousel) photo posts, like marketplace_listing_images.
+-- posts.image_url keeps the first image's key as the cover so older
+-- clients and grid views keep working.
+
+CREATE TABLE IF NOT EXISTS post_images (
+  id bigserial PRIMARY KEY,
+  post_id uuid NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  image_url text NOT NULL,              -- S3 key
+  alt_text text,
+  sort_order int NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS post_images_post_idx
+  ON post_images (post_id, sort_order);
+
+-- existing single-image posts become one-image carousels
+INSERT INTO post_images (post_id, image_url, sort_order, created_at)
+SELECT p.id, p.image_url, 0, p.created_at
+FROM posts p
+WHERE p.image_url IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM post_images pi WHERE pi.post_id = p.id);
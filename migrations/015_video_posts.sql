@@ -0,0 +1,38 @@
+-- 015_video_posts.sql
+-- Short video posts (post_type = 'video'). The upload is stored as-is under
+-- video_source_key and the post stays media_status = 'processing' until
+-- services/videoProcessingService.js has transcoded it to MP4/H.264
+-- (video_url) and extracted a poster frame (poster_url).
+-- media_status is NULL for photo and discussion posts.
+
+-- post_type may be a plain text column or an enum depending on the install
+DO $$
+DECLARE
+  post_type_oid oid;
+BEGIN
+  SELECT atttypid INTO post_type_oid
+  FROM pg_attribute
+  WHERE attrelid = 'posts'::regclass AND attname = 'post_type';
+
+  IF EXISTS (SELECT 1 FROM pg_type WHERE oid = post_type_oid AND typtype = 'e') THEN
+    EXECUTE format('ALTER TYPE %s ADD VALUE IF NOT EXISTS %L',
+                   post_type_oid::regtype, 'video');
+  END IF;
+END $$;
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS media_status text
+    CHECK (media_status IN ('processing', 'ready', 'failed')),
+  ADD COLUMN IF NOT EXISTS media_error text,
+  ADD COLUMN IF NOT EXISTS media_attempts int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS media_job_started_at timestamptz,
+  ADD COLUMN IF NOT EXISTS video_source_key text,  -- original upload, deleted once processed
+  ADD COLUMN IF NOT EXISTS video_url text,         -- S3 key of the MP4 rendition
+  ADD COLUMN IF NOT EXISTS poster_url text,        -- S3 key of the poster JPEG
+  ADD COLUMN IF NOT EXISTS video_duration_seconds numeric(8, 2),
+  ADD COLUMN IF NOT EXISTS video_width int,
+  ADD COLUMN IF NOT EXISTS video_height int;
+
+CREATE INDEX IF NOT EXISTS posts_media_processing_idx
+  ON posts (created_at)
+  WHERE media_status = 'processing';
@@ -0,0 +1,21 @@
+-- 016_image_variants.sql
+-- Output of services/imagePipeline.js for every uploaded image:
+-- variants = { "thumb"|"medium"|"full": { "webp": key, "jpeg": key, "width", "height" } }
+-- plus a blurhash placeholder. Images uploaded before the pipeline keep
+-- NULL variants and are served from their single key.
+
+ALTER TABLE post_images
+  ADD COLUMN IF NOT EXISTS variants jsonb,
+  ADD COLUMN IF NOT EXISTS blurhash text,
+  ADD COLUMN IF NOT EXISTS width int,
+  ADD COLUMN IF NOT EXISTS height int;
+
+ALTER TABLE marketplace_listing_images
+  ADD COLUMN IF NOT EXISTS variants jsonb,
+  ADD COLUMN IF NOT EXISTS blurhash text,
+  ADD COLUMN IF NOT EXISTS width int,
+  ADD COLUMN IF NOT EXISTS height int;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS profile_variants jsonb,
+  ADD COLUMN IF NOT EXISTS profile_blurhash text;
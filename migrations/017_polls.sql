@@ -0,0 +1,47 @@
+-- 017_polls.sql
+-- Poll posts (post_type = 'poll'): the question is posts.caption, with 2-6
+-- options, single or multiple choice, anonymous or named, optionally closing
+-- at closes_at. One poll_votes row per (option, voter).
+
+DO $$
+DECLARE
+  post_type_oid oid;
+BEGIN
+  SELECT atttypid INTO post_type_oid
+  FROM pg_attribute
+  WHERE attrelid = 'posts'::regclass AND attname = 'post_type';
+
+  IF EXISTS (SELECT 1 FROM pg_type WHERE oid = post_type_oid AND typtype = 'e') THEN
+    EXECUTE format('ALTER TYPE %s ADD VALUE IF NOT EXISTS %L',
+                   post_type_oid::regtype, 'poll');
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS polls (
+  post_id uuid PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+  allows_multiple boolean NOT NULL DEFAULT false,
+  is_anonymous boolean NOT NULL DEFAULT true,
+  closes_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS poll_options (
+  id bigserial PRIMARY KEY,
+  post_id uuid NOT NULL REFERENCES polls(post_id) ON DELETE CASCADE,
+  label text NOT NULL,
+  sort_order int NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS poll_options_post_idx
+  ON poll_options (post_id, sort_order);
+
+CREATE TABLE IF NOT EXISTS poll_votes (
+  option_id bigint NOT NULL REFERENCES poll_options(id) ON DELETE CASCADE,
+  post_id uuid NOT NULL REFERENCES polls(post_id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (option_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS poll_votes_post_user_idx
+  ON poll_votes (post_id, user_id);
@@ -0,0 +1,49 @@
+-- 018_events.sql
+-- Event posts (post_type = 'event'), announced mostly by clubs: the
+-- description is posts.caption, the rest lives in events. RSVPs are one row
+-- per (event, user); reminded_at is set once the reminder notification went
+-- out, so late RSVPs still get theirs.
+
+DO $$
+DECLARE
+  post_type_oid oid;
+BEGIN
+  SELECT atttypid INTO post_type_oid
+  FROM pg_attribute
+  WHERE attrelid = 'posts'::regclass AND attname = 'post_type';
+
+  IF EXISTS (SELECT 1 FROM pg_type WHERE oid = post_type_oid AND typtype = 'e') THEN
+    EXECUTE format('ALTER TYPE %s ADD VALUE IF NOT EXISTS %L',
+                   post_type_oid::regtype, 'event');
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS events (
+  post_id uuid PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+  title text NOT NULL,
+  starts_at timestamptz NOT NULL,
+  ends_at timestamptz NOT NULL,
+  location text NOT NULL,
+  capacity int CHECK (capacity IS NULL OR capacity > 0),
+  rsvp_deadline timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (ends_at > starts_at),
+  CHECK (rsvp_deadline IS NULL OR rsvp_deadline <= starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS events_starts_at_idx ON events (starts_at);
+
+CREATE TABLE IF NOT EXISTS event_rsvps (
+  post_id uuid NOT NULL REFERENCES events(post_id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status text NOT NULL CHECK (status IN ('going', 'interested', 'not_going')),
+  reminded_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (post_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS event_rsvps_user_idx ON event_rsvps (user_id);
+CREATE INDEX IF NOT EXISTS event_rsvps_pending_reminder_idx
+  ON event_rsvps (post_id)
+  WHERE reminded_at IS NULL AND status IN ('going', 'interested');
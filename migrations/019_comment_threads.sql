@@ -0,0 +1,33 @@
+-- 019_comment_threads.sql
+-- Threaded comments: replies point at their parent through
+-- parent_comment_id, at most two levels below a top-level comment (depth 0,
+-- 1, 2). A comment deleted while it still has replies is kept as a
+-- "[deleted]" placeholder (deleted_at set, content cleared) so the thread
+-- below it survives.
+
+-- parent_comment_id has the same type as comments.id
+DO $$
+DECLARE
+  id_type text;
+BEGIN
+  SELECT format_type(atttypid, atttypmod) INTO id_type
+  FROM pg_attribute
+  WHERE attrelid = 'comments'::regclass AND attname = 'id';
+
+  EXECUTE format(
+    'ALTER TABLE comments ADD COLUMN IF NOT EXISTS parent_comment_id %s
+       REFERENCES comments(id) ON DELETE CASCADE',
+    id_type);
+END $$;
+
+ALTER TABLE comments
+  ADD COLUMN IF NOT EXISTS depth smallint NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS comments_parent_idx
+  ON comments (parent_comment_id, created_at)
+  WHERE parent_comment_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS comments_post_top_level_idx
+  ON comments (post_id, created_at)
+  WHERE parent_comment_id IS NULL;
@@ -0,0 +1,36 @@
+-- 020_mentions.sql
+-- @mentions: every user gets a unique handle (case-insensitive), and posts /
+-- comments keep the resolved mention entities of their text as
+-- [{ user_id, handle, name, offset, length }] so clients can link them.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS handle text;
+
+-- backfill: first+last name, letters and digits only; duplicates get _2, _3...
+WITH base AS (
+  SELECT id, created_at,
+         COALESCE(
+           NULLIF(left(lower(regexp_replace(
+             COALESCE(first_name, '') || COALESCE(last_name, ''),
+             '[^a-zA-Z0-9]', '', 'g')), 20), ''),
+           'user') AS h
+  FROM users
+  WHERE handle IS NULL
+),
+ranked AS (
+  SELECT id, h,
+         row_number() OVER (PARTITION BY h ORDER BY created_at, id) AS n
+  FROM base
+)
+UPDATE users u
+SET handle = CASE
+               WHEN r.n = 1 AND length(r.h) >= 2 THEN r.h
+               ELSE r.h || '_' || r.n
+             END
+FROM ranked r
+WHERE u.id = r.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_handle_lower_key
+  ON users (lower(handle));
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS mentions jsonb NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS mentions jsonb NOT NULL DEFAULT '[]'::jsonb;
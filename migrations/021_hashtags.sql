@@ -0,0 +1,66 @@
+-- 021_hashtags.sql
+-- Normalized hashtags. posts.tags keeps what the author typed; every tag is
+-- also linked through post_hashtags to one hashtags row per canonical name
+-- (NFKC, no leading '#', lowercase, inner whitespace as '_'), which is what
+-- /tag/:tag, search, trending, autocomplete and hashtag follows use.
+-- services/hashtagService.canonicalTag must stay in sync with the backfill.
+
+CREATE TABLE IF NOT EXISTS hashtags (
+  id bigserial PRIMARY KEY,
+  name text NOT NULL UNIQUE,        -- canonical form
+  display_name text NOT NULL,       -- first form it was used in
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- prefix search for autocomplete
+CREATE INDEX IF NOT EXISTS hashtags_name_prefix_idx
+  ON hashtags (name text_pattern_ops);
+
+CREATE TABLE IF NOT EXISTS post_hashtags (
+  post_id uuid NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  hashtag_id bigint NOT NULL REFERENCES hashtags(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),  -- the post's created_at
+  PRIMARY KEY (post_id, hashtag_id)
+);
+
+CREATE INDEX IF NOT EXISTS post_hashtags_tag_time_idx
+  ON post_hashtags (hashtag_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS post_hashtags_time_idx
+  ON post_hashtags (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS hashtag_follows (
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  hashtag_id bigint NOT NULL REFERENCES hashtags(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, hashtag_id)
+);
+
+CREATE INDEX IF NOT EXISTS hashtag_follows_tag_idx ON hashtag_follows (hashtag_id);
+
+-- backfill from posts.tags
+WITH raw AS (
+  SELECT p.id AS post_id, p.created_at, btrim(regexp_replace(t, '^\s*#+', '')) AS display,
+         ord
+  FROM posts p, unnest(p.tags) WITH ORDINALITY AS u(t, ord)
+  WHERE t IS NOT NULL
+),
+canon AS (
+  SELECT post_id, created_at, display, ord,
+         lower(regexp_replace(normalize(display, NFKC), '\s+', '_', 'g')) AS name
+  FROM raw
+  WHERE display <> '' AND char_length(display) <= 50
+)
+INSERT INTO hashtags (name, display_name)
+SELECT DISTINCT ON (name) name, display
+FROM canon
+ORDER BY name, created_at, ord
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO post_hashtags (post_id, hashtag_id, created_at)
+SELECT DISTINCT p.id, h.id, p.created_at
+FROM posts p
+CROSS JOIN LATERAL unnest(p.tags) AS t
+JOIN hashtags h
+  ON h.name = lower(regexp_replace(
+       normalize(btrim(regexp_replace(t, '^\s*#+', '')), NFKC), '\s+', '_', 'g'))
+ON CONFLICT DO NOTHING;
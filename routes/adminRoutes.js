@@ -1,8 +1,22 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../config/db");
+const auth = require("../middlewares/authMiddleware");
+const { requireRole, requirePermission } = require("../middlewares/requireRole");
+const {
+  STAFF_ROLES,
+  getUserRoles,
+  grantRole,
+  revokeRole,
+  logRoleChange,
+  inTransaction,
+} = require("../services/roleService");
+const { getRolePolicies, setRolePolicy, getStatus } = require("../services/twoFactorService");
 
-router.get("/bug-reports", async (req, res) => {
+// every admin endpoint needs a logged-in user; roles are checked per route
+router.use(auth);
+
+router.get("/bug-reports", requirePermission("bug_reports:read"), async (req, res) => {
   try {
     const q = `
       SELECT br.id,
@@ -23,7 +37,7 @@ router.get("/bug-reports", async (req, res) => {
   }
 });
 
-router.get("/reported-users", async (req, res) => {
+router.get("/reported-users", requirePermission("reports:read"), async (req, res) => {
   try {
     const q = `
       SELECT ur.id,
@@ -46,7 +60,7 @@ router.get("/reported-users", async (req, res) => {
   }
 });
 
-router.get("/reported-posts", async (req, res) => {
+router.get("/reported-posts", requirePermission("reports:read"), async (req, res) => {
   try {
     const q = `
       SELECT pr.id,
@@ -68,7 +82,33 @@ router.get("/reported-posts", async (req, res) => {
   }
 });
 
-router.get("/professors", async (req, res) => {
+/**
+ * PATCH /api/admin/posts/:postId/boost
+ * Body: { boosted: true|false } — boosted posts get a bonus in the ranked feed
+ */
+router.patch("/posts/:postId/boost", requireRole("admin"), async (req, res) => {
+  try {
+    const boosted = req.body?.boosted;
+    if (typeof boosted !== "boolean") {
+      return res.status(400).json({ msg: "boosted must be true or false" });
+    }
+
+    const { rows } = await pool.query(
+      "UPDATE posts SET is_boosted = $2 WHERE id = $1 RETURNING id, is_boosted",
+      [req.params.postId, boosted]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    return res.json(rows[0]);
+  } catch (err) {
+    console.error("admin/boost-post error:", err);
+    return res.status(500).json({ error: "Failed to update post boost" });
+  }
+});
+
+router.get("/professors", requireRole("admin"), async (req, res) => {
   try {
     const q = `
       SELECT id,
@@ -92,21 +132,33 @@ router.get("/professors", async (req, res) => {
   }
 });
 
-router.patch("/professors/:id/verify", async (req, res) => {
+router.patch("/professors/:id/verify", requireRole("admin"), async (req, res) => {
   try {
     const professorId = req.params.id;
 
-    const r = await pool.query(
-      `
-      UPDATE users
-      SET verified = true
-      WHERE id = $1 AND user_type = 'professor'
-      RETURNING id
-      `,
-      [professorId]
-    );
+    const verified = await inTransaction(async (client) => {
+      const r = await client.query(
+        `
+        UPDATE users
+        SET verified = true
+        WHERE id = $1 AND user_type = 'professor'
+        RETURNING id
+        `,
+        [professorId]
+      );
+      if (r.rowCount === 0) return false;
+
+      await logRoleChange(client, {
+        userId: professorId,
+        actorId: req.user.id,
+        action: "verify_professor",
+        role: "professor",
+        reason: req.body?.reason,
+      });
+      return true;
+    });
 
-    if (r.rowCount === 0) {
+    if (!verified) {
       return res.status(404).json({ msg: "Professor not found" });
     }
 
@@ -117,4 +169,158 @@ router.patch("/professors/:id/verify", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/users/:id/roles
+ */
+router.get("/users/:id/roles", requireRole("admin"), async (req, res) => {
+  try {
+    const roles = await getUserRoles(req.params.id);
+    if (!roles.length) return res.status(404).json({ msg: "User not found" });
+
+    return res.json({ roles });
+  } catch (err) {
+    console.error("admin/user-roles error:", err);
+    return res.status(500).json({ error: "Failed to fetch roles" });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/roles
+ * Body: { role: 'moderator' | 'admin', reason?: string }
+ */
+router.post("/users/:id/roles", requireRole("admin"), async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+    if (!STAFF_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of: ${STAFF_ROLES.join(", ")}` });
+    }
+
+    const exists = await pool.query("SELECT 1 FROM users WHERE id = $1", [
+      req.params.id,
+    ]);
+    if (!exists.rows.length) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    const granted = await grantRole(req.params.id, role, req.user.id, reason);
+    return res.status(granted ? 201 : 200).json({ success: true, granted });
+  } catch (err) {
+    console.error("admin/grant-role error:", err);
+    return res.status(500).json({ error: "Failed to grant role" });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/roles/:role
+ * Body: { reason?: string }
+ */
+router.delete("/users/:id/roles/:role", requireRole("admin"), async (req, res) => {
+  try {
+    const { id, role } = req.params;
+    if (!STAFF_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of: ${STAFF_ROLES.join(", ")}` });
+    }
+    if (id === req.user.id && role === "admin") {
+      return res.status(400).json({ error: "You cannot remove your own admin role" });
+    }
+
+    const revoked = await revokeRole(id, role, req.user.id, req.body?.reason);
+    if (!revoked) {
+      return res.status(404).json({ msg: "User does not have this role" });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("admin/revoke-role error:", err);
+    return res.status(500).json({ error: "Failed to revoke role" });
+  }
+});
+
+/**
+ * GET /api/admin/role-audit?userId=...
+ */
+router.get("/role-audit", requireRole("admin"), async (req, res) => {
+  try {
+    const userId = req.query.userId || null;
+
+    const q = `
+      SELECT a.id,
+             a.user_id,
+             t.first_name || ' ' || t.last_name AS "user",
+             a.actor_id,
+             ac.first_name || ' ' || ac.last_name AS actor,
+             a.action,
+             a.role,
+             a.reason,
+             a.created_at
+      FROM role_audit_log a
+      JOIN users t ON t.id = a.user_id
+      LEFT JOIN users ac ON ac.id = a.actor_id
+      WHERE ($1::uuid IS NULL OR a.user_id = $1::uuid)
+      ORDER BY a.created_at DESC
+      LIMIT 200
+    `;
+
+    const { rows } = await pool.query(q, [userId]);
+    return res.json(rows);
+  } catch (err) {
+    console.error("admin/role-audit error:", err);
+    return res.status(500).json({ error: "Failed to fetch role audit log" });
+  }
+});
+
+/**
+ * GET /api/admin/2fa-policy
+ */
+router.get("/2fa-policy", requireRole("moderator"), async (req, res) => {
+  try {
+    return res.json({ policies: await getRolePolicies() });
+  } catch (err) {
+    console.error("admin/2fa-policy error:", err);
+    return res.status(500).json({ error: "Failed to fetch 2FA policy" });
+  }
+});
+
+/**
+ * PUT /api/admin/2fa-policy/:role   Body: { required: boolean }
+ * Moderators can set the policy for the moderator role, admins for any staff role.
+ */
+router.put("/2fa-policy/:role", requireRole("moderator"), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const required = req.body?.required === true;
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of: ${STAFF_ROLES.join(", ")}` });
+    }
+    if (!req.user.roles.includes("admin") && !req.user.roles.includes(role)) {
+      return res
+        .status(403)
+        .json({ error: "You can only set the 2FA policy for your own role" });
+    }
+
+    // don't let anyone lock themselves out of the role they're configuring
+    if (required) {
+      const status = await getStatus(req.user.id);
+      if (!status?.totp_enabled) {
+        return res
+          .status(400)
+          .json({ error: "Enable two-factor authentication on your account first" });
+      }
+    }
+
+    const policy = await setRolePolicy(role, required, req.user.id);
+    return res.json({ policy });
+  } catch (err) {
+    console.error("admin/set-2fa-policy error:", err);
+    return res.status(500).json({ error: "Failed to update 2FA policy" });
+  }
+});
+
 module.exports = router;
@@ -2,19 +2,53 @@ const express = require("express");
 const pool = require("../config/db");
 const generatePresignedUrl = require("../config/generatePresignedUrl");
 const auth = require("../middlewares/authMiddleware");
+const rateLimit = require("../middlewares/rateLimit");
 const router = express.Router();
 const {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
+  sendTwoFactorSms,
   resetPassword,
   checkEmailExists,
-  userDetails
+  refreshToken,
+  logoutUser,
+  listUserSessions,
+  revokeUserSession,
+  revokeOtherSessions,
 } = require("../controllers/authController");
+const {
+  twoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} = require("../controllers/twoFactorController");
 
 router.post("/register", registerUser);
 router.post("/login", loginUser);
 router.post("/reset-password", resetPassword);
-router.post("/check-email", checkEmailExists);
+router.post(
+  "/check-email",
+  rateLimit({ name: "check-email", max: 10, windowMs: 60 * 1000 }),
+  checkEmailExists,
+);
+
+// device sessions
+router.post("/refresh", refreshToken);
+router.post("/logout", auth, logoutUser);
+router.get("/sessions", auth, listUserSessions);
+router.delete("/sessions", auth, revokeOtherSessions); // all except current
+router.delete("/sessions/:sessionId", auth, revokeUserSession);
+
+// two-factor auth (TOTP)
+router.post("/2fa/verify", verifyTwoFactorLogin); // login step 2
+router.post("/2fa/sms", sendTwoFactorSms); // fallback code to verified phone
+router.get("/2fa", auth, twoFactorStatus);
+router.post("/2fa/setup", auth, setupTwoFactor);
+router.post("/2fa/confirm", auth, confirmTwoFactor);
+router.post("/2fa/disable", auth, disableTwoFactor);
+router.post("/2fa/backup-codes", auth, regenerateBackupCodes);
 // GET current user profile
 router.get("/me", auth, async (req, res) => {
   const userId = req.user.id;
@@ -3,6 +3,8 @@ const express = require("express");
 // db exports: { query, getPool }
 const db = require("../config/db");
 const auth = require("../middlewares/authMiddleware");
+const { requireRole } = require("../middlewares/requireRole");
+const { sendMail } = require("../services/mail");
 const router = express.Router();
 
 // try to require generatePresignedUrl if available
@@ -16,13 +18,27 @@ try {
 // small env helper used in error mapping
 const isDev = process.env.NODE_ENV !== "production";
 
-/* Helper middleware */
-function requireProfessor(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: "Not authenticated" });
-  // optional: enforce role if you want in future (commented out intentionally)
-  // if (req.user.user_type !== "professor") return res.status(403).json({ error: "Professor role required" });
-  next();
+/* Helper middleware: verified professors only (admins pass too). The
+   professor account type is self-declared at signup; an admin verifies it. */
+async function requireVerifiedProfessor(req, res, next) {
+  if (req.user.roles.includes("admin")) return next();
+  try {
+    const { rows } = await db.query(
+      "SELECT verified FROM users WHERE id = $1 LIMIT 1",
+      [req.user.id]
+    );
+    if (!rows[0]?.verified) {
+      return res
+        .status(403)
+        .json({ error: "Your professor account is not verified yet" });
+    }
+    return next();
+  } catch (err) {
+    console.error("requireVerifiedProfessor error:", err);
+    return res.status(500).json({ error: "Failed to check permissions" });
+  }
 }
+const requireProfessor = [requireRole("professor"), requireVerifiedProfessor];
 
 /* Utility: local YYYY-MM-DD helpers (server LOCAL timezone) */
 function todayIso() {
@@ -40,6 +56,42 @@ function dateOnlyLocalString(d) {
   const day = String(dt.getDate()).padStart(2, "0");
   return `${y}-${m}-${day}`;
 }
+function timeLocalString(d) {
+  const dt = new Date(d);
+  return `${String(dt.getHours()).padStart(2, "0")}:${String(
+    dt.getMinutes()
+  ).padStart(2, "0")}`;
+}
+
+/* Email the requester that their booking was accepted (best effort) */
+async function sendBookingAcceptedEmail({ requesterId, professorId, slotInstance }) {
+  try {
+    const { rows } = await db.query(
+      `SELECT id, email, first_name, last_name FROM users WHERE id = ANY($1::uuid[])`,
+      [[requesterId, professorId]]
+    );
+    const requester = rows.find((u) => String(u.id) === String(requesterId));
+    const professor = rows.find((u) => String(u.id) === String(professorId));
+    if (!requester || !requester.email) return;
+
+    await sendMail({
+      to: requester.email,
+      template: "booking_accepted",
+      data: {
+        firstName: requester.first_name,
+        professorName: professor
+          ? `${professor.first_name || ""} ${professor.last_name || ""}`.trim()
+          : "Your professor",
+        date: dateOnlyLocalString(slotInstance.start_ts),
+        startTime: timeLocalString(slotInstance.start_ts),
+        endTime: timeLocalString(slotInstance.end_ts),
+      },
+      userId: requester.id,
+    });
+  } catch (err) {
+    console.error("booking accepted email failed:", err && err.message);
+  }
+}
 
 /* ----------------------------
  GET /api/week?start=YYYY-MM-DD
@@ -809,6 +861,13 @@ router.post(
 
       await client.query("COMMIT");
 
+      // not awaited: the booking is made whether or not the email goes out
+      sendBookingAcceptedEmail({
+        requesterId: br.requester_id,
+        professorId: ownerProfessorId,
+        slotInstance: si,
+      });
+
       // success: return created booking
       return res.json({ booking: bookingRes.rows[0] });
     } catch (err) {
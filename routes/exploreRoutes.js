@@ -56,6 +56,7 @@ router.get("/professors", auth, async (req, res) => {
         SELECT COUNT(*)::int AS cnt
         FROM users u
         WHERE u.user_type = 'professor'
+          AND u.deactivated_at IS NULL
           AND u.university = $2
           AND NOT EXISTS (
             SELECT 1 FROM blocks b
@@ -71,6 +72,7 @@ router.get("/professors", auth, async (req, res) => {
                u.followers_count, u.created_at
         FROM users u
         WHERE u.user_type = 'professor'
+          AND u.deactivated_at IS NULL
           AND u.university = $2
           AND NOT EXISTS (
             SELECT 1 FROM blocks b
@@ -88,6 +90,7 @@ router.get("/professors", auth, async (req, res) => {
           SELECT COUNT(*)::int AS cnt
           FROM users u
           WHERE u.user_type = 'professor'
+            AND u.deactivated_at IS NULL
             AND (u.university IS NULL OR u.university <> $2)
             AND NOT EXISTS (
               SELECT 1 FROM blocks b
@@ -103,6 +106,7 @@ router.get("/professors", auth, async (req, res) => {
                  u.followers_count, u.created_at
           FROM users u
           WHERE u.user_type = 'professor'
+            AND u.deactivated_at IS NULL
             AND (u.university IS NULL OR u.university <> $2)
             AND NOT EXISTS (
               SELECT 1 FROM blocks b
@@ -119,6 +123,7 @@ router.get("/professors", auth, async (req, res) => {
           SELECT COUNT(*)::int AS cnt
           FROM users u
           WHERE u.user_type = 'professor'
+            AND u.deactivated_at IS NULL
             AND NOT EXISTS (
               SELECT 1 FROM blocks b
               WHERE (b.blocker_id = $1 AND b.blocked_id = u.id)
@@ -133,6 +138,7 @@ router.get("/professors", auth, async (req, res) => {
                  u.followers_count, u.created_at
           FROM users u
           WHERE u.user_type = 'professor'
+            AND u.deactivated_at IS NULL
             AND NOT EXISTS (
               SELECT 1 FROM blocks b
               WHERE (b.blocker_id = $1 AND b.blocked_id = u.id)
@@ -245,6 +251,7 @@ router.get("/people", auth, async (req, res) => {
         SELECT COUNT(*)::int AS cnt
         FROM users u
         WHERE u.user_type = 'student'
+          AND u.deactivated_at IS NULL
           AND u.id <> $1
           AND u.university = $2
           AND NOT EXISTS (
@@ -261,6 +268,7 @@ router.get("/people", auth, async (req, res) => {
                u.interests, u.followers_count, u.created_at
         FROM users u
         WHERE u.user_type = 'student'
+          AND u.deactivated_at IS NULL
           AND u.id <> $1
           AND u.university = $2
           AND NOT EXISTS (
@@ -279,6 +287,7 @@ router.get("/people", auth, async (req, res) => {
           SELECT COUNT(*)::int AS cnt
           FROM users u
           WHERE u.user_type = 'student'
+            AND u.deactivated_at IS NULL
             AND u.id <> $1
             AND (u.university IS NULL OR u.university <> $2)
             AND NOT EXISTS (
@@ -295,6 +304,7 @@ router.get("/people", auth, async (req, res) => {
                  u.interests, u.followers_count, u.created_at
           FROM users u
           WHERE u.user_type = 'student'
+            AND u.deactivated_at IS NULL
             AND u.id <> $1
             AND (u.university IS NULL OR u.university <> $2)
             AND NOT EXISTS (
@@ -312,6 +322,7 @@ router.get("/people", auth, async (req, res) => {
           SELECT COUNT(*)::int AS cnt
           FROM users u
           WHERE u.user_type = 'student'
+            AND u.deactivated_at IS NULL
             AND u.id <> $1
             AND NOT EXISTS (
               SELECT 1 FROM blocks b
@@ -327,6 +338,7 @@ router.get("/people", auth, async (req, res) => {
                  u.interests, u.followers_count, u.created_at
           FROM users u
           WHERE u.user_type = 'student'
+            AND u.deactivated_at IS NULL
             AND u.id <> $1
             AND NOT EXISTS (
               SELECT 1 FROM blocks b
@@ -427,6 +439,7 @@ router.get("/clubs", auth, async (req, res) => {
         SELECT id, first_name, last_name, profile AS profile_key, university
         FROM users
         WHERE user_type = 'club'
+          AND deactivated_at IS NULL
           AND university = $1
         ORDER BY created_at DESC
         OFFSET $2 LIMIT $3
@@ -439,6 +452,7 @@ router.get("/clubs", auth, async (req, res) => {
     SELECT id, first_name, last_name, profile AS profile_key, university
     FROM users
     WHERE user_type = 'club'
+      AND deactivated_at IS NULL
       AND (university IS NULL OR university <> $1)
     ORDER BY created_at DESC
     OFFSET $2 LIMIT $3
@@ -450,6 +464,7 @@ router.get("/clubs", auth, async (req, res) => {
     SELECT id, first_name, last_name, profile AS profile_key, university
     FROM users
     WHERE user_type = 'club'
+      AND deactivated_at IS NULL
     ORDER BY created_at DESC
     OFFSET $1 LIMIT $2
   `;
@@ -1,62 +1,140 @@
 const express = require("express");
-const { Resend } = require("resend"); // <-- destructure here
 const router = express.Router();
 const pool = require("../config/db");
-const resend = new Resend(process.env.RESEND_API_KEY);
-// In-memory store (for production use DB/Redis)
-const otpStoreForgot = new Map();
-const generateOtp = () =>
-  Math.floor(100000 + Math.random() * 900000).toString();
-const OTP_EXPIRY = 5 * 60 * 1000; // 5 minutes
+const { createResetToken } = require("../services/passwordResetService");
+const { maskEmail } = require("../services/emailChangeService");
+const { maskPhone } = require("../services/phoneService");
+const { sendSms } = require("../services/sms");
+const { getClientIp } = require("../services/sessionService");
+const { otpService, OTP_MESSAGES } = require("../services/otp");
+const { sendMail } = require("../services/mail");
+const {
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottled,
+} = require("../services/loginThrottle");
+
+const OTP_PURPOSE = "password_reset";
 
 // Send OTP for forgot password
+// { email, channel?: "recovery" | "sms" } - "recovery" mails the code to the
+// account's verified recovery email, "sms" texts it to the verified phone;
+// verify-otp still takes the sign-in email.
 router.post("/send-otp", async (req, res) => {
-  const { email } = req.body;
+  const { email, channel } = req.body;
   if (!email) return res.status(400).json({ msg: "Email is required" });
 
   try {
+    const emailLower = email.toLowerCase().trim();
     const checkEmail = await pool.query(
-      "SELECT 1 FROM users WHERE email = $1",
-      [email]
+      `SELECT id, recovery_email, recovery_email_verified, phone_number, phone_verified
+       FROM users WHERE email = $1`,
+      [emailLower]
     );
     if (checkEmail.rows.length === 0) {
       return res.status(400).json({ msg: "Email is not  registered" });
     }
 
-    const otp = generateOtp();
-    otpStoreForgot.set(email, { otp, expires: Date.now() + OTP_EXPIRY });
-    await resend.emails.send({
-      from: "Aroundu@aroundu.me", // must be verified in Resend
-      to: email,
-      subject: "Your Forgot Password OTP",
-      text: `Your OTP code is ${otp}. It expires in 5 minutes.`,
+    const account = checkEmail.rows[0];
+    if (channel === "sms" && (!account.phone_number || !account.phone_verified)) {
+      return res
+        .status(400)
+        .json({ msg: "No verified phone number on this account" });
+    }
+
+    let sendTo = emailLower;
+    if (channel === "recovery") {
+      const { recovery_email, recovery_email_verified } = account;
+      if (!recovery_email || !recovery_email_verified) {
+        return res
+          .status(400)
+          .json({ msg: "No verified recovery email on this account" });
+      }
+      sendTo = recovery_email;
+    }
+
+    const issued = await otpService.issue({
+      purpose: OTP_PURPOSE,
+      identifier: emailLower,
+      ip: getClientIp(req),
+    });
+    if (!issued.ok) {
+      res.set("Retry-After", String(issued.retryAfterSeconds));
+      return res.status(429).json({
+        msg: OTP_MESSAGES[issued.reason],
+        retryAfter: issued.retryAfterSeconds,
+      });
+    }
+
+    if (channel === "sms") {
+      await sendSms(
+        account.phone_number,
+        `Your AroundU password reset code is ${issued.code}. It expires in ${otpService.ttlMinutes} minutes.`,
+      );
+      return res.json({
+        msg: "OTP sent successfully",
+        sentTo: maskPhone(account.phone_number),
+      });
+    }
+
+    await sendMail({
+      to: sendTo,
+      template: "otp",
+      data: {
+        code: issued.code,
+        ttlMinutes: otpService.ttlMinutes,
+        purpose: "password_reset",
+      },
+      userId: account.id,
     });
-    res.json({ msg: "OTP sent successfully" });
+    res.json({ msg: "OTP sent successfully", sentTo: maskEmail(sendTo) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ msg: "Failed to send OTP" });
   }
 });
 
-// Verify OTP
-router.post("/verify-otp", (req, res) => {
+// Verify OTP -> returns a one-time resetToken for /api/auth/reset-password
+router.post("/verify-otp", async (req, res) => {
   const { email, otp } = req.body;
   if (!email || !otp)
     return res.status(400).json({ msg: "Email and OTP required" });
 
-  const record = otpStoreForgot.get(email);
-  if (!record) return res.json({ verified: false, msg: "OTP not found" });
+  try {
+    const emailLower = email.toLowerCase().trim();
+    const throttleIds = { account: emailLower, ip: getClientIp(req) };
+    const throttle = await checkThrottle("otp", throttleIds);
+    if (!throttle.allowed) return sendThrottled(res, throttle);
 
-  if (Date.now() > record.expires) {
-    otpStoreForgot.delete(email);
-    return res.json({ verified: false, msg: "OTP expired" });
-  }
+    const result = await otpService.verify({
+      purpose: OTP_PURPOSE,
+      identifier: emailLower,
+      code: otp,
+    });
+    if (!result.ok) {
+      await recordFailure("otp", throttleIds);
+      return res.json({
+        verified: false,
+        msg: OTP_MESSAGES[result.reason],
+        attemptsLeft: result.attemptsLeft,
+      });
+    }
+
+    await clearFailures("otp", emailLower);
 
-  if (record.otp !== otp)
-    return res.json({ verified: false, msg: "Invalid OTP" });
+    const reset = await createResetToken(emailLower);
+    if (!reset) return res.json({ verified: false, msg: "Email is not registered" });
 
-  otpStoreForgot.delete(email);
-  res.json({ verified: true });
+    res.json({
+      verified: true,
+      resetToken: reset.token,
+      expiresInMinutes: reset.expiresInMinutes,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Failed to verify OTP" });
+  }
 });
 
 module.exports = router;
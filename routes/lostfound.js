@@ -34,6 +34,8 @@ router.get("/", auth, async (req, res) => {
       FROM lost_and_found l
       LEFT JOIN users u ON u.id = l.reported_by
       WHERE 1=1
+        -- hide items of deactivated accounts (grace period)
+        AND u.deactivated_at IS NULL
     `;
     const params = [currentUserId];
 
@@ -197,12 +199,19 @@ router.post("/claim", auth, async (req, res) => {
     if (!reported_item_id)
       return res.status(400).json({ error: "Item ID is required" });
 
+    // only items still listed (reporter not deactivated)
     const sql = `
       INSERT INTO claims (reported_item_id, claimed_person_id)
-      VALUES ($1,$2)
+      SELECT l.id, $2
+      FROM lost_and_found l
+      LEFT JOIN users u ON u.id = l.reported_by
+      WHERE l.id = $1 AND u.deactivated_at IS NULL
       RETURNING *
     `;
     const result = await pool.query(sql, [reported_item_id, claimed_person_id]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: "Item not found" });
+    }
 
     res.status(201).json({ claim: result.rows[0] });
   } catch (err) {
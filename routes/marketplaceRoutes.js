@@ -5,7 +5,12 @@ const multer = require("multer");
 const pool = require("../config/db");
 const requireAuth = require("../middlewares/authMiddleware");
 
-const uploadToS3 = require("../config/s3Upload");
+const {
+  ImageRejectedError,
+  assertImage,
+  processAndUploadImage,
+  variantUrls,
+} = require("../services/imagePipeline");
 const generatePresignedUrl = require("../config/generatePresignedUrl");
 
 const upload = multer({ storage: multer.memoryStorage() });
@@ -41,17 +46,21 @@ router.get("/", requireAuth, async (req, res) => {
         u.first_name,
         u.last_name,
 
-        (
-          SELECT mi.image_url
-          FROM marketplace_listing_images mi
-          WHERE mi.listing_id = ml.id
-          ORDER BY mi.sort_order ASC, mi.created_at ASC
-          LIMIT 1
-        ) AS thumbnail
+        cover.image_url AS thumbnail,
+        cover.variants AS thumbnail_variants,
+        cover.blurhash AS thumbnail_blurhash
       FROM marketplace_listings ml
       JOIN users u ON u.id = ml.seller_id
+      LEFT JOIN LATERAL (
+        SELECT mi.image_url, mi.variants, mi.blurhash
+        FROM marketplace_listing_images mi
+        WHERE mi.listing_id = ml.id
+        ORDER BY mi.sort_order ASC, mi.created_at ASC
+        LIMIT 1
+      ) cover ON true
       WHERE
         ml.status = 'available'
+        AND u.deactivated_at IS NULL
         AND (
           ml.visibility = 'public'
           OR (ml.visibility = 'university' AND ml.university = $1)
@@ -70,6 +79,7 @@ router.get("/", requireAuth, async (req, res) => {
     const items = rows.map((r) => ({
       ...r,
       thumbnail: r.thumbnail ? generatePresignedUrl(r.thumbnail) : null,
+      thumbnail_variants: variantUrls(r.thumbnail_variants),
     }));
 
     const last = rows[rows.length - 1];
@@ -116,17 +126,21 @@ router.get("/search", requireAuth, async (req, res) => {
         u.first_name,
         u.last_name,
 
-        (
-          SELECT mi.image_url
-          FROM marketplace_listing_images mi
-          WHERE mi.listing_id = ml.id
-          ORDER BY mi.sort_order ASC, mi.created_at ASC
-          LIMIT 1
-        ) AS thumbnail
+        cover.image_url AS thumbnail,
+        cover.variants AS thumbnail_variants,
+        cover.blurhash AS thumbnail_blurhash
       FROM marketplace_listings ml
       JOIN users u ON u.id = ml.seller_id
+      LEFT JOIN LATERAL (
+        SELECT mi.image_url, mi.variants, mi.blurhash
+        FROM marketplace_listing_images mi
+        WHERE mi.listing_id = ml.id
+        ORDER BY mi.sort_order ASC, mi.created_at ASC
+        LIMIT 1
+      ) cover ON true
       WHERE
         ml.status = 'available'
+        AND u.deactivated_at IS NULL
         AND (
           ml.visibility = 'public'
           OR (ml.visibility = 'university' AND ml.university = $1)
@@ -145,6 +159,7 @@ router.get("/search", requireAuth, async (req, res) => {
     const items = rows.map((r) => ({
       ...r,
       thumbnail: r.thumbnail ? generatePresignedUrl(r.thumbnail) : null,
+      thumbnail_variants: variantUrls(r.thumbnail_variants),
     }));
 
     const last = rows[rows.length - 1];
@@ -188,6 +203,8 @@ router.post("/", requireAuth, upload.array("images", 6), async (req, res) => {
     if (files.length === 0) {
       return res.status(400).json({ message: "At least 1 image is required" });
     }
+    // check every file before creating anything
+    for (const f of files) await assertImage(f.buffer);
 
     // ✅ 1) insert listing (include university to avoid NOT NULL issues)
     const listingRes = await pool.query(
@@ -219,15 +236,24 @@ router.post("/", requireAuth, upload.array("images", 6), async (req, res) => {
     for (let i = 0; i < files.length; i++) {
       const f = files[i];
 
-      const key = await uploadToS3(f.buffer, f.originalname, f.mimetype);
+      const image = await processAndUploadImage(f.buffer);
 
       const imgRes = await pool.query(
         `
-        INSERT INTO marketplace_listing_images (listing_id, image_url, sort_order)
-        VALUES ($1,$2,$3)
+        INSERT INTO marketplace_listing_images
+          (listing_id, image_url, sort_order, variants, blurhash, width, height)
+        VALUES ($1,$2,$3,$4,$5,$6,$7)
         RETURNING *;
         `,
-        [listing.id, key, i]
+        [
+          listing.id,
+          image.key,
+          i,
+          image.variants,
+          image.blurhash,
+          image.width,
+          image.height,
+        ]
       );
 
       imageRows.push(imgRes.rows[0]);
@@ -236,10 +262,14 @@ router.post("/", requireAuth, upload.array("images", 6), async (req, res) => {
     const images = imageRows.map((img) => ({
       ...img,
       presignedUrl: generatePresignedUrl(img.image_url),
+      variants: variantUrls(img.variants),
     }));
 
     return res.status(201).json({ listing, images });
   } catch (err) {
+    if (err instanceof ImageRejectedError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("Create listing error:", err);
     return res.status(500).json({
       message: "Server error",
@@ -270,6 +300,7 @@ u.email AS seller_email
 FROM marketplace_listings ml
 JOIN users u ON u.id = ml.seller_id
 WHERE ml.id = $1
+AND u.deactivated_at IS NULL
 AND (
 ml.visibility = 'public'
 OR (ml.visibility = 'university' AND ml.university = $2)
@@ -286,7 +317,7 @@ LIMIT 1;
 
     const imgRes = await pool.query(
       `
-      SELECT id, listing_id, image_url, sort_order, created_at
+      SELECT id, listing_id, image_url, sort_order, variants, blurhash, width, height, created_at
       FROM marketplace_listing_images
       WHERE listing_id = $1
       ORDER BY sort_order ASC, created_at ASC;
@@ -297,6 +328,7 @@ LIMIT 1;
     const images = imgRes.rows.map((img) => ({
       ...img,
       presignedUrl: generatePresignedUrl(img.image_url),
+      variants: variantUrls(img.variants),
     }));
 
     res.json({
@@ -333,15 +365,18 @@ router.get("/mine/list", requireAuth, async (req, res) => {
         ml.id, ml.title, ml.description, ml.price, ml.currency,
         ml.condition, ml.category, ml.location, ml.status, ml.visibility, ml.created_at,
         u.id AS seller_id, u.first_name, u.last_name,
-        (
-          SELECT mi.image_url
-          FROM marketplace_listing_images mi
-          WHERE mi.listing_id = ml.id
-          ORDER BY mi.sort_order ASC, mi.created_at ASC
-          LIMIT 1
-        ) AS thumbnail
+        cover.image_url AS thumbnail,
+        cover.variants AS thumbnail_variants,
+        cover.blurhash AS thumbnail_blurhash
       FROM marketplace_listings ml
       JOIN users u ON u.id = ml.seller_id
+      LEFT JOIN LATERAL (
+        SELECT mi.image_url, mi.variants, mi.blurhash
+        FROM marketplace_listing_images mi
+        WHERE mi.listing_id = ml.id
+        ORDER BY mi.sort_order ASC, mi.created_at ASC
+        LIMIT 1
+      ) cover ON true
       WHERE ml.seller_id = $1 AND ml.status <> 'deleted'
         AND (
           $2::timestamptz IS NULL
@@ -356,6 +391,7 @@ router.get("/mine/list", requireAuth, async (req, res) => {
     const items = rows.map((r) => ({
       ...r,
       thumbnail: r.thumbnail ? generatePresignedUrl(r.thumbnail) : null,
+      thumbnail_variants: variantUrls(r.thumbnail_variants),
     }));
 
     const last = rows[rows.length - 1];
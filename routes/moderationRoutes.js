@@ -3,6 +3,11 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../config/db");
 const auth = require("../middlewares/authMiddleware");
+const { requirePermission } = require("../middlewares/requireRole");
+
+// report kind -> table
+const REPORT_TABLES = { post: "post_reports", user: "user_reports" };
+const REVIEW_STATUSES = ["open", "resolved", "dismissed"];
 
 /**
  * POST /api/moderation/report/post/:postId
@@ -112,4 +117,90 @@ router.delete("/block/:userId", auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/moderation/reports/:kind?status=open
+ * kind: 'post' | 'user'  (moderators / admins)
+ */
+router.get(
+  "/reports/:kind",
+  auth,
+  requirePermission("reports:read"),
+  async (req, res) => {
+    const table = REPORT_TABLES[req.params.kind];
+    const status = req.query.status || "open";
+
+    if (!table) {
+      return res.status(400).json({ error: "kind must be 'post' or 'user'" });
+    }
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    try {
+      const { rows } = await pool.query(
+        `
+        SELECT r.*,
+               u.first_name || ' ' || u.last_name AS reporter
+        FROM ${table} r
+        JOIN users u ON u.id = r.reporter_id
+        WHERE r.status = $1
+        ORDER BY r.created_at DESC
+        LIMIT 100
+        `,
+        [status]
+      );
+
+      return res.json({ reports: rows });
+    } catch (err) {
+      console.error("Error fetching reports:", err);
+      return res.status(500).json({ error: "Failed to fetch reports" });
+    }
+  }
+);
+
+/**
+ * PATCH /api/moderation/reports/:kind/:id
+ * Body: { status: 'resolved' | 'dismissed' | 'open', note?: string }
+ */
+router.patch(
+  "/reports/:kind/:id",
+  auth,
+  requirePermission("reports:review"),
+  async (req, res) => {
+    const table = REPORT_TABLES[req.params.kind];
+    const { status, note } = req.body;
+
+    if (!table) {
+      return res.status(400).json({ error: "kind must be 'post' or 'user'" });
+    }
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    try {
+      const { rows } = await pool.query(
+        `
+        UPDATE ${table}
+        SET status = $2,
+            review_note = $3,
+            reviewed_by = $4,
+            reviewed_at = now()
+        WHERE id = $1
+        RETURNING *
+        `,
+        [req.params.id, status, note || null, req.user.id]
+      );
+
+      if (!rows.length) {
+        return res.status(404).json({ error: "Report not found" });
+      }
+
+      return res.json({ report: rows[0] });
+    } catch (err) {
+      console.error("Error reviewing report:", err);
+      return res.status(500).json({ error: "Failed to review report" });
+    }
+  }
+);
+
 module.exports = router;
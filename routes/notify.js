@@ -1,12 +1,23 @@
 const pool = require("../config/db");
 
+// sent by the system itself (no actor), e.g. security alerts
+const SYSTEM_TYPES = new Set([
+  "new_sign_in",
+  "data_export_ready",
+  "video_ready",
+  "video_failed",
+]);
+
 module.exports = async function notify(
   io,
   { toUserId, actorId, type, entityId, entityType, data = {} },
 ) {
   try {
     // ❌ 1. prevent self notifications
-    if (!toUserId || !actorId || toUserId === actorId) {
+    if (!toUserId || toUserId === actorId) {
+      return null;
+    }
+    if (!actorId && !SYSTEM_TYPES.has(type)) {
       return null;
     }
 
@@ -34,7 +45,7 @@ module.exports = async function notify(
        (user_id, actor_id, type, entity_id, entity_type, data)
        VALUES ($1,$2,$3,$4,$5,$6)
        RETURNING *`,
-      [toUserId, actorId, type, entityId, entityType, data],
+      [toUserId, actorId || null, type, entityId, entityType, data],
     );
 
     const notification = result.rows[0];
@@ -1,16 +1,23 @@
 // otpRoutes.js
 const express = require("express");
-const crypto = require("crypto");
-const { Resend } = require("resend"); // <-- destructure here
 const router = express.Router();
-const resend = new Resend(process.env.RESEND_API_KEY);
+const pool = require("../config/db");
+const auth = require("../middlewares/authMiddleware");
+const {
+  signEmailVerificationToken,
+  markVerifiedStudent,
+} = require("../services/universityDomainService");
+const { getClientIp } = require("../services/sessionService");
+const { otpService, OTP_MESSAGES } = require("../services/otp");
+const { sendMail, localeFromRequest } = require("../services/mail");
+const {
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottled,
+} = require("../services/loginThrottle");
 
-// In-memory OTP store
-const otpStore = new Map(); // key: email, value: { otp, expires }
-
-const generateOtp = () =>
-  Math.floor(100000 + Math.random() * 900000).toString(); // 6 digits
-const OTP_EXPIRY = 5 * 60 * 1000; // 5 minutes
+const OTP_PURPOSE = "email_verification";
 
 // Send OTP
 router.post("/send-otp", async (req, res) => {
@@ -18,16 +25,29 @@ router.post("/send-otp", async (req, res) => {
   if (!email) return res.status(400).json({ msg: "Email is required" });
 
   try {
-    const otp = generateOtp();
-    const expires = Date.now() + OTP_EXPIRY;
-
-    otpStore.set(email, { otp, expires });
+    const emailLower = email.toLowerCase().trim();
+    const issued = await otpService.issue({
+      purpose: OTP_PURPOSE,
+      identifier: emailLower,
+      ip: getClientIp(req),
+    });
+    if (!issued.ok) {
+      res.set("Retry-After", String(issued.retryAfterSeconds));
+      return res.status(429).json({
+        msg: OTP_MESSAGES[issued.reason],
+        retryAfter: issued.retryAfterSeconds,
+      });
+    }
 
-    await resend.emails.send({
-      from: "AroundU@aroundu.me", // change to your verified sender
-      to: email,
-      subject: "Your OTP Code",
-      text: `Your OTP code is ${otp}. It expires in 5 minutes.`,
+    await sendMail({
+      to: emailLower,
+      template: "otp",
+      data: {
+        code: issued.code,
+        ttlMinutes: otpService.ttlMinutes,
+        purpose: "email_verification",
+      },
+      locale: localeFromRequest(req),
     });
 
     res.json({ msg: "OTP sent successfully" });
@@ -38,25 +58,92 @@ router.post("/send-otp", async (req, res) => {
 });
 
 // Verify OTP
-router.post("/verify-otp", (req, res) => {
+router.post("/verify-otp", async (req, res) => {
   const { email, otp } = req.body;
   if (!email || !otp)
     return res.status(400).json({ msg: "Email and OTP required" });
 
-  const record = otpStore.get(email);
-  if (!record)
-    return res.status(400).json({ verified: false, msg: "OTP not found" });
+  try {
+    const emailLower = email.toLowerCase().trim();
+    const throttleIds = { account: emailLower, ip: getClientIp(req) };
+    const throttle = await checkThrottle("otp", throttleIds);
+    if (!throttle.allowed) return sendThrottled(res, throttle);
+
+    const result = await otpService.verify({
+      purpose: OTP_PURPOSE,
+      identifier: emailLower,
+      code: otp,
+    });
+    if (!result.ok) {
+      await recordFailure("otp", throttleIds);
+      return res.status(400).json({
+        verified: false,
+        msg: OTP_MESSAGES[result.reason],
+        attemptsLeft: result.attemptsLeft,
+      });
+    }
+
+    await clearFailures("otp", emailLower);
 
-  if (Date.now() > record.expires) {
-    otpStore.delete(email);
-    return res.status(400).json({ verified: false, msg: "OTP expired" });
+    // pass this to /api/auth/register to get verified_student status
+    res.json({
+      verified: true,
+      emailVerificationToken: signEmailVerificationToken(emailLower),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Failed to verify OTP" });
   }
+});
+
+// Verify student status for an existing account
+// (send the OTP to the account email first via /send-otp)
+router.post("/verify-student", auth, async (req, res) => {
+  const { otp } = req.body;
+  if (!otp) return res.status(400).json({ msg: "OTP required" });
+
+  try {
+    const userRes = await pool.query(
+      "SELECT email, verified_student FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    const user = userRes.rows[0];
+    if (!user) return res.status(404).json({ msg: "User not found" });
+    if (user.verified_student) return res.json({ verified_student: true });
+
+    const emailLower = user.email.toLowerCase().trim();
+    const throttleIds = { account: emailLower, ip: getClientIp(req) };
+    const throttle = await checkThrottle("otp", throttleIds);
+    if (!throttle.allowed) return sendThrottled(res, throttle);
 
-  if (record.otp !== otp)
-    return res.status(400).json({ verified: false, msg: "Invalid OTP" });
+    const result = await otpService.verify({
+      purpose: OTP_PURPOSE,
+      identifier: emailLower,
+      code: otp,
+    });
+    if (!result.ok) {
+      await recordFailure("otp", throttleIds);
+      return res.status(400).json({
+        verified: false,
+        msg: OTP_MESSAGES[result.reason],
+        attemptsLeft: result.attemptsLeft,
+      });
+    }
+
+    await clearFailures("otp", emailLower);
+    const verified = await markVerifiedStudent(req.user.id);
+    if (!verified) {
+      return res.status(400).json({
+        verified_student: false,
+        msg: "Your email does not belong to your university's domains",
+      });
+    }
 
-  otpStore.delete(email);
-  res.json({ verified: true });
+    res.json({ verified_student: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Failed to verify student status" });
+  }
 });
 
 module.exports = router;
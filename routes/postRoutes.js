@@ -1,18 +1,132 @@
 // routes/postRoutes.js
 const express = require("express");
 const multer = require("multer");
-const uploadToS3 = require("../config/s3Upload");
+const os = require("os");
+const fs = require("fs");
+const {
+  ImageRejectedError,
+  assertImage,
+  processAndUploadImage,
+} = require("../services/imagePipeline");
 const pool = require("../config/db");
 const router = express.Router();
 const auth = require("../middlewares/authMiddleware");
 const generatePresignedUrl = require("../config/generatePresignedUrl");
+const {
+  POST_EDIT_MESSAGES,
+  editPost,
+  getPostHistory,
+} = require("../services/postRevisionService");
+const {
+  MAX_POST_IMAGES,
+  parseAltTexts,
+  insertPostImages,
+  getPostImages,
+  toPublicImage,
+} = require("../services/postImageService");
+const {
+  VIDEO_MAX_BYTES,
+  videoFields,
+  createVideoPost,
+} = require("../services/videoProcessingService");
+const {
+  POLL_MESSAGES,
+  parsePollInput,
+  parseOptionIds,
+  createPollPost,
+  getPolls,
+  vote,
+  unvote,
+  getVoters,
+} = require("../services/pollService");
+const {
+  EVENT_MESSAGES,
+  parseEventInput,
+  createEventPost,
+  getEvents,
+  rsvp,
+  cancelRsvp,
+  getAttendees,
+  getEventIcs,
+} = require("../services/eventService");
+const {
+  COMMENT_MESSAGES,
+  resolveParent,
+  listComments,
+  deleteComment,
+} = require("../services/commentService");
+const {
+  MENTION_MESSAGES,
+  resolveMentions,
+  notifyMentions,
+} = require("../services/mentionService");
+const { canonicalTag, setPostHashtags } = require("../services/hashtagService");
+const { canViewPost } = require("../services/postAccess");
+const {
+  CURSOR_MESSAGES,
+  parseCursorParam,
+  parsePaging,
+  keysetClause,
+  paginate,
+} = require("../services/cursor");
+const {
+  WEIGHTS: RANKING_WEIGHTS,
+  rankCandidates,
+} = require("../services/feedRanking");
+const { requirePermission } = require("../middlewares/requireRole");
+const { inTransaction } = require("../services/roleService");
 
 // notification helper
 const notify = require("./notify");
 
+// /feed/all orderings: newest first, or scored "For You"
+const FEED_MODES = ["latest", "ranked"];
+
 const storage = multer.memoryStorage();
 const upload = multer({ storage });
 
+// video posts go to a temp file; the worker streams them from S3 later
+const videoUpload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: VIDEO_MAX_BYTES },
+  fileFilter: (req, file, cb) =>
+    file.mimetype && file.mimetype.startsWith("video/")
+      ? cb(null, true)
+      : cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname)),
+}).single("video");
+function uploadVideo(req, res, next) {
+  videoUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        error:
+          err.code === "LIMIT_FILE_SIZE"
+            ? `Video must be at most ${Math.round(VIDEO_MAX_BYTES / (1024 * 1024))} MB`
+            : "Upload a single video file as \"video\"",
+      });
+    }
+    next(err);
+  });
+}
+
+// photo posts: "image" (single, older clients) and/or "images" (carousel)
+const receivePostImages = upload.fields([
+  { name: "image", maxCount: 1 },
+  { name: "images", maxCount: MAX_POST_IMAGES },
+]);
+function uploadPostImages(req, res, next) {
+  receivePostImages(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        error:
+          err.code === "LIMIT_UNEXPECTED_FILE"
+            ? `Up to ${MAX_POST_IMAGES} images per post`
+            : err.message,
+      });
+    }
+    next(err);
+  });
+}
+
 /**
  * Helper: Build visibility clause for queries.
  * For feeds we only return posts that are either public OR
@@ -26,9 +140,11 @@ function safeEscapeSingleQuote(str) {
 
 /**
  * UPLOAD: POST /api/posts/upload
- * Accepts: image (file), caption, tags (JSON string or array), visibility ('public' | 'university')
+ * Accepts: images (files, up to MAX_POST_IMAGES, in display order) or a
+ * single image (file), altTexts (JSON array, one per image) or alt,
+ * caption, tags (JSON string or array), visibility ('public' | 'university')
  */
-router.post("/upload", auth, upload.single("image"), async (req, res) => {
+router.post("/upload", auth, uploadPostImages, async (req, res) => {
   try {
     const userId = req.user.id;
     const visibility =
@@ -37,34 +153,68 @@ router.post("/upload", auth, upload.single("image"), async (req, res) => {
     const rawTags = req.body.tags || "[]";
     const tagsArray = Array.isArray(rawTags) ? rawTags : JSON.parse(rawTags);
 
-    if (!req.file) {
+    const mentioned = await resolveMentions(caption, userId, { visibility });
+    if (!mentioned.ok) {
+      return res.status(400).json({ error: MENTION_MESSAGES[mentioned.reason] });
+    }
+
+    const files = [
+      ...((req.files && req.files.image) || []),
+      ...((req.files && req.files.images) || []),
+    ];
+    if (files.length === 0) {
       return res.status(400).json({ error: "No image uploaded" });
     }
+    if (files.length > MAX_POST_IMAGES) {
+      return res
+        .status(400)
+        .json({ error: `Up to ${MAX_POST_IMAGES} images per post` });
+    }
+
+    // check every file before uploading any of them
+    for (const f of files) await assertImage(f.buffer);
 
-    // Upload to S3
-    const imageBuffer = req.file.buffer;
-    const fileName = req.file.originalname;
-    const mimeType = req.file.mimetype;
-    const s3Key = await uploadToS3(imageBuffer, fileName, mimeType);
+    // Process (resize, strip EXIF, variants) and upload to S3, in order
+    const altTexts = parseAltTexts(req.body, files.length);
+    const images = [];
+    for (let i = 0; i < files.length; i++) {
+      const processed = await processAndUploadImage(files[i].buffer);
+      images.push({ ...processed, altText: altTexts[i] });
+    }
     const postype = "photo";
 
-    // Insert into DB
-    const insertSql = `
-      INSERT INTO posts (user_id, image_url, caption, tags, is_boosted, post_type, visibility)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *;
-    `;
-    const insertVals = [
-      userId,
-      s3Key,
-      caption,
-      tagsArray,
-      false,
-      postype,
-      visibility,
-    ];
-    const result = await pool.query(insertSql, insertVals);
-    const created = result.rows[0];
+    // Insert into DB (image_url = cover, i.e. the first image)
+    const { created, imageRows } = await inTransaction(async (client) => {
+      const insertSql = `
+        INSERT INTO posts (user_id, image_url, caption, tags, is_boosted, post_type, visibility, mentions)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *;
+      `;
+      const insertVals = [
+        userId,
+        images[0].key,
+        caption,
+        tagsArray,
+        false,
+        postype,
+        visibility,
+        JSON.stringify(mentioned.mentions),
+      ];
+      const result = await client.query(insertSql, insertVals);
+      const post = result.rows[0];
+      await setPostHashtags(client, post.id, tagsArray);
+      return {
+        created: post,
+        imageRows: await insertPostImages(client, post.id, images),
+      };
+    });
+
+    await notifyMentions({
+      mentions: created.mentions,
+      actorId: userId,
+      postId: created.id,
+      text: created.caption,
+    });
 
     // Fetch user info
     const userRes = await pool.query(
@@ -90,6 +240,7 @@ router.post("/upload", auth, upload.single("image"), async (req, res) => {
       tags: created.tags || [],
       is_boosted: created.is_boosted,
       created_at: created.created_at,
+      edited_at: null,
       visibility: created.visibility,
       like_count: 0,
       comment_count: 0,
@@ -97,6 +248,8 @@ router.post("/upload", auth, upload.single("image"), async (req, res) => {
       saved_by_me: false,
       liked_users: [],
       image_url: signedPostUrl,
+      images: imageRows.map(toPublicImage),
+      mentions: created.mentions || [],
       post_type: created.post_type,
       user: {
         id: userRow.id,
@@ -116,11 +269,351 @@ router.post("/upload", auth, upload.single("image"), async (req, res) => {
       post: normalizedPost,
     });
   } catch (err) {
+    if (err instanceof ImageRejectedError) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error("posts.upload error:", err && err.stack ? err.stack : err);
     return res.status(500).json({ error: "Upload failed" });
   }
 });
 
+/**
+ * VIDEO: POST /api/posts/video
+ * Accepts: video (file), caption, tags (JSON string or array), visibility
+ * Responds 202: the post stays media_status 'processing' (visible only to
+ * its owner) until it is transcoded; a video_ready / video_failed
+ * notification follows.
+ */
+router.post("/video", auth, uploadVideo, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "No video uploaded" });
+  }
+
+  try {
+    const userId = req.user.id;
+    const visibility =
+      req.body.visibility === "university" ? "university" : "public";
+    const caption = req.body.caption || null;
+    const rawTags = req.body.tags || "[]";
+    const tagsArray = Array.isArray(rawTags) ? rawTags : JSON.parse(rawTags);
+
+    const mentioned = await resolveMentions(caption, userId, { visibility });
+    if (!mentioned.ok) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ error: MENTION_MESSAGES[mentioned.reason] });
+    }
+
+    // mentions are notified once the video is ready
+    const created = await createVideoPost({
+      userId,
+      file: req.file,
+      caption,
+      tags: tagsArray,
+      visibility,
+      mentions: mentioned.mentions,
+    });
+
+    const post = await fetchPost(created.id, userId);
+    return res.status(202).json({
+      msg: "✅ Video uploaded, processing",
+      post,
+    });
+  } catch (err) {
+    fs.promises.unlink(req.file.path).catch(() => {});
+    console.error("posts.video error:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: "Upload failed" });
+  }
+});
+
+/**
+ * POLL: POST /api/posts/poll
+ * Body: question, options (2-6 strings), closesAt (optional ISO date),
+ * multipleChoice (default false), anonymous (default true), visibility, tags
+ */
+router.post("/poll", auth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { question, options, closesAt, multipleChoice, anonymous, tags } =
+      req.body;
+    const visibility =
+      req.body.visibility === "university" ? "university" : "public";
+
+    if (!question || typeof question !== "string" || !question.trim()) {
+      return res.status(400).json({ error: POLL_MESSAGES.question_required });
+    }
+    const parsed = parsePollInput({ options, closesAt, multipleChoice, anonymous });
+    if (!parsed.ok) {
+      return res.status(400).json({ error: POLL_MESSAGES[parsed.reason] });
+    }
+
+    const tagsArray = Array.isArray(tags)
+      ? tags.slice(0, 7)
+      : typeof tags === "string"
+        ? JSON.parse(tags).slice(0, 7)
+        : [];
+
+    const mentioned = await resolveMentions(question.trim(), userId, {
+      visibility,
+    });
+    if (!mentioned.ok) {
+      return res.status(400).json({ error: MENTION_MESSAGES[mentioned.reason] });
+    }
+
+    const created = await createPollPost({
+      userId,
+      question: question.trim(),
+      tags: tagsArray,
+      visibility,
+      poll: parsed.poll,
+      mentions: mentioned.mentions,
+    });
+    await notifyMentions({
+      mentions: created.mentions,
+      actorId: userId,
+      postId: created.id,
+      text: created.caption,
+    });
+
+    const post = await fetchPost(created.id, userId);
+    return res.status(201).json({ msg: "✅ Poll created successfully", post });
+  } catch (err) {
+    console.error("posts.poll error:", err);
+    return res.status(500).json({ error: "Failed to create poll" });
+  }
+});
+
+function sendPollError(res, reason) {
+  const status =
+    reason === "not_found" ? 404 : reason === "anonymous" ? 403 : 400;
+  return res.status(status).json({ error: POLL_MESSAGES[reason] });
+}
+
+/**
+ * VOTE: POST /api/posts/:postId/poll/vote  { optionId } or { optionIds: [] }
+ * Single-choice polls replace the previous vote.
+ */
+router.post("/:postId/poll/vote", auth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+    if (!(await canViewPost(postId, userId))) {
+      return sendPollError(res, "not_found");
+    }
+
+    const result = await vote({
+      postId,
+      userId,
+      optionIds: parseOptionIds(req.body || {}),
+    });
+    if (!result.ok) return sendPollError(res, result.reason);
+
+    res.json({ poll: result.poll });
+  } catch (err) {
+    console.error("❌ Poll vote error:", err);
+    res.status(500).json({ error: "Failed to vote" });
+  }
+});
+
+/**
+ * UNVOTE: DELETE /api/posts/:postId/poll/vote  { optionId | optionIds }
+ * Without options, removes all of the user's votes in the poll.
+ */
+router.delete("/:postId/poll/vote", auth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+    if (!(await canViewPost(postId, userId))) {
+      return sendPollError(res, "not_found");
+    }
+
+    const result = await unvote({
+      postId,
+      userId,
+      optionIds: parseOptionIds(req.body || {}),
+    });
+    if (!result.ok) return sendPollError(res, result.reason);
+
+    res.json({ poll: result.poll });
+  } catch (err) {
+    console.error("❌ Poll unvote error:", err);
+    res.status(500).json({ error: "Failed to remove vote" });
+  }
+});
+
+// VOTERS: GET /api/posts/:postId/poll/voters (named polls only)
+router.get("/:postId/poll/voters", auth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    if (!(await canViewPost(postId, req.user.id))) {
+      return sendPollError(res, "not_found");
+    }
+
+    const result = await getVoters(postId);
+    if (!result.ok) return sendPollError(res, result.reason);
+
+    res.json({ options: result.options });
+  } catch (err) {
+    console.error("❌ Poll voters error:", err);
+    res.status(500).json({ error: "Failed to fetch voters" });
+  }
+});
+
+/**
+ * EVENT: POST /api/posts/event  (clubs)
+ * Body: title, description, startsAt, endsAt, location, capacity (optional),
+ * rsvpDeadline (optional, defaults to the start), visibility, tags
+ */
+router.post(
+  "/event",
+  auth,
+  requirePermission("events:create"),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { description, tags } = req.body;
+      const visibility =
+        req.body.visibility === "university" ? "university" : "public";
+
+      const parsed = parseEventInput(req.body);
+      if (!parsed.ok) {
+        return res.status(400).json({ error: EVENT_MESSAGES[parsed.reason] });
+      }
+
+      const tagsArray = Array.isArray(tags)
+        ? tags.slice(0, 7)
+        : typeof tags === "string"
+          ? JSON.parse(tags).slice(0, 7)
+          : [];
+
+      const cleanDescription =
+        typeof description === "string" && description.trim()
+          ? description.trim()
+          : null;
+      // the caption is the description, or the title without one
+      const mentioned = await resolveMentions(
+        cleanDescription || parsed.event.title,
+        userId,
+        { visibility },
+      );
+      if (!mentioned.ok) {
+        return res
+          .status(400)
+          .json({ error: MENTION_MESSAGES[mentioned.reason] });
+      }
+
+      const created = await createEventPost({
+        userId,
+        description: cleanDescription,
+        tags: tagsArray,
+        visibility,
+        event: parsed.event,
+        mentions: mentioned.mentions,
+      });
+      await notifyMentions({
+        mentions: created.mentions,
+        actorId: userId,
+        postId: created.id,
+        text: created.caption,
+      });
+
+      const post = await fetchPost(created.id, userId);
+      return res.status(201).json({ msg: "✅ Event created successfully", post });
+    } catch (err) {
+      console.error("posts.event error:", err);
+      return res.status(500).json({ error: "Failed to create event" });
+    }
+  },
+);
+
+function sendEventError(res, reason) {
+  const status =
+    reason === "not_found"
+      ? 404
+      : reason === "forbidden"
+        ? 403
+        : reason === "full" || reason === "rsvp_closed"
+          ? 409
+          : 400;
+  return res.status(status).json({ error: EVENT_MESSAGES[reason] });
+}
+
+/**
+ * RSVP: PUT /api/posts/:postId/rsvp  { status: going | interested | not_going }
+ */
+router.put("/:postId/rsvp", auth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+    if (!(await canViewPost(postId, userId))) {
+      return sendEventError(res, "not_found");
+    }
+
+    const result = await rsvp({ postId, userId, status: (req.body || {}).status });
+    if (!result.ok) return sendEventError(res, result.reason);
+
+    res.json({ event: result.event });
+  } catch (err) {
+    console.error("❌ RSVP error:", err);
+    res.status(500).json({ error: "Failed to RSVP" });
+  }
+});
+
+// CANCEL RSVP: DELETE /api/posts/:postId/rsvp
+router.delete("/:postId/rsvp", auth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+    if (!(await canViewPost(postId, userId))) {
+      return sendEventError(res, "not_found");
+    }
+
+    const result = await cancelRsvp({ postId, userId });
+    if (!result.ok) return sendEventError(res, result.reason);
+
+    res.json({ event: result.event });
+  } catch (err) {
+    console.error("❌ Cancel RSVP error:", err);
+    res.status(500).json({ error: "Failed to cancel RSVP" });
+  }
+});
+
+// ATTENDEES: GET /api/posts/:postId/attendees (organizer only)
+router.get("/:postId/attendees", auth, async (req, res) => {
+  try {
+    const result = await getAttendees(req.params.postId, req.user.id);
+    if (!result.ok) return sendEventError(res, result.reason);
+
+    const { ok, ...attendees } = result;
+    res.json(attendees);
+  } catch (err) {
+    console.error("❌ Attendees error:", err);
+    res.status(500).json({ error: "Failed to fetch attendees" });
+  }
+});
+
+// CALENDAR: GET /api/posts/:postId/event.ics
+router.get("/:postId/event.ics", auth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    if (!(await canViewPost(postId, req.user.id))) {
+      return sendEventError(res, "not_found");
+    }
+
+    const ics = await getEventIcs(postId);
+    if (!ics) return sendEventError(res, "not_found");
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${ics.filename}"`,
+    );
+    res.send(ics.body);
+  } catch (err) {
+    console.error("❌ Event .ics error:", err);
+    res.status(500).json({ error: "Failed to export event" });
+  }
+});
+
 router.post("/discussion", auth, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -145,10 +638,17 @@ router.post("/discussion", auth, async (req, res) => {
       return res.status(400).json({ error: "Content is required" });
     }
 
+    const mentioned = await resolveMentions(content.trim(), userId, {
+      visibility: vis,
+    });
+    if (!mentioned.ok) {
+      return res.status(400).json({ error: MENTION_MESSAGES[mentioned.reason] });
+    }
+
     // insert into DB
     const insertSql = `
-      INSERT INTO posts (user_id, image_url, caption, tags, is_boosted, visibility, post_type)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO posts (user_id, image_url, caption, tags, is_boosted, visibility, post_type, mentions)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *;
     `;
     const insertVals = [
@@ -159,9 +659,18 @@ router.post("/discussion", auth, async (req, res) => {
       false,
       vis,
       "discussion",
+      JSON.stringify(mentioned.mentions),
     ];
     const result = await pool.query(insertSql, insertVals);
     const created = result.rows[0];
+    await setPostHashtags(pool, created.id, tagsArray);
+
+    await notifyMentions({
+      mentions: created.mentions,
+      actorId: userId,
+      postId: created.id,
+      text: created.caption,
+    });
 
     // fetch user info
     const userRes = await pool.query(
@@ -185,6 +694,7 @@ router.post("/discussion", auth, async (req, res) => {
       post_type: created.post_type,
       is_boosted: created.is_boosted,
       created_at: created.created_at,
+      edited_at: null,
       visibility: created.visibility,
       like_count: 0,
       comment_count: 0,
@@ -192,6 +702,8 @@ router.post("/discussion", auth, async (req, res) => {
       saved_by_me: false,
       liked_users: [],
       image_url: null,
+      images: [],
+      mentions: created.mentions || [],
       user: {
         id: userRow.id,
         first_name: userRow.first_name,
@@ -220,6 +732,15 @@ router.post("/discussion", auth, async (req, res) => {
  * Expects rows as returned by SQL queries selecting posts.* plus user fields
  */
 async function mapPosts(rows, loggedInUserId) {
+  const imagesByPost = await getPostImages(rows);
+  const pollsByPost = await getPolls(
+    rows.filter((p) => p.post_type === "poll").map((p) => p.id),
+    loggedInUserId,
+  );
+  const eventsByPost = await getEvents(
+    rows.filter((p) => p.post_type === "event").map((p) => p.id),
+    loggedInUserId,
+  );
   return Promise.all(
     rows.map(async (post) => {
       // compute follow_status
@@ -256,9 +777,12 @@ async function mapPosts(rows, loggedInUserId) {
         id: post.id,
         user_id: post.user_id,
         caption: post.caption,
+        // @mentions in the caption: [{ user_id, handle, name, offset, length }]
+        mentions: post.mentions || [],
         tags: post.tags || [],
         is_boosted: post.is_boosted,
         created_at: post.created_at,
+        edited_at: post.edited_at || null, // set once the owner edits it
         visibility: post.visibility,
         post_type: post.post_type,
         // engagement fields
@@ -267,8 +791,15 @@ async function mapPosts(rows, loggedInUserId) {
         liked_by_me: Boolean(post.liked_by_me),
         saved_by_me: Boolean(post.saved_by_me),
         liked_users: post.liked_users || [],
-        // imagemap
+        // imagemap (image_url = cover, images = full carousel in order)
         image_url: imageUrl,
+        images: imagesByPost.get(String(post.id)) || [],
+        // video posts (media_status 'processing' until transcoded)
+        ...videoFields(post),
+        // poll posts: options with live counts (null otherwise)
+        poll: pollsByPost.get(String(post.id)) || null,
+        // event posts: times, location, RSVP counts and my_rsvp (null otherwise)
+        event: eventsByPost.get(String(post.id)) || null,
         loggedinUser: loggedInUserId,
         // follow status
         follow_status,
@@ -292,16 +823,53 @@ async function mapPosts(rows, loggedInUserId) {
 /**
  * FEED: /feed/all
  * Returns posts respecting visibility rules (public OR university posts if requester in same uni).
- * Supports optional ?page=N and optional ?university=.. or ?course=.. to filter further.
+ * Supports optional ?cursor=.. (nextCursor of the previous page; ?page=N is
+ * deprecated) and optional ?university=.. or ?course=.. to filter further.
+ * ?mode=ranked orders recent posts by score instead of date ("For You", see
+ * services/feedRanking.js) and pages with ?page=N, since scores move between
+ * requests; add ?debug=1 for each post's score breakdown.
  */
 router.get("/feed/all", auth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page || "1", 10);
     const pageSize = 10;
-    const offset = (page - 1) * pageSize;
+    const paging = parsePaging(req.query, pageSize);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+    const { offset } = paging;
     const filterUniversity = req.query.university || null;
     const filterCourse = req.query.course || null;
     const currentUserId = req.user.id;
+    const mode = req.query.mode || "latest";
+
+    if (!FEED_MODES.includes(mode)) {
+      return res
+        .status(400)
+        .json({ error: `mode must be one of: ${FEED_MODES.join(", ")}` });
+    }
+
+    if (mode === "ranked") {
+      const ranked = await rankCandidates({
+        userId: currentUserId,
+        filterUniversity,
+        filterCourse,
+      });
+      const pageItems = ranked.slice(offset, offset + pageSize);
+      const posts = await fetchPostsByIds(
+        pageItems.map((r) => r.id),
+        currentUserId,
+      );
+
+      if (req.query.debug === "1" || req.query.debug === "true") {
+        const byId = new Map(pageItems.map((r) => [String(r.id), r]));
+        for (const post of posts) {
+          const { score, components, features } = byId.get(String(post.id));
+          post.ranking = { score, components, features };
+        }
+        return res.json({ mode, weights: RANKING_WEIGHTS, posts });
+      }
+      return res.json({ mode, posts });
+    }
 
     // get requester's university to allow university-visibility posts
     const meRes = await pool.query(
@@ -312,7 +880,7 @@ router.get("/feed/all", auth, async (req, res) => {
 
     // Build visibility SQL fragment
     let visClause;
-    const params = [offset, pageSize, currentUserId]; // $1 offset, $2 limit, $3 currentUserId
+    const params = [offset, paging.limit, currentUserId]; // $1 offset, $2 limit, $3 currentUserId
     if (requesterUniversity) {
       visClause =
         "(posts.visibility = 'public' OR (posts.visibility = 'university' AND users.university = $4))";
@@ -334,9 +902,17 @@ router.get("/feed/all", auth, async (req, res) => {
       filterSql += ` AND users.course = $${idx}`;
     }
 
+    const keysetSql = keysetClause(
+      paging.cursor,
+      params,
+      "posts.created_at",
+      "posts.id",
+    );
+
     const sql = `
       SELECT 
         posts.*,
+        posts.created_at::text AS cursor_at,
         users.first_name,
         users.last_name,
         users.profile,
@@ -354,9 +930,12 @@ router.get("/feed/all", auth, async (req, res) => {
       JOIN users ON posts.user_id = users.id
       LEFT JOIN post_likes pl ON posts.id = pl.post_id
       LEFT JOIN users u2 ON pl.user_id = u2.id
-      LEFT JOIN comments c ON posts.id = c.post_id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
       LEFT JOIN saved_posts sp ON posts.id = sp.post_id
       WHERE ${visClause}
+        AND users.deactivated_at IS NULL
+        -- videos still processing (or failed) are only visible to their owner
+        AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $3)
         AND NOT EXISTS (
           SELECT 1 FROM blocks b
           WHERE b.blocker_id = $3
@@ -368,20 +947,16 @@ router.get("/feed/all", auth, async (req, res) => {
             AND b2.blocked_id = $3
         )
         ${filterSql}
+      ${keysetSql}
       GROUP BY posts.id, users.id
-      ORDER BY posts.created_at DESC
+      ORDER BY posts.created_at DESC, posts.id DESC
       OFFSET $1::bigint LIMIT $2::bigint;
     `;
 
-    const finalParams = [offset, pageSize, currentUserId];
-    if (requesterUniversity) finalParams.push(requesterUniversity);
-    if (filterUniversity) finalParams.push(filterUniversity);
-    if (filterCourse) finalParams.push(filterCourse);
-
-    const result = await pool.query(sql, finalParams);
-    const posts = await mapPosts(result.rows, currentUserId);
-
-    res.json({ posts });
+    const result = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
+    const posts = await mapPosts(rows, currentUserId);
+    res.json({ posts, nextCursor });
   } catch (err) {
     console.error(
       "❌ Failed to fetch feed (all):",
@@ -397,9 +972,12 @@ router.get("/feed/all", auth, async (req, res) => {
  */
 router.get("/feed/interests", auth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page || "1", 10);
     const pageSize = 10;
-    const offset = (page - 1) * pageSize;
+    const paging = parsePaging(req.query, pageSize);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+    const { offset } = paging;
     const filterUniversity = req.query.university || null;
     const filterCourse = req.query.course || null;
     const currentUserId = req.user.id;
@@ -422,7 +1000,7 @@ router.get("/feed/interests", auth, async (req, res) => {
     const requesterUniversity = meRes.rows[0]?.university || null;
 
     let visClause;
-    const params = [offset, pageSize, currentUserId, interests]; // $4 = interests
+    const params = [offset, paging.limit, currentUserId, interests]; // $4 = interests
     if (requesterUniversity) {
       visClause =
         "(posts.visibility = 'public' OR (posts.visibility = 'university' AND users.university = $5))";
@@ -442,9 +1020,17 @@ router.get("/feed/interests", auth, async (req, res) => {
       filterSql += ` AND users.course = $${params.length}`;
     }
 
+    const keysetSql = keysetClause(
+      paging.cursor,
+      params,
+      "posts.created_at",
+      "posts.id",
+    );
+
     const sql = `
       SELECT
         posts.*,
+        posts.created_at::text AS cursor_at,
         users.first_name,
         users.last_name,
         users.profile,
@@ -462,9 +1048,12 @@ router.get("/feed/interests", auth, async (req, res) => {
       JOIN users ON posts.user_id = users.id
       LEFT JOIN post_likes pl ON posts.id = pl.post_id
       LEFT JOIN users u2 ON pl.user_id = u2.id
-      LEFT JOIN comments c ON posts.id = c.post_id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
       LEFT JOIN saved_posts sp ON posts.id = sp.post_id
       WHERE ${visClause}
+        AND users.deactivated_at IS NULL
+        -- videos still processing (or failed) are only visible to their owner
+        AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $3)
         AND NOT EXISTS (
           SELECT 1 FROM blocks b
           WHERE b.blocker_id = $3
@@ -477,19 +1066,16 @@ router.get("/feed/interests", auth, async (req, res) => {
         )
         AND posts.tags && $4::text[]
         ${filterSql}
+      ${keysetSql}
       GROUP BY posts.id, users.id
-      ORDER BY posts.created_at DESC
+      ORDER BY posts.created_at DESC, posts.id DESC
       OFFSET $1::bigint LIMIT $2::bigint;
     `;
 
-    const finalParams = [offset, pageSize, currentUserId, interests];
-    if (requesterUniversity) finalParams.push(requesterUniversity);
-    if (filterUniversity) finalParams.push(filterUniversity);
-    if (filterCourse) finalParams.push(filterCourse);
-
-    const result = await pool.query(sql, finalParams);
-    const posts = await mapPosts(result.rows, currentUserId);
-    res.json({ posts });
+    const result = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
+    const posts = await mapPosts(rows, currentUserId);
+    res.json({ posts, nextCursor });
   } catch (err) {
     console.error(
       "❌ Failed to fetch interests feed:",
@@ -502,14 +1088,17 @@ router.get("/feed/interests", auth, async (req, res) => {
 /**
  * FEED: /feed/university
  * Returns posts created by users from the specified university.
- * Query: ?page=N&university=University%20Name
+ * Query: ?cursor=..&university=University%20Name
  * If university param omitted, the requester's university is used.
  */
 router.get("/feed/university", auth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page || "1", 10);
     const pageSize = 10;
-    const offset = (page - 1) * pageSize;
+    const paging = parsePaging(req.query, pageSize);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+    const { offset } = paging;
     const qUniversity = req.query.university || null;
     const currentUserId = req.user.id;
 
@@ -530,7 +1119,7 @@ router.get("/feed/university", auth, async (req, res) => {
     const allowUniVisibility =
       requesterUniversity && requesterUniversity === targetUniversity;
 
-    const params = [offset, pageSize, currentUserId];
+    const params = [offset, paging.limit, currentUserId];
     let visClause = "(posts.visibility = 'public')";
     if (allowUniVisibility) {
       visClause =
@@ -544,9 +1133,17 @@ router.get("/feed/university", auth, async (req, res) => {
 
     if (!allowUniVisibility) params.push(targetUniversity);
 
+    const keysetSql = keysetClause(
+      paging.cursor,
+      params,
+      "posts.created_at",
+      "posts.id",
+    );
+
     const sql = `
       SELECT
         posts.*,
+        posts.created_at::text AS cursor_at,
         users.first_name,
         users.last_name,
         users.profile,
@@ -564,9 +1161,12 @@ router.get("/feed/university", auth, async (req, res) => {
       JOIN users ON posts.user_id = users.id
       LEFT JOIN post_likes pl ON posts.id = pl.post_id
       LEFT JOIN users u2 ON pl.user_id = u2.id
-      LEFT JOIN comments c ON posts.id = c.post_id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
       LEFT JOIN saved_posts sp ON posts.id = sp.post_id
       WHERE ${visClause}
+        AND users.deactivated_at IS NULL
+        -- videos still processing (or failed) are only visible to their owner
+        AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $3)
         AND NOT EXISTS (
           SELECT 1 FROM blocks b
           WHERE b.blocker_id = $3
@@ -578,14 +1178,16 @@ router.get("/feed/university", auth, async (req, res) => {
             AND b2.blocked_id = $3
         )
         ${userFilter}
+      ${keysetSql}
       GROUP BY posts.id, users.id
-      ORDER BY posts.created_at DESC
+      ORDER BY posts.created_at DESC, posts.id DESC
       OFFSET $1::bigint LIMIT $2::bigint;
     `;
 
     const result = await pool.query(sql, params);
-    const posts = await mapPosts(result.rows, currentUserId);
-    res.json({ posts });
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
+    const posts = await mapPosts(rows, currentUserId);
+    res.json({ posts, nextCursor });
   } catch (err) {
     console.error(
       "❌ Failed to fetch university feed:",
@@ -598,14 +1200,17 @@ router.get("/feed/university", auth, async (req, res) => {
 /**
  * FEED: /feed/course
  * Returns posts created by users who have users.course = <course>.
- * Query: ?page=N&course=Course%20Name
+ * Query: ?cursor=..&course=Course%20Name
  * Visibility: posts.visibility = 'public' OR (posts.visibility='university' AND requester's university matches post user's university)
  */
 router.get("/feed/course", auth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page || "1", 10);
     const pageSize = 10;
-    const offset = (page - 1) * pageSize;
+    const paging = parsePaging(req.query, pageSize);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+    const { offset } = paging;
     const qCourse = req.query.course || null;
     const currentUserId = req.user.id;
 
@@ -619,7 +1224,7 @@ router.get("/feed/course", auth, async (req, res) => {
     );
     const requesterUniversity = meRes.rows[0]?.university || null;
 
-    const params = [offset, pageSize, currentUserId, targetCourse];
+    const params = [offset, paging.limit, currentUserId, targetCourse];
 
     let visibilityClause = `posts.visibility = 'public'`;
     if (requesterUniversity) {
@@ -628,9 +1233,17 @@ router.get("/feed/course", auth, async (req, res) => {
         "(posts.visibility = 'public' OR (posts.visibility = 'university' AND users.university = $5))";
     }
 
+    const keysetSql = keysetClause(
+      paging.cursor,
+      params,
+      "posts.created_at",
+      "posts.id",
+    );
+
     const sql = `
       SELECT
         posts.*,
+        posts.created_at::text AS cursor_at,
         users.first_name,
         users.last_name,
         users.profile,
@@ -648,10 +1261,13 @@ router.get("/feed/course", auth, async (req, res) => {
       JOIN users ON posts.user_id = users.id
       LEFT JOIN post_likes pl ON posts.id = pl.post_id
       LEFT JOIN users u2 ON pl.user_id = u2.id
-      LEFT JOIN comments c ON posts.id = c.post_id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
       LEFT JOIN saved_posts sp ON posts.id = sp.post_id
       WHERE users.course = $4
         AND (${visibilityClause})
+        AND users.deactivated_at IS NULL
+        -- videos still processing (or failed) are only visible to their owner
+        AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $3)
         AND NOT EXISTS (
           SELECT 1 FROM blocks b
           WHERE b.blocker_id = $3
@@ -662,14 +1278,16 @@ router.get("/feed/course", auth, async (req, res) => {
           WHERE b2.blocker_id = posts.user_id
             AND b2.blocked_id = $3
         )
+      ${keysetSql}
       GROUP BY posts.id, users.id
-      ORDER BY posts.created_at DESC
+      ORDER BY posts.created_at DESC, posts.id DESC
       OFFSET $1::bigint LIMIT $2::bigint;
     `;
 
     const result = await pool.query(sql, params);
-    const posts = await mapPosts(result.rows, currentUserId);
-    res.json({ posts });
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
+    const posts = await mapPosts(rows, currentUserId);
+    res.json({ posts, nextCursor });
   } catch (err) {
     console.error(
       "❌ Failed to fetch course feed:",
@@ -680,17 +1298,19 @@ router.get("/feed/course", auth, async (req, res) => {
 });
 
 /**
- * TAG route: GET /api/posts/tag/:tag?page=N
- * Tag results respect visibility rules as well.
+ * FEED: /feed/events
+ * Upcoming (and ongoing) event posts organized by members of a university,
+ * soonest first.
+ * Query: ?cursor=..&university=Name (defaults to the requester's university)
  */
-router.get("/tag/:tag", auth, async (req, res) => {
+router.get("/feed/events", auth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page || "1", 10);
-    const pageSize = 9;
-    const offset = (page - 1) * pageSize;
-    const tag = req.params.tag;
-    const filterUniversity = req.query.university || null;
-    const filterCourse = req.query.course || null;
+    const pageSize = 10;
+    const paging = parsePaging(req.query, pageSize);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+    const { offset } = paging;
     const currentUserId = req.user.id;
 
     const meRes = await pool.query(
@@ -699,51 +1319,52 @@ router.get("/tag/:tag", auth, async (req, res) => {
     );
     const requesterUniversity = meRes.rows[0]?.university || null;
 
-    const params = [offset, pageSize, currentUserId, tag]; // $4 = tag
-    let visClause = "(posts.visibility = 'public')";
-    if (requesterUniversity) {
-      visClause =
-        "(posts.visibility = 'public' OR (posts.visibility = 'university' AND users.university = $5))";
-      params.push(requesterUniversity); // $5
+    const targetUniversity = req.query.university || requesterUniversity;
+    if (!targetUniversity) {
+      return res.status(400).json({
+        error: "university parameter is required (or set in your profile)",
+      });
     }
 
-    if (filterUniversity) params.push(filterUniversity);
-    if (filterCourse) params.push(filterCourse);
+    // university-only events only for members of that university
+    const visClause =
+      requesterUniversity && requesterUniversity === targetUniversity
+        ? "(posts.visibility = 'public' OR posts.visibility = 'university')"
+        : "(posts.visibility = 'public')";
 
-    const filterSqlParts = [];
-    if (filterUniversity) {
-      const idx = params.indexOf(filterUniversity) + 1;
-      filterSqlParts.push(`users.university = $${idx}`);
-    }
-    if (filterCourse) {
-      const idx = params.indexOf(filterCourse) + 1;
-      filterSqlParts.push(`users.course = $${idx}`);
-    }
-    const filterSql = filterSqlParts.length
-      ? `AND ${filterSqlParts.join(" AND ")}`
-      : "";
+    const params = [offset, paging.limit, currentUserId, targetUniversity];
+    const keysetSql = keysetClause(paging.cursor, params, "e.starts_at", "posts.id", {
+      ascending: true,
+    });
 
     const sql = `
-      SELECT 
-        posts.*, 
-        users.first_name, 
-        users.last_name, 
-        users.profile, 
-        users.course, 
-        users.university,
-        users.user_type,
-        COUNT(DISTINCT pl.id) AS like_count,
+      SELECT
+        posts.*,
+        e.starts_at::text AS cursor_at,
+        users.first_name,
+        users.last_name,
+        users.profile,
+        users.course,
+        users.university,
+        users.user_type,
+        (SELECT status FROM follow_requests WHERE requester_id = $3 AND target_id = posts.user_id LIMIT 1) AS my_follow_status,
+        (SELECT status FROM follow_requests WHERE requester_id = posts.user_id AND target_id = $3 LIMIT 1) AS incoming_follow_status,
+        COUNT(DISTINCT pl.id) AS like_count,
         BOOL_OR(pl.user_id = $3) AS liked_by_me,
         BOOL_OR(sp.user_id = $3) AS saved_by_me,
         COALESCE(ARRAY_AGG(DISTINCT u2.first_name || ' ' || u2.last_name) FILTER (WHERE pl.user_id IS NOT NULL), '{}') AS liked_users,
         COUNT(DISTINCT c.id) AS comment_count
       FROM posts
+      JOIN events e ON e.post_id = posts.id
       JOIN users ON posts.user_id = users.id
       LEFT JOIN post_likes pl ON posts.id = pl.post_id
       LEFT JOIN users u2 ON pl.user_id = u2.id
-      LEFT JOIN comments c ON posts.id = c.post_id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
       LEFT JOIN saved_posts sp ON posts.id = sp.post_id
       WHERE ${visClause}
+        AND users.university = $4
+        AND e.ends_at > now()
+        AND users.deactivated_at IS NULL
         AND NOT EXISTS (
           SELECT 1 FROM blocks b
           WHERE b.blocker_id = $3
@@ -754,21 +1375,311 @@ router.get("/tag/:tag", auth, async (req, res) => {
           WHERE b2.blocker_id = posts.user_id
             AND b2.blocked_id = $3
         )
-        AND $4 = ANY(posts.tags)
-        ${filterSql}
+      ${keysetSql}
+      GROUP BY posts.id, users.id, e.starts_at
+      ORDER BY e.starts_at ASC, posts.id ASC
+      OFFSET $1::bigint LIMIT $2::bigint;
+    `;
+
+    const result = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
+    const posts = await mapPosts(rows, currentUserId);
+    res.json({ posts, nextCursor });
+  } catch (err) {
+    console.error(
+      "❌ Failed to fetch events feed:",
+      err && err.stack ? err.stack : err,
+    );
+    res.status(500).json({ error: "Failed to load events" });
+  }
+});
+
+/**
+ * FEED: /feed/hashtags
+ * Posts carrying any hashtag the requester follows (see /api/tags), newest
+ * first, with the same visibility and block rules as /feed/all.
+ * Query: ?cursor=..
+ */
+router.get("/feed/hashtags", auth, async (req, res) => {
+  try {
+    const pageSize = 10;
+    const paging = parsePaging(req.query, pageSize);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+    const { offset } = paging;
+    const currentUserId = req.user.id;
+    const params = [offset, paging.limit, currentUserId];
+
+    const keysetSql = keysetClause(
+      paging.cursor,
+      params,
+      "posts.created_at",
+      "posts.id",
+    );
+
+    const sql = `
+      SELECT
+        posts.*,
+        posts.created_at::text AS cursor_at,
+        users.first_name,
+        users.last_name,
+        users.profile,
+        users.course,
+        users.university,
+        users.user_type,
+        (SELECT status FROM follow_requests WHERE requester_id = $3 AND target_id = posts.user_id LIMIT 1) AS my_follow_status,
+        (SELECT status FROM follow_requests WHERE requester_id = posts.user_id AND target_id = $3 LIMIT 1) AS incoming_follow_status,
+        COUNT(DISTINCT pl.id) AS like_count,
+        BOOL_OR(pl.user_id = $3) AS liked_by_me,
+        BOOL_OR(sp.user_id = $3) AS saved_by_me,
+        COALESCE(ARRAY_AGG(DISTINCT u2.first_name || ' ' || u2.last_name) FILTER (WHERE pl.user_id IS NOT NULL), '{}') AS liked_users,
+        COUNT(DISTINCT c.id) AS comment_count
+      FROM posts
+      JOIN users ON posts.user_id = users.id
+      JOIN users me ON me.id = $3
+      LEFT JOIN post_likes pl ON posts.id = pl.post_id
+      LEFT JOIN users u2 ON pl.user_id = u2.id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
+      LEFT JOIN saved_posts sp ON posts.id = sp.post_id
+      WHERE EXISTS (
+          SELECT 1 FROM post_hashtags ph
+          JOIN hashtag_follows hf ON hf.hashtag_id = ph.hashtag_id
+          WHERE ph.post_id = posts.id AND hf.user_id = $3
+        )
+        AND (posts.visibility = 'public'
+             OR (posts.visibility = 'university' AND users.university = me.university))
+        AND users.deactivated_at IS NULL
+        AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $3)
+        AND NOT EXISTS (
+          SELECT 1 FROM blocks b
+          WHERE b.blocker_id = $3
+            AND b.blocked_id = posts.user_id
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM blocks b2
+          WHERE b2.blocker_id = posts.user_id
+            AND b2.blocked_id = $3
+        )
+      ${keysetSql}
       GROUP BY posts.id, users.id
-      ORDER BY posts.created_at DESC
+      ORDER BY posts.created_at DESC, posts.id DESC
       OFFSET $1::bigint LIMIT $2::bigint;
     `;
 
-    const finalParams = [offset, pageSize, currentUserId, tag];
-    if (requesterUniversity) finalParams.push(requesterUniversity);
-    if (filterUniversity) finalParams.push(filterUniversity);
-    if (filterCourse) finalParams.push(filterCourse);
+    const result = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
+    const posts = await mapPosts(rows, currentUserId);
+    res.json({ posts, nextCursor });
+  } catch (err) {
+    console.error(
+      "❌ Failed to fetch hashtag feed:",
+      err && err.stack ? err.stack : err,
+    );
+    res.status(500).json({ error: "Failed to load hashtag posts" });
+  }
+});
+
+/**
+ * FEED: /feed/following?cursor=..
+ * Posts by people I follow (accepted follow requests) plus posts carrying
+ * hashtags I follow, newest first, with the same visibility and block rules
+ * as /feed/all. Pass nextCursor back as ?cursor= for the next page.
+ */
+router.get("/feed/following", auth, async (req, res) => {
+  try {
+    const pageSize = 10;
+    const currentUserId = req.user.id;
+    const parsed = parseCursorParam(req.query.cursor);
+    if (!parsed.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[parsed.reason] });
+    }
+
+    const params = [pageSize + 1, currentUserId]; // $1 limit, $2 currentUserId
+    const keysetSql = keysetClause(
+      parsed.cursor,
+      params,
+      "posts.created_at",
+      "posts.id",
+    );
+
+    const sql = `
+      SELECT
+        posts.*,
+        posts.created_at::text AS cursor_at,
+        users.first_name,
+        users.last_name,
+        users.profile,
+        users.course,
+        users.university,
+        users.user_type,
+        (SELECT status FROM follow_requests WHERE requester_id = $2 AND target_id = posts.user_id LIMIT 1) AS my_follow_status,
+        (SELECT status FROM follow_requests WHERE requester_id = posts.user_id AND target_id = $2 LIMIT 1) AS incoming_follow_status,
+        COUNT(DISTINCT pl.id) AS like_count,
+        BOOL_OR(pl.user_id = $2) AS liked_by_me,
+        BOOL_OR(sp.user_id = $2) AS saved_by_me,
+        COALESCE(ARRAY_AGG(DISTINCT u2.first_name || ' ' || u2.last_name) FILTER (WHERE pl.user_id IS NOT NULL), '{}') AS liked_users,
+        COUNT(DISTINCT c.id) AS comment_count
+      FROM posts
+      JOIN users ON posts.user_id = users.id
+      JOIN users me ON me.id = $2
+      LEFT JOIN post_likes pl ON posts.id = pl.post_id
+      LEFT JOIN users u2 ON pl.user_id = u2.id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
+      LEFT JOIN saved_posts sp ON posts.id = sp.post_id
+      WHERE (
+          EXISTS (
+            SELECT 1 FROM follow_requests f
+            WHERE f.requester_id = $2
+              AND f.target_id = posts.user_id
+              AND f.status = 'accepted'
+          )
+          OR EXISTS (
+            SELECT 1 FROM post_hashtags ph
+            JOIN hashtag_follows hf ON hf.hashtag_id = ph.hashtag_id
+            WHERE ph.post_id = posts.id AND hf.user_id = $2
+          )
+        )
+        AND (posts.visibility = 'public'
+             OR (posts.visibility = 'university' AND users.university = me.university))
+        AND users.deactivated_at IS NULL
+        AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $2)
+        AND NOT EXISTS (
+          SELECT 1 FROM blocks b
+          WHERE b.blocker_id = $2
+            AND b.blocked_id = posts.user_id
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM blocks b2
+          WHERE b2.blocker_id = posts.user_id
+            AND b2.blocked_id = $2
+        )
+      ${keysetSql}
+      GROUP BY posts.id, users.id
+      ORDER BY posts.created_at DESC, posts.id DESC
+      LIMIT $1::bigint;
+    `;
+
+    const result = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
+    const posts = await mapPosts(rows, currentUserId);
+    res.json({ posts, nextCursor });
+  } catch (err) {
+    console.error(
+      "❌ Failed to fetch following feed:",
+      err && err.stack ? err.stack : err,
+    );
+    res.status(500).json({ error: "Failed to load posts" });
+  }
+});
+
+/**
+ * TAG route: GET /api/posts/tag/:tag?cursor=..
+ * Tag results respect visibility rules as well.
+ */
+router.get("/tag/:tag", auth, async (req, res) => {
+  try {
+    const pageSize = 9;
+    const paging = parsePaging(req.query, pageSize);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+    const { offset } = paging;
+    // any spelling of the tag (#ML, ml, Ml) -> its canonical hashtag
+    const tag = canonicalTag(req.params.tag);
+    if (!tag) return res.json({ posts: [] });
+    const filterUniversity = req.query.university || null;
+    const filterCourse = req.query.course || null;
+    const currentUserId = req.user.id;
+
+    const meRes = await pool.query(
+      "SELECT university FROM users WHERE id = $1 LIMIT 1",
+      [currentUserId],
+    );
+    const requesterUniversity = meRes.rows[0]?.university || null;
+
+    const params = [offset, paging.limit, currentUserId, tag]; // $4 = tag
+    let visClause = "(posts.visibility = 'public')";
+    if (requesterUniversity) {
+      visClause =
+        "(posts.visibility = 'public' OR (posts.visibility = 'university' AND users.university = $5))";
+      params.push(requesterUniversity); // $5
+    }
+
+    if (filterUniversity) params.push(filterUniversity);
+    if (filterCourse) params.push(filterCourse);
+
+    const filterSqlParts = [];
+    if (filterUniversity) {
+      const idx = params.indexOf(filterUniversity) + 1;
+      filterSqlParts.push(`users.university = $${idx}`);
+    }
+    if (filterCourse) {
+      const idx = params.indexOf(filterCourse) + 1;
+      filterSqlParts.push(`users.course = $${idx}`);
+    }
+    const filterSql = filterSqlParts.length
+      ? `AND ${filterSqlParts.join(" AND ")}`
+      : "";
+
+    const keysetSql = keysetClause(
+      paging.cursor,
+      params,
+      "posts.created_at",
+      "posts.id",
+    );
+
+    const sql = `
+      SELECT 
+        posts.*, 
+        posts.created_at::text AS cursor_at,
+        users.first_name, 
+        users.last_name, 
+        users.profile, 
+        users.course, 
+        users.university,
+        users.user_type,
+        COUNT(DISTINCT pl.id) AS like_count,
+        BOOL_OR(pl.user_id = $3) AS liked_by_me,
+        BOOL_OR(sp.user_id = $3) AS saved_by_me,
+        COALESCE(ARRAY_AGG(DISTINCT u2.first_name || ' ' || u2.last_name) FILTER (WHERE pl.user_id IS NOT NULL), '{}') AS liked_users,
+        COUNT(DISTINCT c.id) AS comment_count
+      FROM posts
+      JOIN users ON posts.user_id = users.id
+      LEFT JOIN post_likes pl ON posts.id = pl.post_id
+      LEFT JOIN users u2 ON pl.user_id = u2.id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
+      LEFT JOIN saved_posts sp ON posts.id = sp.post_id
+      WHERE ${visClause}
+        AND users.deactivated_at IS NULL
+        -- videos still processing (or failed) are only visible to their owner
+        AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $3)
+        AND NOT EXISTS (
+          SELECT 1 FROM blocks b
+          WHERE b.blocker_id = $3
+            AND b.blocked_id = posts.user_id
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM blocks b2
+          WHERE b2.blocker_id = posts.user_id
+            AND b2.blocked_id = $3
+        )
+        AND EXISTS (
+          SELECT 1 FROM post_hashtags ph
+          JOIN hashtags h ON h.id = ph.hashtag_id
+          WHERE ph.post_id = posts.id AND h.name = $4
+        )
+        ${filterSql}
+      ${keysetSql}
+      GROUP BY posts.id, users.id
+      ORDER BY posts.created_at DESC, posts.id DESC
+      OFFSET $1::bigint LIMIT $2::bigint;
+    `;
 
-    const result = await pool.query(sql, finalParams);
-    const posts = await mapPosts(result.rows, currentUserId);
-    res.json({ posts });
+    const result = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
+    const posts = await mapPosts(rows, currentUserId);
+    res.json({ posts, nextCursor });
   } catch (err) {
     console.error(
       "❌ Failed to fetch posts by tag:",
@@ -824,73 +1735,173 @@ router.get("/tag/:tag", auth, async (req, res) => {
 //   res.json({ posts });
 // });
 
-// GET single post by ID (full post, feed-style)
+/**
+ * Helper: posts by id, feed-style (mapPosts), as seen by `currentUserId`,
+ * in the order of `postIds`. Posts that don't exist, whose owner is
+ * deactivated or where either side blocked the other are left out.
+ */
+async function fetchPostsByIds(postIds, currentUserId) {
+  if (!postIds.length) return [];
+
+  const sql = `
+    SELECT
+      posts.*,
+      users.first_name,
+      users.last_name,
+      users.profile,
+      users.course,
+      users.university,
+      users.user_type,
+
+      (SELECT status FROM follow_requests
+        WHERE requester_id = $2 AND target_id = posts.user_id
+        LIMIT 1) AS my_follow_status,
+
+      (SELECT status FROM follow_requests
+        WHERE requester_id = posts.user_id AND target_id = $2
+        LIMIT 1) AS incoming_follow_status,
+
+      COUNT(DISTINCT pl.id) AS like_count,
+      BOOL_OR(pl.user_id = $2) AS liked_by_me,
+      BOOL_OR(sp.user_id = $2) AS saved_by_me,
+      COUNT(DISTINCT c.id) AS comment_count
+
+    FROM posts
+    JOIN users ON posts.user_id = users.id
+    LEFT JOIN post_likes pl ON posts.id = pl.post_id
+    LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
+    LEFT JOIN saved_posts sp ON posts.id = sp.post_id
+
+    WHERE posts.id = ANY($1)
+      AND users.deactivated_at IS NULL
+      -- videos still processing (or failed) are only visible to their owner
+      AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $2)
+
+      -- 🔒 block checks
+      AND NOT EXISTS (
+        SELECT 1 FROM blocks b
+        WHERE b.blocker_id = $2
+          AND b.blocked_id = posts.user_id
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM blocks b2
+        WHERE b2.blocker_id = posts.user_id
+          AND b2.blocked_id = $2
+      )
+
+    GROUP BY posts.id, users.id;
+  `;
+
+  const result = await pool.query(sql, [postIds, currentUserId]);
+  const byId = new Map(result.rows.map((row) => [String(row.id), row]));
+  const rows = postIds.map((id) => byId.get(String(id))).filter(Boolean);
+
+  // ✅ reuse your existing normalizer
+  return mapPosts(rows, currentUserId);
+}
+
+// one post (see fetchPostsByIds), or null
+async function fetchPost(postId, currentUserId) {
+  const [post] = await fetchPostsByIds([postId], currentUserId);
+  return post || null;
+}
 
+// GET single post by ID (full post, feed-style)
 router.get("/:postId", auth, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const currentUserId = req.user.id;
-
-    const sql = `
-      SELECT
-        posts.*,
-        users.first_name,
-        users.last_name,
-        users.profile,
-        users.course,
-        users.university,
-        users.user_type,
-
-        (SELECT status FROM follow_requests
-          WHERE requester_id = $2 AND target_id = posts.user_id
-          LIMIT 1) AS my_follow_status,
-
-        (SELECT status FROM follow_requests
-          WHERE requester_id = posts.user_id AND target_id = $2
-          LIMIT 1) AS incoming_follow_status,
-
-        COUNT(DISTINCT pl.id) AS like_count,
-        BOOL_OR(pl.user_id = $2) AS liked_by_me,
-        BOOL_OR(sp.user_id = $2) AS saved_by_me,
-        COUNT(DISTINCT c.id) AS comment_count
+    const post = await fetchPost(req.params.postId, req.user.id);
+    if (!post) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-      FROM posts
-      JOIN users ON posts.user_id = users.id
-      LEFT JOIN post_likes pl ON posts.id = pl.post_id
-      LEFT JOIN comments c ON posts.id = c.post_id
-      LEFT JOIN saved_posts sp ON posts.id = sp.post_id
+    res.json(post);
+  } catch (err) {
+    console.error("❌ Fetch single post error:", err);
+    res.status(500).json({ error: "Failed to fetch post" });
+  }
+});
 
-      WHERE posts.id = $1
+/**
+ * EDIT: PATCH /api/posts/:postId  (owner only)
+ * Body (any of): caption, tags (array or JSON string), visibility
+ * The replaced version is kept; see GET /:postId/history
+ */
+router.patch("/:postId", auth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { caption, tags, visibility } = req.body || {};
 
-        -- 🔒 block checks
-        AND NOT EXISTS (
-          SELECT 1 FROM blocks b
-          WHERE b.blocker_id = $2
-            AND b.blocked_id = posts.user_id
-        )
-        AND NOT EXISTS (
-          SELECT 1 FROM blocks b2
-          WHERE b2.blocker_id = posts.user_id
-            AND b2.blocked_id = $2
-        )
+    const result = await editPost({
+      postId: req.params.postId,
+      userId,
+      caption,
+      tags,
+      visibility,
+    });
+    if (!result.ok) {
+      const status =
+        result.reason === "not_found"
+          ? 404
+          : result.reason === "forbidden"
+            ? 403
+            : 400;
+      return res.status(status).json({ error: POST_EDIT_MESSAGES[result.reason] });
+    }
 
-      GROUP BY posts.id, users.id
-      LIMIT 1;
-    `;
+    const post = await fetchPost(req.params.postId, userId);
+    if (result.newMentions.length) {
+      await notifyMentions({
+        mentions: result.newMentions,
+        actorId: userId,
+        postId: req.params.postId,
+        text: post ? post.caption : null,
+      });
+    }
+    return res.json({
+      msg: result.changed ? "✅ Post updated" : "No changes",
+      post,
+    });
+  } catch (err) {
+    console.error("posts.edit error:", err);
+    return res.status(500).json({ error: "Failed to update post" });
+  }
+});
 
-    const result = await pool.query(sql, [postId, currentUserId]);
+/**
+ * HISTORY: GET /api/posts/:postId/history
+ * Current version first, then previous versions (newest first).
+ * University-only versions are hidden from other universities.
+ */
+router.get("/:postId/history", auth, async (req, res) => {
+  try {
+    const currentUserId = req.user.id;
+    const post = await fetchPost(req.params.postId, currentUserId);
+    if (!post) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-    if (result.rows.length === 0) {
+    let versions = await getPostHistory(post.id);
+    if (!versions) {
       return res.status(404).json({ error: "Post not found" });
     }
 
-    // ✅ reuse your existing normalizer
-    const [post] = await mapPosts(result.rows, currentUserId);
+    if (String(post.user_id) !== String(currentUserId)) {
+      const meRes = await pool.query(
+        "SELECT university FROM users WHERE id = $1 LIMIT 1",
+        [currentUserId],
+      );
+      const sameUniversity =
+        Boolean(meRes.rows[0]?.university) &&
+        meRes.rows[0].university === post.user.university;
+      if (!sameUniversity) {
+        versions = versions.filter((v) => v.visibility !== "university");
+      }
+    }
 
-    res.json(post);
+    res.json({ post_id: post.id, edited_at: post.edited_at, versions });
   } catch (err) {
-    console.error("❌ Fetch single post error:", err);
-    res.status(500).json({ error: "Failed to fetch post" });
+    console.error("❌ Fetch post history error:", err);
+    res.status(500).json({ error: "Failed to fetch post history" });
   }
 });
 
@@ -907,11 +1918,33 @@ router.post("/:postId/comments", auth, async (req, res) => {
   }
 
   try {
+    // replies: parentCommentId (see services/commentService for nesting)
+    const resolved = await resolveParent(
+      postId,
+      req.body.parentCommentId ?? req.body.parent_comment_id,
+    );
+    if (!resolved.ok) {
+      return res.status(404).json({ error: COMMENT_MESSAGES[resolved.reason] });
+    }
+    const { parent } = resolved;
+
+    const mentioned = await resolveMentions(content, userId, { postId });
+    if (!mentioned.ok) {
+      return res.status(400).json({ error: MENTION_MESSAGES[mentioned.reason] });
+    }
+
     const insertResult = await pool.query(
-      `INSERT INTO comments (post_id, user_id, content)
-       VALUES ($1, $2, $3)
-       RETURNING id, content, created_at`,
-      [postId, userId, content],
+      `INSERT INTO comments (post_id, user_id, content, parent_comment_id, depth, mentions)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, content, created_at, parent_comment_id, depth, mentions`,
+      [
+        postId,
+        userId,
+        content,
+        parent ? parent.id : null,
+        parent ? parent.depth + 1 : 0,
+        JSON.stringify(mentioned.mentions),
+      ],
     );
 
     const commentRow = insertResult.rows[0];
@@ -931,7 +1964,30 @@ router.post("/:postId/comments", auth, async (req, res) => {
     const postOwner = postOwnerRes.rows[0]?.user_id;
     const io = req.app && req.app.get && req.app.get("io");
 
-    if (postOwner && postOwner !== userId) {
+    // Notify the author of the comment being replied to
+    const parentAuthor = parent ? parent.user_id : null;
+    if (parentAuthor && parentAuthor !== userId) {
+      try {
+        await notify(io, {
+          toUserId: parentAuthor,
+          actorId: userId,
+          type: "comment_reply",
+          entityId: commentRow.id,
+          entityType: "comment",
+          data: {
+            actorName: `${user.first_name} ${user.last_name}`,
+            message: "replied to your comment",
+            postId,
+            parentCommentId: commentRow.parent_comment_id,
+            commentText: commentRow.content,
+          },
+        });
+      } catch (err) {
+        console.warn("notify reply -> parent author failed", err && err.message);
+      }
+    }
+
+    if (postOwner && postOwner !== userId && postOwner !== parentAuthor) {
       try {
         const actorName = `${user.first_name} ${user.last_name}`;
         await notify(io, {
@@ -952,40 +2008,27 @@ router.post("/:postId/comments", auth, async (req, res) => {
       }
     }
 
-    // Optionally notify recent commenters
-    try {
-      const recentCommentersRes = await pool.query(
-        `SELECT DISTINCT user_id FROM comments WHERE post_id = $1 AND user_id <> $2 LIMIT 5`,
-        [postId, userId],
-      );
-      for (const r of recentCommentersRes.rows) {
-        const recip = r.user_id;
-        if (!recip || recip === postOwner || recip === userId) continue;
-        try {
-          await notify(io, {
-            toUserId: recip,
-            actorId: userId,
-            type: "comment_mention",
-            entityId: postId,
-            entityType: "post",
-            data: { commentId: commentRow.id, commentText: commentRow.content },
-          });
-        } catch (err) {
-          console.warn(
-            "notify comment -> recent commenter failed",
-            recip,
-            err && err.message,
-          );
-        }
-      }
-    } catch (err) {
-      console.warn("fetch recent commenters failed", err && err.message);
-    }
+    // Notify the people @mentioned (owner / parent author already heard)
+    await notifyMentions({
+      mentions: commentRow.mentions,
+      actorId: userId,
+      postId,
+      commentId: commentRow.id,
+      text: commentRow.content,
+      skip: [postOwner, parentAuthor],
+    });
 
     res.json({
       id: commentRow.id,
       content: commentRow.content,
       created_at: commentRow.created_at,
+      parent_comment_id: commentRow.parent_comment_id || null,
+      depth: commentRow.depth,
+      mentions: commentRow.mentions || [],
+      deleted: false,
+      reply_count: 0,
+      like_count: 0,
+      liked_by_me: false,
       user: {
         id: userId,
         name: `${user.first_name} ${user.last_name}`,
@@ -1001,63 +2044,76 @@ router.post("/:postId/comments", auth, async (req, res) => {
 });
 
 /**
- * GET comments with pagination: GET /api/posts/:postId/comments?page=1
+ * GET comments with pagination: GET /api/posts/:postId/comments?cursor=..
+ * Top-level comments only; each has reply_count, replies come from
+ * GET /api/posts/comments/:commentId/replies
  */
 router.get("/:postId/comments", auth, async (req, res) => {
   const { postId } = req.params;
-  const { page = 1 } = req.query;
   const pageSize = 10;
-  const offset = (page - 1) * pageSize;
+  const paging = parsePaging(req.query, pageSize);
+  if (!paging.ok) {
+    return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+  }
   const userId = req.user.id;
 
   try {
-    const result = await pool.query(
-      `
-      SELECT 
-        c.id,
-        c.content,
-        c.created_at,
-        c.user_id,
-        u.first_name,
-        u.last_name,
-        u.profile,
-        COALESCE(COUNT(cl.id), 0) AS like_count,
-        COALESCE(BOOL_OR(cl.user_id = $4), false) AS liked_by_me
-      FROM comments c
-      JOIN users u ON c.user_id = u.id
-      LEFT JOIN comment_likes cl ON cl.comment_id = c.id
-      WHERE c.post_id = $1
-      GROUP BY c.id, u.id
-      ORDER BY c.created_at DESC
-      OFFSET $2::bigint LIMIT $3::bigint
-      `,
-      [postId, offset, pageSize, userId],
+    const { comments, nextCursor } = await listComments({
+      postId,
+      userId,
+      cursor: paging.cursor,
+      offset: paging.offset,
+      limit: pageSize,
+    });
+
+    res.json({ comments, nextCursor });
+  } catch (err) {
+    console.error(
+      "❌ Failed to fetch paginated comments",
+      err && err.stack ? err.stack : err,
     );
+    res.status(500).json({ error: "Failed to fetch comments" });
+  }
+});
 
-    const comments = await Promise.all(
-      result.rows.map(async (row) => ({
-        id: row.id,
-        content: row.content,
-        created_at: row.created_at,
-        like_count: Number(row.like_count),
-        liked_by_me: row.liked_by_me === true,
-        user: {
-          id: row.user_id,
-          name: `${row.first_name} ${row.last_name}`,
-          avatar_url: row.profile
-            ? await generatePresignedUrl(row.profile)
-            : null,
-        },
-      })),
+/**
+ * GET replies with pagination: GET /api/posts/comments/:commentId/replies?cursor=..
+ * Direct replies, oldest first.
+ */
+router.get("/comments/:commentId/replies", auth, async (req, res) => {
+  const { commentId } = req.params;
+  const pageSize = 10;
+  const paging = parsePaging(req.query, pageSize);
+  if (!paging.ok) {
+    return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+  }
+  const userId = req.user.id;
+
+  try {
+    const parentRes = await pool.query(
+      "SELECT post_id FROM comments WHERE id = $1",
+      [commentId],
     );
+    if (!parentRes.rows.length) {
+      return res.status(404).json({ error: COMMENT_MESSAGES.not_found });
+    }
+
+    const { comments: replies, nextCursor } = await listComments({
+      postId: parentRes.rows[0].post_id,
+      parentCommentId: commentId,
+      userId,
+      cursor: paging.cursor,
+      offset: paging.offset,
+      limit: pageSize,
+    });
 
-    res.json({ comments });
+    res.json({ replies, nextCursor });
   } catch (err) {
     console.error(
-      "❌ Failed to fetch paginated comments",
+      "❌ Failed to fetch replies",
       err && err.stack ? err.stack : err,
     );
-    res.status(500).json({ error: "Failed to fetch comments" });
+    res.status(500).json({ error: "Failed to fetch replies" });
   }
 });
 
@@ -1153,29 +2209,44 @@ router.patch("/:id/like", auth, async (req, res) => {
 });
 
 /**
- * GET likes for a post: GET /api/posts/:id/likes?page=1
+ * GET likes for a post: GET /api/posts/:id/likes?cursor=..
+ * Newest first; a user likes a post once, so (liked at, user id) is the key.
  */
 router.get("/:id/likes", auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const page = parseInt(req.query.page || "1", 10);
     const pageSize = 20;
-    const offset = (page - 1) * pageSize;
+    const paging = parsePaging(req.query, pageSize);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+
+    const params = [id, paging.offset, paging.limit];
+    const keysetSql = keysetClause(
+      paging.cursor,
+      params,
+      "pl.created_at",
+      "pl.user_id",
+    );
 
     const result = await pool.query(
       `
-      SELECT u.id, u.first_name, u.last_name, u.profile, u.course, u.university, u.user_type
+      SELECT u.id, u.first_name, u.last_name, u.profile, u.course, u.university, u.user_type,
+             pl.created_at::text AS cursor_at
       FROM post_likes pl
       JOIN users u ON pl.user_id = u.id
       WHERE pl.post_id = $1
-      ORDER BY pl.created_at DESC
+        AND u.deactivated_at IS NULL
+        ${keysetSql}
+      ORDER BY pl.created_at DESC, pl.user_id DESC
       OFFSET $2::bigint LIMIT $3::bigint
       `,
-      [id, offset, pageSize],
+      params,
     );
+    const { rows, nextCursor } = paginate(result.rows, pageSize);
 
     const users = await Promise.all(
-      result.rows.map(async (u) => ({
+      rows.map(async (u) => ({
         id: u.id,
         name: `${u.first_name} ${u.last_name}`,
         avatar_url: u.profile ? await generatePresignedUrl(u.profile) : null,
@@ -1185,7 +2256,7 @@ router.get("/:id/likes", auth, async (req, res) => {
       })),
     );
 
-    res.json({ users });
+    res.json({ users, nextCursor });
   } catch (err) {
     console.error(
       "❌ Failed to fetch likes:",
@@ -1204,6 +2275,15 @@ router.post("/comments/:commentId/like", auth, async (req, res) => {
   const userId = req.user.id;
 
   try {
+    // "[deleted]" placeholders can't be liked
+    const target = await pool.query(
+      "SELECT 1 FROM comments WHERE id = $1 AND deleted_at IS NULL",
+      [commentId],
+    );
+    if (!target.rows.length) {
+      return res.status(404).json({ error: COMMENT_MESSAGES.not_found });
+    }
+
     const existing = await pool.query(
       "SELECT id FROM comment_likes WHERE comment_id=$1 AND user_id=$2",
       [commentId, userId],
@@ -1244,39 +2324,38 @@ router.post("/comments/:commentId/like", auth, async (req, res) => {
     res.status(500).json({ error: "Failed to like comment" });
   }
 });
+/**
+ * DELETE comment: DELETE /api/posts/comments/:commentId  (author only)
+ * A comment with replies stays as a "[deleted]" placeholder.
+ */
 router.delete("/comments/:commentId", auth, async (req, res) => {
   const { commentId } = req.params;
   const userId = req.user.id;
 
   try {
-    const comment = await pool.query(`SELECT * FROM comments WHERE id = $1`, [
-      commentId,
-    ]);
-
-    if (!comment.rows.length) {
-      return res.status(404).json({ error: "Not found" });
+    const result = await deleteComment({ commentId, userId });
+    if (!result.ok) {
+      return res
+        .status(result.reason === "forbidden" ? 403 : 404)
+        .json({ error: COMMENT_MESSAGES[result.reason] });
     }
 
-    if (comment.rows[0].user_id !== userId) {
-      return res.status(403).json({ error: "Not allowed" });
-    }
-
-    // delete comment
-    await pool.query(`DELETE FROM comments WHERE id = $1`, [commentId]);
-
     // ✅ delete related notifications
     await pool.query(
       `DELETE FROM notifications
-       WHERE type = 'comment'
-       AND entity_id = $1`,
-      [commentId],
+       WHERE (type IN ('comment', 'comment_reply')
+              AND entity_id::text = ANY($1::text[]))
+          OR (type = 'comment_mention'
+              AND data->>'commentId' = ANY($1::text[]))`,
+      [result.removedIds.map(String)],
     );
     const postRes = await pool.query(
       "SELECT user_id FROM posts WHERE id = $1",
-      [comment.rows[0].post_id],
+      [result.comment.post_id],
     );
 
     const postOwner = postRes.rows[0]?.user_id;
+    const io = req.app && req.app.get && req.app.get("io");
 
     if (io && postOwner) {
       io.to(postOwner).emit("notification:delete", {
@@ -1284,8 +2363,9 @@ router.delete("/comments/:commentId", auth, async (req, res) => {
         type: "comment",
       });
     }
-    res.json({ success: true });
+    res.json({ success: true, placeholder: result.placeholder });
   } catch (err) {
+    console.error("❌ Delete comment error:", err);
     res.status(500).json({ error: "Failed" });
   }
 });
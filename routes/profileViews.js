@@ -4,6 +4,7 @@ const router = express.Router();
 const pool = require("../config/db");
 const auth = require("../middlewares/authMiddleware"); // sets req.user.id
 const generatePresignedUrl = require("../config/generatePresignedUrl");
+const { getClientIp } = require("../services/sessionService");
 
 // Helper: parse pagination query params
 function parsePaging(q) {
@@ -26,9 +27,7 @@ router.post("/", auth, async (req, res) => {
     if (!targetId) return res.status(400).json({ error: "target_id required" });
     if (viewerId === targetId) return res.status(204).send(); // optional: skip self-view
 
-    const ip =
-      (req.headers["x-forwarded-for"] || req.ip || "").split(",")[0].trim() ||
-      null;
+    const ip = getClientIp(req);
     const userAgent = req.get("user-agent") || null;
 
     const insertSql = `
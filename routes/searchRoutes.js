@@ -4,17 +4,26 @@ const router = express.Router();
 const pool = require("../config/db");
 const auth = require("../middlewares/authMiddleware");
 const generatePresignedUrl = require("../config/generatePresignedUrl"); // must be async and return URL or null
-
-// Helper: parse page param
+const { getPostImages } = require("../services/postImageService");
+const { videoFields } = require("../services/videoProcessingService");
+const { getPolls } = require("../services/pollService");
+const { getEvents } = require("../services/eventService");
+const { canonicalTag } = require("../services/hashtagService");
+const {
+  CURSOR_MESSAGES,
+  parsePaging,
+  keysetClause,
+  paginate,
+} = require("../services/cursor");
+
+// Helper: paging params, ?cursor=.. (nextCursor) or the deprecated ?page=N
 function parsePage(qs) {
-  const page = Math.max(1, parseInt(qs.page || "1", 10));
   const pageSize = 10;
-  const offset = (page - 1) * pageSize;
-  return { page, pageSize, offset };
+  return { pageSize, ...parsePaging(qs, pageSize) };
 }
 
 /**
- * GET /api/search/students?q=...&page=1
+ * GET /api/search/students?q=...&cursor=..
  */
 
 router.get("/students", auth, async (req, res) => {
@@ -22,14 +31,21 @@ router.get("/students", auth, async (req, res) => {
     const rawQ = (req.query.q || "").toString().trim();
     if (!rawQ) return res.json({ results: [] });
 
-    const { offset, pageSize } = parsePage(req.query);
+    const paging = parsePage(req.query);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
     const queryLike = `%${rawQ}%`;
     const meId = req.user.id;
+    const params = [queryLike, meId, paging.offset, paging.limit];
+    const keysetSql = keysetClause(paging.cursor, params, "created_at", "id");
 
     const sql = `
-      SELECT id, first_name, last_name, course, university, profile
+      SELECT id, first_name, last_name, course, university, profile,
+             created_at::text AS cursor_at
       FROM users
       WHERE user_type = 'student'
+        AND deactivated_at IS NULL
         AND (
           first_name ILIKE $1 OR
           last_name ILIKE $1 OR
@@ -43,15 +59,17 @@ router.get("/students", auth, async (req, res) => {
           WHERE b.blocker_id = users.id
             AND b.blocked_id = $2
         )
-      ORDER BY created_at DESC
+        ${keysetSql}
+      ORDER BY created_at DESC, id DESC
       OFFSET $3 LIMIT $4
     `;
 
-    const dbRes = await pool.query(sql, [queryLike, meId, offset, pageSize]);
+    const dbRes = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(dbRes.rows, paging.pageSize);
 
     // Presign profile images for each student
     const students = await Promise.all(
-      dbRes.rows.map(async (stu) => {
+      rows.map(async ({ cursor_at, ...stu }) => {
         let avatarUrl = null;
         try {
           avatarUrl = stu.profile
@@ -73,7 +91,7 @@ router.get("/students", auth, async (req, res) => {
       })
     );
 
-    return res.json({ results: students });
+    return res.json({ results: students, nextCursor });
   } catch (err) {
     console.error("❌ /api/search/students failed:", err);
     return res.status(500).json({ error: "Search failed" });
@@ -81,7 +99,7 @@ router.get("/students", auth, async (req, res) => {
 });
 
 /**
- * GET /api/search/professors?q=...&page=1
+ * GET /api/search/professors?q=...&cursor=..
  */
 
 router.get("/professors", auth, async (req, res) => {
@@ -89,14 +107,21 @@ router.get("/professors", auth, async (req, res) => {
     const rawQ = (req.query.q || "").toString().trim();
     if (!rawQ) return res.json({ results: [] });
 
-    const { offset, pageSize } = parsePage(req.query);
+    const paging = parsePage(req.query);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
     const queryLike = `%${rawQ}%`;
     const meId = req.user.id;
+    const params = [queryLike, meId, paging.offset, paging.limit];
+    const keysetSql = keysetClause(paging.cursor, params, "created_at", "id");
 
     const sql = `
-      SELECT id, first_name, last_name, specialization, university, profile
+      SELECT id, first_name, last_name, specialization, university, profile,
+             created_at::text AS cursor_at
       FROM users
       WHERE user_type = 'professor'
+        AND deactivated_at IS NULL
         AND (
           first_name ILIKE $1 OR
           last_name ILIKE $1 OR
@@ -110,15 +135,17 @@ router.get("/professors", auth, async (req, res) => {
           WHERE b.blocker_id = users.id
             AND b.blocked_id = $2
         )
-      ORDER BY created_at DESC
+        ${keysetSql}
+      ORDER BY created_at DESC, id DESC
       OFFSET $3 LIMIT $4
     `;
 
-    const dbRes = await pool.query(sql, [queryLike, meId, offset, pageSize]);
+    const dbRes = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(dbRes.rows, paging.pageSize);
 
     // Presign profile images
     const professors = await Promise.all(
-      dbRes.rows.map(async (prof) => {
+      rows.map(async ({ cursor_at, ...prof }) => {
         let avatarUrl = null;
         try {
           avatarUrl = prof.profile
@@ -140,7 +167,7 @@ router.get("/professors", auth, async (req, res) => {
       })
     );
 
-    return res.json({ results: professors });
+    return res.json({ results: professors, nextCursor });
   } catch (err) {
     console.error("❌ /api/search/professors failed:", err);
     return res.status(500).json({ error: "Search failed" });
@@ -148,11 +175,11 @@ router.get("/professors", auth, async (req, res) => {
 });
 
 /**
- * GET /api/search/posts?q=...&page=1
+ * GET /api/search/posts?q=...&cursor=..
  *
- * Returns enriched post objects (same shape as /api/posts/feed) for tag-based search.
- * First tries strict case-insensitive element equality (fast). If that returns no rows,
- * falls back to array_to_string substring, then tags::text match (very forgiving).
+ * Returns enriched post objects (same shape as /api/posts/feed) for tag-based search:
+ * posts carrying the hashtag (any spelling: "#ML", "ml"), or by authors of the
+ * university named by q.
  */
 // GET /api/search/posts
 router.get("/posts", auth, async (req, res) => {
@@ -175,12 +202,15 @@ router.get("/posts", auth, async (req, res) => {
       return res.json({ results: [] });
     }
 
-    const { offset, pageSize } = parsePage(req.query);
+    const paging = parsePage(req.query);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
     const userId = req.user.id;
 
     /**
-     *  - Match tags by exact word (case-insensitive)
-     *      EXISTS (SELECT 1 FROM unnest(posts.tags) t WHERE lower(t) = lower($1))
+     *  - Match tags by canonical hashtag (any case / spelling, see
+     *    services/hashtagService.canonicalTag), $5
      *
      *  - Match university by exact phrase, but:
      *      - case-insensitive
@@ -197,9 +227,24 @@ router.get("/posts", auth, async (req, res) => {
      *           OR (b.blocker_id = posts.user_id AND b.blocked_id = $4)
      *      )
      */
+    const params = [
+      normalized, // $1 search term
+      paging.offset, // $2
+      paging.limit, // $3
+      userId, // $4
+      canonicalTag(normalized), // $5
+    ];
+    const keysetSql = keysetClause(
+      paging.cursor,
+      params,
+      "posts.created_at",
+      "posts.id",
+    );
+
     const sql = `
       SELECT 
         posts.*,
+        posts.created_at::text AS cursor_at,
         users.first_name,
         users.last_name,
         users.profile,
@@ -220,15 +265,16 @@ router.get("/posts", auth, async (req, res) => {
       JOIN users ON posts.user_id = users.id
       LEFT JOIN post_likes pl ON posts.id = pl.post_id
       LEFT JOIN users u2 ON pl.user_id = u2.id
-      LEFT JOIN comments c ON posts.id = c.post_id
+      LEFT JOIN comments c ON posts.id = c.post_id AND c.deleted_at IS NULL
       LEFT JOIN saved_posts sp ON posts.id = sp.post_id
       WHERE 
         (
-          -- 🎯 TAGS: exact tag match (case-insensitive)
+          -- 🎯 TAGS: canonical hashtag match
           EXISTS (
-            SELECT 1 
-            FROM unnest(posts.tags) AS t 
-            WHERE lower(t) = lower($1)
+            SELECT 1
+            FROM post_hashtags ph
+            JOIN hashtags h ON h.id = ph.hashtag_id
+            WHERE ph.post_id = posts.id AND h.name = $5
           )
           OR
           -- 🎯 UNIVERSITY: exact phrase match, but
@@ -250,6 +296,8 @@ router.get("/posts", auth, async (req, res) => {
             )
           )
         )
+        AND users.deactivated_at IS NULL
+        AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $4)
         -- 🚫 EXCLUDE USERS I BLOCKED OR WHO BLOCKED ME
         AND NOT EXISTS (
           SELECT 1 
@@ -257,23 +305,27 @@ router.get("/posts", auth, async (req, res) => {
           WHERE (b.blocker_id = $4 AND b.blocked_id = posts.user_id)
              OR (b.blocker_id = posts.user_id AND b.blocked_id = $4)
         )
+        ${keysetSql}
       GROUP BY posts.id, users.id
-      ORDER BY posts.created_at DESC
+      ORDER BY posts.created_at DESC, posts.id DESC
       OFFSET $2 LIMIT $3
     `;
 
-    const dbRes = await pool.query(sql, [
-      normalized, // $1 search term
-      offset, // $2
-      pageSize, // $3
-      userId, // $4
-    ]);
-
-    const rows = dbRes.rows || [];
+    const dbRes = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(dbRes.rows || [], paging.pageSize);
+    const imagesByPost = await getPostImages(rows);
+    const pollsByPost = await getPolls(
+      rows.filter((p) => p.post_type === "poll").map((p) => p.id),
+      userId,
+    );
+    const eventsByPost = await getEvents(
+      rows.filter((p) => p.post_type === "event").map((p) => p.id),
+      userId,
+    );
 
     // Map + presign URLs (same as your current logic)
     const posts = await Promise.all(
-      rows.map(async (post) => {
+      rows.map(async ({ cursor_at, ...post }) => {
         const myStatus = post.my_follow_status;
         const incomingStatus = post.incoming_follow_status;
 
@@ -314,6 +366,11 @@ router.get("/posts", auth, async (req, res) => {
           owner_id: post.user_id,
           ...post,
           image_url: imageUrl,
+          images: imagesByPost.get(String(post.id)) || [],
+          ...videoFields(post),
+          video_source_key: undefined,
+          poll: pollsByPost.get(String(post.id)) || null,
+          event: eventsByPost.get(String(post.id)) || null,
           user: {
             first_name: post.first_name,
             last_name: post.last_name,
@@ -333,14 +390,14 @@ router.get("/posts", auth, async (req, res) => {
       })
     );
 
-    return res.json({ results: posts, posts });
+    return res.json({ results: posts, posts, nextCursor });
   } catch (err) {
     console.error("❌ /api/search/posts failed:", err);
     return res.status(500).json({ error: "Search failed" });
   }
 });
 /**
- * GET /api/search/clubs?q=...&page=1
+ * GET /api/search/clubs?q=...&cursor=..
  */
 
 router.get("/clubs", auth, async (req, res) => {
@@ -348,14 +405,21 @@ router.get("/clubs", auth, async (req, res) => {
     const rawQ = (req.query.q || "").toString().trim();
     if (!rawQ) return res.json({ results: [] });
 
-    const { offset, pageSize } = parsePage(req.query);
+    const paging = parsePage(req.query);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
     const queryLike = `%${rawQ}%`;
     const meId = req.user.id;
+    const params = [queryLike, meId, paging.offset, paging.limit];
+    const keysetSql = keysetClause(paging.cursor, params, "created_at", "id");
 
     const sql = `
-      SELECT id, first_name, last_name, university, profile
+      SELECT id, first_name, last_name, university, profile,
+             created_at::text AS cursor_at
       FROM users
       WHERE user_type = 'club'
+        AND deactivated_at IS NULL
         AND (
           first_name ILIKE $1 OR
           university ILIKE $1
@@ -366,14 +430,16 @@ router.get("/clubs", auth, async (req, res) => {
           WHERE b.blocker_id = users.id
             AND b.blocked_id = $2
         )
-      ORDER BY created_at DESC
+        ${keysetSql}
+      ORDER BY created_at DESC, id DESC
       OFFSET $3 LIMIT $4
     `;
 
-    const dbRes = await pool.query(sql, [queryLike, meId, offset, pageSize]);
+    const dbRes = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(dbRes.rows, paging.pageSize);
 
     const clubs = await Promise.all(
-      dbRes.rows.map(async (club) => {
+      rows.map(async ({ cursor_at, ...club }) => {
         let avatarUrl = null;
 
         try {
@@ -391,7 +457,7 @@ router.get("/clubs", auth, async (req, res) => {
       })
     );
 
-    res.json({ results: clubs });
+    res.json({ results: clubs, nextCursor });
 
   } catch (err) {
     console.error("❌ /api/search/clubs failed:", err);
@@ -3,6 +3,85 @@ const router = express.Router();
 const pool = require("../config/db");
 const auth = require("../middlewares/authMiddleware");
 const bcrypt = require("bcrypt");
+const {
+  getClientIp,
+  revokeAllSessions,
+} = require("../services/sessionService");
+const {
+  EMAIL_CHANGE_MESSAGES,
+  requestEmailChange,
+  confirmEmailChange,
+  undoEmailChange,
+} = require("../services/emailChangeService");
+const {
+  PHONE_MESSAGES,
+  requestPhoneVerification,
+  confirmPhoneVerification,
+  removePhone,
+} = require("../services/phoneService");
+const { OTP_MESSAGES } = require("../services/otp");
+const { requestExport, getExport } = require("../services/dataExportService");
+const { normalizeLocale } = require("../services/mail");
+const { HANDLE_MESSAGES, setHandle } = require("../services/handleService");
+const {
+  GRACE_DAYS,
+  deactivateAccount,
+} = require("../services/accountDeletionService");
+const {
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottled,
+} = require("../services/loginThrottle");
+
+// failure result of the email / phone verification services -> response
+function sendVerificationError(res, result) {
+  const msg =
+    EMAIL_CHANGE_MESSAGES[result.reason] ||
+    PHONE_MESSAGES[result.reason] ||
+    OTP_MESSAGES[result.reason];
+  if (result.retryAfterSeconds) {
+    res.set("Retry-After", String(result.retryAfterSeconds));
+    return res.status(429).json({ msg, retryAfter: result.retryAfterSeconds });
+  }
+  const conflict = ["email_taken", "phone_taken"].includes(result.reason);
+  return res.status(conflict ? 409 : 400).json({
+    msg,
+    code: result.reason,
+    attemptsLeft: result.attemptsLeft,
+  });
+}
+
+// POST .../verify handlers for both kinds: throttled OTP check + save
+function confirmEmailHandler(kind, field) {
+  return async (req, res) => {
+    const userId = req.user.id;
+    const { otp } = req.body;
+    const newEmail = req.body[field];
+
+    if (!newEmail || !otp) {
+      return res.status(400).json({ msg: "Email and OTP required" });
+    }
+
+    try {
+      const throttleIds = { account: `user:${userId}`, ip: getClientIp(req) };
+      const throttle = await checkThrottle("otp", throttleIds);
+      if (!throttle.allowed) return sendThrottled(res, throttle);
+
+      const result = await confirmEmailChange({ userId, kind, newEmail, code: otp });
+      if (!result.ok) {
+        if (result.reason === "invalid") await recordFailure("otp", throttleIds);
+        return sendVerificationError(res, result);
+      }
+
+      await clearFailures("otp", `user:${userId}`);
+      res.json({ success: true, email: result.email });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ msg: "Server error" });
+    }
+  };
+}
 
 // CHECK existing recovery email
 router.get("/recovery-email/check", auth, async (req, res) => {
@@ -10,18 +89,20 @@ router.get("/recovery-email/check", auth, async (req, res) => {
 
   try {
     const result = await pool.query(
-      "SELECT recovery_email FROM users WHERE id = $1",
+      "SELECT recovery_email, recovery_email_verified FROM users WHERE id = $1",
       [userId],
     );
 
-    res.json(result.rows[0] || { recovery_email: null });
+    res.json(
+      result.rows[0] || { recovery_email: null, recovery_email_verified: false },
+    );
   } catch (err) {
     console.error(err);
     res.status(500).json({ msg: "Server error" });
   }
 });
 
-// UPDATE recovery email
+// UPDATE recovery email (step 1: OTP to the new address, nothing saved yet)
 router.put("/recovery-email", auth, async (req, res) => {
   const userId = req.user.id;
   const { recoveryEmail } = req.body;
@@ -31,12 +112,87 @@ router.put("/recovery-email", auth, async (req, res) => {
   }
 
   try {
-    await pool.query("UPDATE users SET recovery_email = $1 WHERE id = $2", [
-      recoveryEmail,
+    const result = await requestEmailChange({
+      userId,
+      kind: "recovery",
+      newEmail: recoveryEmail,
+      ip: getClientIp(req),
+    });
+    if (!result.ok) return sendVerificationError(res, result);
+
+    res.json({ success: true, pending: true, msg: "Verification code sent" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
+
+// step 2: { recoveryEmail, otp }
+router.post(
+  "/recovery-email/verify",
+  auth,
+  confirmEmailHandler("recovery", "recoveryEmail"),
+);
+
+// CHANGE primary (sign-in) email
+// step 1: { newEmail, password } -> OTP to the new address
+router.post("/email", auth, async (req, res) => {
+  const userId = req.user.id;
+  const { newEmail, password } = req.body;
+
+  if (!newEmail || !password) {
+    return res.status(400).json({ msg: "New email and password required" });
+  }
+
+  try {
+    const user = await pool.query("SELECT password FROM users WHERE id=$1", [
       userId,
     ]);
+    if (!user.rows.length) {
+      return res.status(404).json({ msg: "User not found" });
+    }
 
-    res.json({ success: true });
+    const match = await bcrypt.compare(password, user.rows[0].password);
+    if (!match) {
+      return res.status(400).json({ msg: "Incorrect password" });
+    }
+
+    const result = await requestEmailChange({
+      userId,
+      kind: "primary",
+      newEmail,
+      ip: getClientIp(req),
+    });
+    if (!result.ok) return sendVerificationError(res, result);
+
+    res.json({ success: true, pending: true, msg: "Verification code sent" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
+
+// step 2: { newEmail, otp }
+router.post("/email/verify", auth, confirmEmailHandler("primary", "newEmail"));
+
+// UNDO an email change from the link mailed to the previous address
+// (no auth: whoever changed it may have locked the owner out)
+router.post("/email/undo", async (req, res) => {
+  const { token } = req.body || {};
+
+  try {
+    const result = await undoEmailChange(token);
+    if (!result.ok) {
+      return res.status(result.reason === "email_taken" ? 409 : 400).json({
+        msg: EMAIL_CHANGE_MESSAGES[result.reason],
+        code: result.reason,
+      });
+    }
+
+    // someone else had access: sign out everywhere
+    await revokeAllSessions(result.userId, "email_change_undone");
+
+    res.json({ success: true, kind: result.kind });
   } catch (err) {
     console.error(err);
     res.status(500).json({ msg: "Server error" });
@@ -72,6 +228,9 @@ router.put("/change-password", auth, async (req, res) => {
       userId,
     ]);
 
+    // sign out every other device; the current one stays logged in
+    await revokeAllSessions(userId, "password_changed", req.user.sid);
+
     res.json({ success: true });
   } catch (err) {
     console.error(err);
@@ -85,81 +244,215 @@ router.get("/phone-number/check", auth, async (req, res) => {
 
   try {
     const result = await pool.query(
-      "SELECT phone_number FROM users WHERE id=$1",
+      "SELECT phone_number, phone_verified FROM users WHERE id=$1",
       [userId],
     );
 
-    res.json(result.rows[0] || { phone_number: null });
+    res.json(result.rows[0] || { phone_number: null, phone_verified: false });
   } catch (err) {
     console.error(err);
     res.status(500).json({ msg: "Server error" });
   }
 });
 
-// UPDATE phone number
+// UPDATE phone number (step 1: SMS code to the new number, nothing saved yet)
 router.put("/phone-number", auth, async (req, res) => {
   const userId = req.user.id;
   const { phoneNumber } = req.body;
 
+  if (!phoneNumber) {
+    return res.status(400).json({ msg: "Phone number required" });
+  }
+
   try {
-    await pool.query("UPDATE users SET phone_number=$1 WHERE id=$2", [
-      phoneNumber,
+    const result = await requestPhoneVerification({
       userId,
-    ]);
-
-    res.json({ success: true });
+      phoneNumber,
+      ip: getClientIp(req),
+    });
+    if (!result.ok) return sendVerificationError(res, result);
+
+    res.json({
+      success: true,
+      pending: true,
+      phone_number: result.phone,
+      msg: "Verification code sent",
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ msg: "Server error" });
   }
 });
 
-router.delete("/delete-account", auth, async (req, res) => {
+// step 2: { phoneNumber, otp }
+router.post("/phone-number/verify", auth, async (req, res) => {
   const userId = req.user.id;
-  const { password } = req.body;
+  const { phoneNumber, otp } = req.body;
 
-  if (!password) {
-    return res.status(400).json({ msg: "Password required" });
+  if (!phoneNumber || !otp) {
+    return res.status(400).json({ msg: "Phone number and OTP required" });
   }
 
   try {
-    await pool.query("BEGIN");
+    const throttleIds = { account: `user:${userId}`, ip: getClientIp(req) };
+    const throttle = await checkThrottle("otp", throttleIds);
+    if (!throttle.allowed) return sendThrottled(res, throttle);
 
-    const user = await pool.query("SELECT password FROM users WHERE id=$1", [
+    const result = await confirmPhoneVerification({
       userId,
+      phoneNumber,
+      code: otp,
+    });
+    if (!result.ok) {
+      if (result.reason === "invalid") await recordFailure("otp", throttleIds);
+      return sendVerificationError(res, result);
+    }
+
+    await clearFailures("otp", `user:${userId}`);
+    res.json({ success: true, phone_number: result.phone, phone_verified: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
+
+// REMOVE phone number
+router.delete("/phone-number", auth, async (req, res) => {
+  try {
+    await removePhone(req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
+
+// UPDATE email language { locale: "en" | "hi" | ... }
+router.put("/locale", auth, async (req, res) => {
+  const locale = normalizeLocale(req.body.locale);
+  if (!locale) {
+    return res.status(400).json({ msg: "Invalid locale" });
+  }
+
+  try {
+    await pool.query("UPDATE users SET locale = $2 WHERE id = $1", [
+      req.user.id,
+      locale,
     ]);
+    res.json({ success: true, locale });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
 
-    if (!user.rows.length) {
-      throw new Error("User not found");
+// UPDATE @handle { handle: "jane_doe" }
+router.put("/handle", auth, async (req, res) => {
+  try {
+    const result = await setHandle(req.user.id, req.body.handle);
+    if (!result.ok) {
+      return res
+        .status(result.reason === "taken" ? 409 : 400)
+        .json({ msg: HANDLE_MESSAGES[result.reason] });
     }
+    res.json({ success: true, handle: result.handle });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
 
-    const match = await bcrypt.compare(password, user.rows[0].password);
+// EXPORT my data (zip built in the background; a notification with the
+// download link arrives when it's ready)
+router.post("/export", auth, async (req, res) => {
+  try {
+    const { export: job, alreadyRunning } = await requestExport(req.user.id);
+
+    res.status(202).json({
+      exportId: job.id,
+      status: job.status,
+      created_at: job.created_at,
+      msg: alreadyRunning
+        ? "An export is already being prepared"
+        : "Export started. We'll notify you when it's ready",
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
 
-    if (!match) {
-      throw new Error("Incorrect password");
+// export status (+ fresh download link while the archive exists)
+router.get("/export/:exportId", auth, async (req, res) => {
+  try {
+    const job = await getExport(req.user.id, req.params.exportId);
+    if (!job) return res.status(404).json({ msg: "Export not found" });
+
+    res.json(job);
+  } catch (err) {
+    if (err.code === "22P02") {
+      return res.status(404).json({ msg: "Export not found" });
     }
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
 
-    // 🔥 OPTIONAL manual deletes (only if you want FULL wipe)
-    await pool.query("DELETE FROM claims WHERE claimed_person_id = $1", [
-      userId,
-    ]);
+// password re-check shared by deactivate / delete-account
+async function checkPassword(userId, password) {
+  const user = await pool.query("SELECT password FROM users WHERE id=$1", [
+    userId,
+  ]);
+  if (!user.rows.length) return false;
+  return bcrypt.compare(password, user.rows[0].password);
+}
+
+// DEACTIVATE (hidden everywhere until the next sign-in)
+router.post("/deactivate", auth, async (req, res) => {
+  const userId = req.user.id;
+  const { password } = req.body;
 
-    await pool.query("DELETE FROM lost_and_found WHERE reported_by = $1", [
-      userId,
-    ]);
+  if (!password) {
+    return res.status(400).json({ msg: "Password required" });
+  }
+
+  try {
+    if (!(await checkPassword(userId, password))) {
+      return res.status(400).json({ msg: "Incorrect password" });
+    }
+
+    const state = await deactivateAccount(userId);
+    res.json({ success: true, deactivated_at: state.deactivated_at });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: "Server error" });
+  }
+});
+
+// DELETE ACCOUNT: deactivates now, purges after the grace period.
+// Signing in again before then cancels the deletion.
+router.delete("/delete-account", auth, async (req, res) => {
+  const userId = req.user.id;
+  const { password } = req.body;
 
-    // ✅ MAIN DELETE (this triggers cascade)
-    await pool.query("DELETE FROM users WHERE id=$1", [userId]);
+  if (!password) {
+    return res.status(400).json({ msg: "Password required" });
+  }
 
-    await pool.query("COMMIT");
+  try {
+    if (!(await checkPassword(userId, password))) {
+      return res.status(400).json({ msg: "Incorrect password" });
+    }
 
-    res.json({ success: true });
+    const state = await deactivateAccount(userId, { scheduleDeletion: true });
+    res.json({
+      success: true,
+      deletion_scheduled_for: state.deletion_scheduled_for,
+      msg: `Your account will be deleted in ${GRACE_DAYS} days. Sign in before then to cancel.`,
+    });
   } catch (err) {
-    await pool.query("ROLLBACK");
     console.error(err);
-    res.status(400).json({ msg: err.message });
-  } finally {
-    pool.release();
+    res.status(500).json({ msg: "Server error" });
   }
 });
 module.exports = router;
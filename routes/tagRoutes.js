@@ -0,0 +1,137 @@
+// routes/tagRoutes.js
+// Hashtags: trending, autocomplete, details and follows.
+// Posts for one tag: GET /api/posts/tag/:tag; posts of followed tags:
+// GET /api/posts/feed/hashtags
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/authMiddleware");
+const pool = require("../config/db");
+const {
+  HASHTAG_MESSAGES,
+  getHashtag,
+  followHashtag,
+  unfollowHashtag,
+  getFollowedHashtags,
+  autocompleteHashtags,
+  getTrendingHashtags,
+} = require("../services/hashtagService");
+
+function parseLimit(raw, fallback, max) {
+  const n = parseInt(raw, 10);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : fallback;
+}
+
+/**
+ * GET /api/tags/trending?window=24h&scope=university|global&university=..&limit=10
+ * window: 1h | 24h | 7d | 30d. scope=university uses ?university or the
+ * requester's own.
+ */
+router.get("/trending", auth, async (req, res) => {
+  try {
+    const meRes = await pool.query(
+      "SELECT university FROM users WHERE id = $1 LIMIT 1",
+      [req.user.id],
+    );
+    const myUniversity = meRes.rows[0]?.university || null;
+
+    let university = null;
+    if (req.query.scope === "university" || req.query.university) {
+      university = req.query.university || myUniversity;
+      if (!university) {
+        return res.status(400).json({
+          error: "university parameter is required (or set in your profile)",
+        });
+      }
+    }
+
+    const result = await getTrendingHashtags({
+      window: req.query.window || undefined,
+      university,
+      viewerUniversity: myUniversity,
+      limit: parseLimit(req.query.limit, 10, 50),
+    });
+    if (!result.ok) {
+      return res.status(400).json({ error: HASHTAG_MESSAGES[result.reason] });
+    }
+
+    res.json({
+      scope: university ? "university" : "global",
+      university,
+      window: result.window,
+      hashtags: result.hashtags,
+    });
+  } catch (err) {
+    console.error("❌ Trending hashtags error:", err);
+    res.status(500).json({ error: "Failed to load trending hashtags" });
+  }
+});
+
+// GET /api/tags/autocomplete?q=mach&limit=10
+router.get("/autocomplete", auth, async (req, res) => {
+  try {
+    const hashtags = await autocompleteHashtags(String(req.query.q || ""), {
+      limit: parseLimit(req.query.limit, 10, 25),
+      userId: req.user.id,
+    });
+    res.json({ hashtags });
+  } catch (err) {
+    console.error("❌ Hashtag autocomplete error:", err);
+    res.status(500).json({ error: "Failed to search hashtags" });
+  }
+});
+
+// GET /api/tags/following — hashtags I follow
+router.get("/following", auth, async (req, res) => {
+  try {
+    res.json({ hashtags: await getFollowedHashtags(req.user.id) });
+  } catch (err) {
+    console.error("❌ Followed hashtags error:", err);
+    res.status(500).json({ error: "Failed to load followed hashtags" });
+  }
+});
+
+// GET /api/tags/:tag
+router.get("/:tag", auth, async (req, res) => {
+  try {
+    const hashtag = await getHashtag(req.params.tag, req.user.id);
+    if (!hashtag) {
+      return res.status(404).json({ error: HASHTAG_MESSAGES.not_found });
+    }
+    res.json({ hashtag });
+  } catch (err) {
+    console.error("❌ Hashtag error:", err);
+    res.status(500).json({ error: "Failed to load hashtag" });
+  }
+});
+
+// FOLLOW: POST /api/tags/:tag/follow
+router.post("/:tag/follow", auth, async (req, res) => {
+  try {
+    const result = await followHashtag(req.user.id, req.params.tag);
+    if (!result.ok) {
+      return res.status(400).json({ error: HASHTAG_MESSAGES[result.reason] });
+    }
+    res.json({ hashtag: result.hashtag });
+  } catch (err) {
+    console.error("❌ Follow hashtag error:", err);
+    res.status(500).json({ error: "Failed to follow hashtag" });
+  }
+});
+
+// UNFOLLOW: DELETE /api/tags/:tag/follow
+router.delete("/:tag/follow", auth, async (req, res) => {
+  try {
+    const result = await unfollowHashtag(req.user.id, req.params.tag);
+    if (!result.ok) {
+      return res
+        .status(result.reason === "not_found" ? 404 : 400)
+        .json({ error: HASHTAG_MESSAGES[result.reason] });
+    }
+    res.json({ hashtag: result.hashtag });
+  } catch (err) {
+    console.error("❌ Unfollow hashtag error:", err);
+    res.status(500).json({ error: "Failed to unfollow hashtag" });
+  }
+});
+
+module.exports = router;
@@ -12,7 +12,15 @@ router.get("/", async (req, res) => {
   try {
     const { rows } = await query(
       `
-      SELECT name, domain
+      SELECT
+        name,
+        domain,
+        COALESCE(
+          (SELECT ARRAY_AGG(d.domain ORDER BY d.domain)
+           FROM university_domains d
+           WHERE d.university = universities.name),
+          '{}'
+        ) AS domains
       FROM universities
       WHERE name ILIKE $1
       ORDER BY name
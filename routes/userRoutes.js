@@ -5,8 +5,22 @@ const pool = require("../config/db"); // pg Pool instance
 const auth = require("../middlewares/authMiddleware"); // verifies JWT, sets req.user.id
 const multer = require("multer");
 const upload = multer();
-const uploadToS3 = require("../config/s3Upload");
+const {
+  ImageRejectedError,
+  processAndUploadImage,
+  variantUrls,
+} = require("../services/imagePipeline");
 const generatePresignedUrl = require("../config/generatePresignedUrl");
+const { getPostImages } = require("../services/postImageService");
+const { videoFields } = require("../services/videoProcessingService");
+const { getPolls } = require("../services/pollService");
+const { getEvents } = require("../services/eventService");
+const {
+  CURSOR_MESSAGES,
+  parsePaging,
+  keysetClause,
+  paginate,
+} = require("../services/cursor");
 // GET /api/users/me
 // GET /api/users/me
 
@@ -38,6 +52,7 @@ router.get("/me", auth, async (req, res) => {
          id,
          first_name,
          last_name,
+         handle,
          location,
          email,
          gender,
@@ -48,7 +63,10 @@ router.get("/me", auth, async (req, res) => {
          duration,
          specialization,
          profile,
+         profile_variants,
+         profile_blurhash,
          verified,     -- ✅ ADD THIS
+         verified_student,
          blog_link,    -- ✅ ADD THIS
          COALESCE(interests, ARRAY[]::text[]) AS interests,
          COALESCE(experience, '[]'::jsonb) AS experience,
@@ -72,6 +90,7 @@ router.get("/me", auth, async (req, res) => {
     if (user.profile) {
       user.profile = generatePresignedUrl(user.profile);
     }
+    user.profile_variants = variantUrls(user.profile_variants);
 
     res.json(user);
   } catch (err) {
@@ -89,19 +108,26 @@ router.post(
     try {
       if (!req.file) return res.status(400).json({ error: "No file uploaded" });
 
-      const key = await uploadToS3(
-        req.file.buffer,
-        req.file.originalname,
-        req.file.mimetype,
+      const image = await processAndUploadImage(req.file.buffer);
+      // avatars are shown small; "medium" is plenty for users.profile
+      const key = image.variants.medium.jpeg;
+
+      await pool.query(
+        `UPDATE users
+         SET profile = $1, profile_variants = $2, profile_blurhash = $3
+         WHERE id = $4`,
+        [key, image.variants, image.blurhash, req.user.id],
       );
 
-      await pool.query("UPDATE users SET profile = $1 WHERE id = $2", [
+      res.json({
         key,
-        req.user.id,
-      ]);
-
-      res.json({ key });
+        variants: variantUrls(image.variants),
+        blurhash: image.blurhash,
+      });
     } catch (err) {
+      if (err instanceof ImageRejectedError) {
+        return res.status(400).json({ error: err.message });
+      }
       console.error(err);
       res.status(500).json({ error: "Upload failed" });
     }
@@ -263,21 +289,31 @@ router.patch("/interests", auth, async (req, res) => {
   }
 });
 
-// GET saved posts (GRID VIEW ONLY)
+// GET saved posts (GRID VIEW ONLY), newest saves first
+// ?cursor=.. from nextCursor (?page=N still works but is deprecated)
 router.get("/saved-posts", auth, async (req, res) => {
   try {
     const userId = req.user.id;
-    const page = parseInt(req.query.page || "1", 10);
     const limit = 12; // grid size
-    const offset = (page - 1) * limit;
+    const paging = parsePaging(req.query, limit);
+    if (!paging.ok) {
+      return res.status(400).json({ error: CURSOR_MESSAGES[paging.reason] });
+    }
+
+    const params = [userId, paging.limit, paging.offset];
+    const keysetSql = keysetClause(paging.cursor, params, "sp.created_at", "p.id");
 
     const sql = `
       SELECT
         p.id,
+        sp.created_at::text AS cursor_at,
         p.post_type,
+        p.media_status,
         p.image_url,
+        p.poster_url,
         p.caption,
         p.created_at,
+        p.edited_at,
         u.first_name,
         u.last_name
       FROM saved_posts sp
@@ -286,6 +322,8 @@ router.get("/saved-posts", auth, async (req, res) => {
 
       -- 🔒 block checks
       WHERE sp.user_id = $1
+        AND u.deactivated_at IS NULL
+        AND (p.media_status IS NULL OR p.media_status = 'ready')
         AND NOT EXISTS (
           SELECT 1 FROM blocks b
           WHERE b.blocker_id = $1
@@ -296,23 +334,28 @@ router.get("/saved-posts", auth, async (req, res) => {
           WHERE b2.blocker_id = p.user_id
             AND b2.blocked_id = $1
         )
+        ${keysetSql}
 
-      ORDER BY sp.created_at DESC
+      ORDER BY sp.created_at DESC, p.id DESC
       LIMIT $2 OFFSET $3;
     `;
 
-    const result = await pool.query(sql, [userId, limit, offset]);
+    const result = await pool.query(sql, params);
+    const { rows, nextCursor } = paginate(result.rows, limit);
+    const imagesByPost = await getPostImages(rows);
 
     const posts = await Promise.all(
-      result.rows.map(async (post) => ({
+      rows.map(async ({ cursor_at, ...post }) => ({
         ...post,
         image_url: post.image_url
           ? await generatePresignedUrl(post.image_url)
           : null,
+        images: imagesByPost.get(String(post.id)) || [],
+        poster_url: videoFields(post).poster_url,
       })),
     );
 
-    res.json({ posts });
+    res.json({ posts, nextCursor });
   } catch (err) {
     console.error("❌ Error fetching saved posts:", err);
     res.status(500).json({ error: "Failed to fetch saved posts" });
@@ -332,9 +375,20 @@ router.get("/activity", auth, async (req, res) => {
        FROM posts p
        JOIN users u ON p.user_id = u.id
        WHERE p.user_id = $1
+         AND (u.deactivated_at IS NULL OR u.id = $4)
+         AND (p.media_status IS NULL OR p.media_status = 'ready' OR p.user_id = $4)
        ORDER BY p.created_at DESC
        LIMIT $2 OFFSET $3`,
-      [userId, limit, offset],
+      [userId, limit, offset, req.user.id],
+    );
+    const imagesByPost = await getPostImages(result.rows);
+    const pollsByPost = await getPolls(
+      result.rows.filter((p) => p.post_type === "poll").map((p) => p.id),
+      req.user.id,
+    );
+    const eventsByPost = await getEvents(
+      result.rows.filter((p) => p.post_type === "event").map((p) => p.id),
+      req.user.id,
     );
 
     const posts = await Promise.all(
@@ -346,6 +400,11 @@ router.get("/activity", auth, async (req, res) => {
         image_url: post.image_url
           ? await generatePresignedUrl(post.image_url)
           : null,
+        images: imagesByPost.get(String(post.id)) || [],
+        ...videoFields(post),
+        video_source_key: undefined,
+        poll: pollsByPost.get(String(post.id)) || null,
+        event: eventsByPost.get(String(post.id)) || null,
       })),
     );
 
@@ -436,6 +495,7 @@ router.get("/profile/:userId", auth, async (req, res) => {
          u.user_type,
          u.blog_link,
          u.verified,
+         u.verified_student,
 
          -- 👇 already there: did *I* block this user?
          EXISTS (
@@ -444,7 +504,8 @@ router.get("/profile/:userId", auth, async (req, res) => {
              AND b.blocked_id = u.id
          ) AS is_blocked_by_me
        FROM users u
-       WHERE u.id = $1`,
+       WHERE u.id = $1
+         AND (u.deactivated_at IS NULL OR u.id = $2)`,
       [userId, viewerId],
     );
 
@@ -0,0 +1,169 @@
+// services/accountDeletionService.js
+// Reversible deactivation and grace-period deletion of accounts.
+//   deactivate -> hidden everywhere, signed out, optionally scheduled for
+//                 deletion ACCOUNT_DELETION_GRACE_DAYS (default 30) from now
+//   reactivate -> signing in again undoes both
+//   purge      -> run by the scheduler once the grace period is over
+const pool = require("../config/db");
+const deleteFromS3 = require("../config/s3Delete");
+const { inTransaction } = require("./roleService");
+const { revokeAllSessions } = require("./sessionService");
+const { variantKeys } = require("./imagePipeline");
+
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const PURGE_BATCH = 50;
+
+/**
+ * Hide the account and sign it out everywhere. With `scheduleDeletion`
+ * it is permanently deleted after the grace period.
+ * Returns { deactivated_at, deletion_scheduled_for }
+ */
+async function deactivateAccount(userId, { scheduleDeletion = false } = {}) {
+  const { rows } = await pool.query(
+    `UPDATE users
+     SET deactivated_at = COALESCE(deactivated_at, now()),
+         deletion_scheduled_for = CASE
+           WHEN $2 THEN now() + ($3 || ' days')::interval
+           ELSE NULL
+         END
+     WHERE id = $1
+     RETURNING deactivated_at, deletion_scheduled_for`,
+    [userId, scheduleDeletion, String(GRACE_DAYS)],
+  );
+
+  await revokeAllSessions(
+    userId,
+    scheduleDeletion ? "account_deletion_scheduled" : "account_deactivated",
+  );
+  return rows[0] || null;
+}
+
+// Undo deactivation (and any pending deletion). Returns true if the account
+// was deactivated.
+async function reactivateAccount(userId) {
+  const { rowCount } = await pool.query(
+    `UPDATE users
+     SET deactivated_at = NULL, deletion_scheduled_for = NULL
+     WHERE id = $1 AND deactivated_at IS NOT NULL`,
+    [userId],
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Permanently delete one account whose grace period is over.
+ * The rows go in a single transaction on one client; the user's S3 objects
+ * are removed only after it commits. Returns false if the deletion was
+ * cancelled in the meantime.
+ */
+async function purgeAccount(userId) {
+  const keys = await inTransaction(async (client) => {
+    // lock the row so a concurrent login can't reactivate mid-purge
+    const { rows } = await client.query(
+      `SELECT profile, profile_variants FROM users
+       WHERE id = $1 AND deletion_scheduled_for <= now()
+       FOR UPDATE`,
+      [userId],
+    );
+    if (!rows.length) return null;
+
+    const media = await client.query(
+      `SELECT image_url AS key FROM posts WHERE user_id = $1 AND image_url IS NOT NULL
+       UNION
+       SELECT unnest(ARRAY[video_url, poster_url, video_source_key])
+       FROM posts WHERE user_id = $1
+       UNION
+       SELECT pi.image_url FROM post_images pi
+       JOIN posts p ON p.id = pi.post_id
+       WHERE p.user_id = $1
+       UNION
+       SELECT mi.image_url FROM marketplace_listing_images mi
+       JOIN marketplace_listings ml ON ml.id = mi.listing_id
+       WHERE ml.seller_id = $1
+       UNION
+       SELECT s3_key FROM data_exports WHERE user_id = $1 AND s3_key IS NOT NULL`,
+      [userId],
+    );
+    // resized copies made by services/imagePipeline
+    const variants = await client.query(
+      `SELECT pi.variants FROM post_images pi
+       JOIN posts p ON p.id = pi.post_id
+       WHERE p.user_id = $1 AND pi.variants IS NOT NULL
+       UNION ALL
+       SELECT mi.variants FROM marketplace_listing_images mi
+       JOIN marketplace_listings ml ON ml.id = mi.listing_id
+       WHERE ml.seller_id = $1 AND mi.variants IS NOT NULL`,
+      [userId],
+    );
+
+    await client.query("DELETE FROM claims WHERE claimed_person_id = $1", [
+      userId,
+    ]);
+    await client.query("DELETE FROM lost_and_found WHERE reported_by = $1", [
+      userId,
+    ]);
+    // everything else goes via ON DELETE CASCADE
+    await client.query("DELETE FROM users WHERE id = $1", [userId]);
+
+    return [
+      rows[0].profile,
+      ...variantKeys(rows[0].profile_variants),
+      ...media.rows.map((r) => r.key),
+      ...variants.rows.flatMap((r) => variantKeys(r.variants)),
+    ];
+  });
+
+  if (!keys) return false;
+
+  try {
+    const failed = await deleteFromS3(keys);
+    if (failed.length) {
+      console.error("account purge: S3 objects not deleted", userId, failed);
+    }
+  } catch (err) {
+    // the account is gone either way; leftover objects are only storage
+    console.error("account purge: S3 cleanup failed", userId, err && err.message);
+  }
+  return true;
+}
+
+async function purgeDueAccounts() {
+  const { rows } = await pool.query(
+    `SELECT id FROM users
+     WHERE deletion_scheduled_for <= now()
+     ORDER BY deletion_scheduled_for
+     LIMIT $1`,
+    [PURGE_BATCH],
+  );
+
+  let purged = 0;
+  for (const { id } of rows) {
+    try {
+      if (await purgeAccount(id)) purged += 1;
+    } catch (err) {
+      console.error("account purge failed:", id, err);
+    }
+  }
+  return purged;
+}
+
+// called once from index.js
+function startDeletionScheduler() {
+  const run = () =>
+    purgeDueAccounts()
+      .then((n) => n && console.log(`🗑️ purged ${n} deleted account(s)`))
+      .catch((err) => console.error("account purge run failed:", err));
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  GRACE_DAYS,
+  deactivateAccount,
+  reactivateAccount,
+  purgeAccount,
+  purgeDueAccounts,
+  startDeletionScheduler,
+};
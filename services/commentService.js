@@ -0,0 +1,197 @@
+// services/commentService.js
+// Comment threads: top-level comments (depth 0) take replies up to
+// MAX_COMMENT_DEPTH; replying deeper attaches the reply to the same parent
+// instead. Deleting a comment that still has replies keeps it as a
+// "[deleted]" placeholder; placeholders disappear once their last reply does.
+const pool = require("../config/db");
+const generatePresignedUrl = require("../config/generatePresignedUrl");
+const { inTransaction } = require("./roleService");
+const { keysetClause, paginate } = require("./cursor");
+
+const MAX_COMMENT_DEPTH = 2;
+const DELETED_PLACEHOLDER = "[deleted]";
+
+// Human-readable messages for the failure reasons below
+const COMMENT_MESSAGES = {
+  not_found: "Not found",
+  parent_not_found: "The comment you are replying to no longer exists",
+  forbidden: "Not allowed",
+};
+
+/**
+ * Where a reply to `parentCommentId` goes.
+ * Returns { ok: true, parent: { id, user_id, depth } | null } or
+ * { ok: false, reason }
+ */
+async function resolveParent(postId, parentCommentId) {
+  if (parentCommentId === undefined || parentCommentId === null || parentCommentId === "") {
+    return { ok: true, parent: null };
+  }
+
+  const { rows } = await pool.query(
+    `SELECT id, user_id, depth, parent_comment_id
+     FROM comments
+     WHERE id = $1 AND post_id = $2 AND deleted_at IS NULL`,
+    [parentCommentId, postId],
+  );
+  const parent = rows[0];
+  if (!parent) return { ok: false, reason: "parent_not_found" };
+
+  if (parent.depth < MAX_COMMENT_DEPTH) return { ok: true, parent };
+
+  // too deep: reply alongside it, but still notify the author replied to
+  const { rows: up } = await pool.query(
+    "SELECT id, depth FROM comments WHERE id = $1",
+    [parent.parent_comment_id],
+  );
+  return {
+    ok: true,
+    parent: { id: up[0].id, user_id: parent.user_id, depth: up[0].depth },
+  };
+}
+
+/**
+ * One page of comments, oldest replies first / newest top-level first.
+ * parentCommentId null = top-level comments of the post. `cursor` is a
+ * decoded nextCursor (services/cursor), or null for the first page / when
+ * paging by the deprecated `offset`.
+ * Rows carry reply_count and like counts for `userId`.
+ * Returns { comments, nextCursor }
+ */
+async function listComments({
+  postId,
+  parentCommentId = null,
+  userId,
+  cursor = null,
+  offset = 0,
+  limit,
+}) {
+  const topLevel = parentCommentId === null;
+  const params = [postId, offset, limit + 1, userId];
+  if (!topLevel) params.push(parentCommentId);
+  const keysetSql = keysetClause(cursor, params, "c.created_at", "c.id", {
+    ascending: !topLevel,
+  });
+
+  const { rows } = await pool.query(
+    `SELECT
+       c.id,
+       c.content,
+       c.created_at,
+       c.created_at::text AS cursor_at,
+       c.user_id,
+       c.parent_comment_id,
+       c.depth,
+       c.deleted_at,
+       c.mentions,
+       u.first_name,
+       u.last_name,
+       u.profile,
+       (SELECT COUNT(*) FROM comments r
+        WHERE r.parent_comment_id = c.id)::int AS reply_count,
+       COALESCE(COUNT(cl.id), 0) AS like_count,
+       COALESCE(BOOL_OR(cl.user_id = $4), false) AS liked_by_me
+     FROM comments c
+     JOIN users u ON c.user_id = u.id
+     LEFT JOIN comment_likes cl ON cl.comment_id = c.id
+     WHERE c.post_id = $1
+       AND ${topLevel ? "c.parent_comment_id IS NULL" : "c.parent_comment_id = $5"}
+       AND (u.deactivated_at IS NULL OR c.deleted_at IS NOT NULL)
+       ${keysetSql}
+     GROUP BY c.id, u.id
+     ORDER BY c.created_at ${topLevel ? "DESC" : "ASC"}, c.id ${topLevel ? "DESC" : "ASC"}
+     OFFSET $2::bigint LIMIT $3::bigint`,
+    params,
+  );
+  const page = paginate(rows, limit);
+  return {
+    comments: await Promise.all(page.rows.map(toPublicComment)),
+    nextCursor: page.nextCursor,
+  };
+}
+
+// comments row (with user fields) -> API shape
+async function toPublicComment(row) {
+  const deleted = Boolean(row.deleted_at);
+  return {
+    id: row.id,
+    content: deleted ? DELETED_PLACEHOLDER : row.content,
+    // @mentions in content: [{ user_id, handle, name, offset, length }]
+    mentions: deleted ? [] : row.mentions || [],
+    created_at: row.created_at,
+    parent_comment_id: row.parent_comment_id || null,
+    depth: row.depth || 0,
+    deleted,
+    reply_count: Number(row.reply_count) || 0,
+    like_count: deleted ? 0 : Number(row.like_count) || 0,
+    liked_by_me: !deleted && row.liked_by_me === true,
+    user: deleted
+      ? null
+      : {
+          id: row.user_id,
+          name: `${row.first_name} ${row.last_name}`,
+          avatar_url: row.profile ? await generatePresignedUrl(row.profile) : null,
+        },
+  };
+}
+
+/**
+ * Delete the user's own comment. With replies it becomes a placeholder;
+ * otherwise it is removed, along with placeholders it was the last reply of.
+ * Returns { ok: true, comment, removedIds, placeholder } or { ok: false, reason }
+ */
+async function deleteComment({ commentId, userId }) {
+  return inTransaction(async (client) => {
+    const { rows } = await client.query(
+      "SELECT * FROM comments WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+      [commentId],
+    );
+    const comment = rows[0];
+    if (!comment) return { ok: false, reason: "not_found" };
+    if (comment.user_id !== userId) return { ok: false, reason: "forbidden" };
+
+    const { rows: replies } = await client.query(
+      "SELECT 1 FROM comments WHERE parent_comment_id = $1 LIMIT 1",
+      [commentId],
+    );
+    if (replies.length) {
+      await client.query(
+        "UPDATE comments SET deleted_at = now(), content = '', mentions = '[]' WHERE id = $1",
+        [commentId],
+      );
+      await client.query("DELETE FROM comment_likes WHERE comment_id = $1", [
+        commentId,
+      ]);
+      return { ok: true, comment, removedIds: [commentId], placeholder: true };
+    }
+
+    await client.query("DELETE FROM comments WHERE id = $1", [commentId]);
+    const removedIds = [commentId];
+
+    // walk up: placeholders left without replies go too
+    let parentId = comment.parent_comment_id;
+    while (parentId) {
+      const { rows: gone } = await client.query(
+        `DELETE FROM comments p
+         WHERE p.id = $1
+           AND p.deleted_at IS NOT NULL
+           AND NOT EXISTS (SELECT 1 FROM comments r WHERE r.parent_comment_id = p.id)
+         RETURNING p.parent_comment_id`,
+        [parentId],
+      );
+      if (!gone.length) break;
+      removedIds.push(parentId);
+      parentId = gone[0].parent_comment_id;
+    }
+    return { ok: true, comment, removedIds, placeholder: false };
+  });
+}
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  COMMENT_MESSAGES,
+  resolveParent,
+  listComments,
+  toPublicComment,
+  deleteComment,
+};
@@ -0,0 +1,108 @@
+// services/cursor.js
+// Opaque keyset cursors for lists ordered by (timestamp, id), like the
+// marketplace feed. A cursor is the sort key of the last row returned,
+// base64url-encoded; clients pass nextCursor back as ?cursor= without
+// looking inside. The timestamp travels as Postgres text so no microseconds
+// are lost: select it as `cursor_at` next to `id`.
+//
+// ?page=N (OFFSET) still works where it used to, but is deprecated: rows
+// inserted while a user scrolls shift the pages under them.
+
+const TIMESTAMP_RE =
+  /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CURSOR_MESSAGES = {
+  invalid_cursor: "Invalid cursor",
+};
+
+function encodeCursor(at, id) {
+  return Buffer.from(JSON.stringify([at, id])).toString("base64url");
+}
+
+/**
+ * Returns { at, id }, or null when the token wasn't made by encodeCursor.
+ */
+function decodeCursor(token) {
+  if (typeof token !== "string" || !token) return null;
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== 2) return null;
+
+  const [at, id] = values;
+  if (typeof at !== "string" || !TIMESTAMP_RE.test(at)) return null;
+  const validId =
+    (typeof id === "string" && (UUID_RE.test(id) || /^\d{1,19}$/.test(id))) ||
+    (Number.isSafeInteger(id) && id > 0);
+  if (!validId) return null;
+  return { at, id };
+}
+
+/**
+ * ?cursor= from a request.
+ * Returns { ok: true, cursor: { at, id } | null } or { ok: false, reason }
+ */
+function parseCursorParam(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return { ok: true, cursor: null };
+  }
+  const cursor = decodeCursor(String(raw));
+  if (!cursor) return { ok: false, reason: "invalid_cursor" };
+  return { ok: true, cursor };
+}
+
+/**
+ * Paging params of a list request: ?cursor= or, without one, the deprecated
+ * ?page=N. `limit` is pageSize + 1 so paginate() can tell if more follow.
+ * Returns { ok: true, cursor, offset, limit } or { ok: false, reason }
+ */
+function parsePaging(query, pageSize) {
+  const parsed = parseCursorParam(query.cursor);
+  if (!parsed.ok) return parsed;
+
+  const page = parsed.cursor ? 1 : Math.max(1, parseInt(query.page || "1", 10) || 1);
+  return {
+    ok: true,
+    cursor: parsed.cursor,
+    offset: (page - 1) * pageSize,
+    limit: pageSize + 1,
+  };
+}
+
+/**
+ * SQL condition (with leading AND) for rows after `cursor` in a list
+ * ordered by `atColumn`, `idColumn` (both DESC, or both ASC with
+ * ascending: true). Appends its values to `params`; "" without a cursor.
+ */
+function keysetClause(cursor, params, atColumn, idColumn, { ascending = false } = {}) {
+  if (!cursor) return "";
+  params.push(cursor.at, cursor.id);
+  const n = params.length;
+  return `AND (${atColumn}, ${idColumn}) ${ascending ? ">" : "<"} ($${n - 1}, $${n})`;
+}
+
+/**
+ * Split rows fetched with LIMIT pageSize + 1 into the page and the cursor
+ * for the next one (null on the last page).
+ */
+function paginate(rows, pageSize) {
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > pageSize ? encodeCursor(last.cursor_at, last.id) : null;
+  return { rows: page, nextCursor };
+}
+
+module.exports = {
+  CURSOR_MESSAGES,
+  encodeCursor,
+  decodeCursor,
+  parseCursorParam,
+  parsePaging,
+  keysetClause,
+  paginate,
+};
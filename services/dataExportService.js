@@ -0,0 +1,400 @@
+// services/dataExportService.js
+// "Download your data": builds a zip of everything a user created on AroundU
+// (JSON files + the media they uploaded), uploads it to S3 under exports/
+// and notifies the user with a time-limited download link.
+//
+// Jobs run in-process right after the request (setImmediate); a job that
+// was cut off by a restart is treated as failed after STALE_JOB_MINUTES.
+// Archives past expires_at are deleted by startExportCleanupScheduler.
+const AWS = require("aws-sdk");
+const pool = require("../config/db");
+const notify = require("../routes/notify");
+const { getIo } = require("./socketRegistry");
+const deleteFromS3 = require("../config/s3Delete");
+const { buildZip } = require("./zip");
+
+const s3 = new AWS.S3({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION,
+});
+
+const ARCHIVE_TTL_DAYS = 7; // archive is deleted after this
+const LINK_TTL_SECONDS = 24 * 60 * 60; // each download link
+const STALE_JOB_MINUTES = 60;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+// media beyond this total is listed by URL only, to keep archives bounded
+const MAX_MEDIA_BYTES =
+  Number(process.env.EXPORT_MAX_MEDIA_BYTES) || 200 * 1024 * 1024;
+
+function downloadUrl(key) {
+  return s3.getSignedUrl("getObject", {
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key,
+    Expires: LINK_TTL_SECONDS,
+    ResponseContentDisposition: 'attachment; filename="aroundu-data.zip"',
+  });
+}
+
+// ---------- collecting ----------
+async function rows(sql, params) {
+  return (await pool.query(sql, params)).rows;
+}
+
+async function collectUserData(userId) {
+  const [profile] = await rows(
+    // same fields as GET /api/user/me
+    `SELECT id, first_name, last_name, location, email, recovery_email,
+            phone_number, gender, dob, user_type, university, course, duration,
+            specialization, profile, verified, verified_student, blog_link,
+            COALESCE(interests, ARRAY[]::text[]) AS interests,
+            COALESCE(experience, '[]'::jsonb) AS experience,
+            COALESCE(projects, '[]'::jsonb) AS projects,
+            COALESCE(skills, ARRAY[]::text[]) AS skills,
+            COALESCE(education, '[]'::jsonb) AS education,
+            COALESCE(about, '') AS about,
+            created_at
+     FROM users WHERE id = $1`,
+    [userId],
+  );
+
+  return {
+    profile,
+    posts: await rows(
+      `SELECT p.*,
+              COALESCE(
+                (SELECT json_agg(json_build_object('image_url', pi.image_url, 'alt_text', pi.alt_text)
+                                 ORDER BY pi.sort_order)
+                 FROM post_images pi WHERE pi.post_id = p.id),
+                '[]'::json
+              ) AS images
+       FROM posts p WHERE p.user_id = $1 ORDER BY p.created_at`,
+      [userId],
+    ),
+    post_revisions: await rows(
+      `SELECT r.post_id, r.caption, r.tags, r.visibility, r.valid_from, r.replaced_at
+       FROM post_revisions r
+       JOIN posts p ON p.id = r.post_id
+       WHERE p.user_id = $1
+       ORDER BY r.post_id, r.replaced_at`,
+      [userId],
+    ),
+    comments: await rows(
+      `SELECT id, post_id, parent_comment_id, content, created_at
+       FROM comments WHERE user_id = $1 AND deleted_at IS NULL
+       ORDER BY created_at`,
+      [userId],
+    ),
+    poll_votes: await rows(
+      `SELECT v.post_id, o.label AS option, v.created_at
+       FROM poll_votes v
+       JOIN poll_options o ON o.id = v.option_id
+       WHERE v.user_id = $1
+       ORDER BY v.created_at`,
+      [userId],
+    ),
+    event_rsvps: await rows(
+      `SELECT r.post_id, e.title, e.starts_at, r.status, r.updated_at
+       FROM event_rsvps r
+       JOIN events e ON e.post_id = r.post_id
+       WHERE r.user_id = $1
+       ORDER BY e.starts_at`,
+      [userId],
+    ),
+    followed_hashtags: await rows(
+      `SELECT h.display_name AS hashtag, f.created_at
+       FROM hashtag_follows f JOIN hashtags h ON h.id = f.hashtag_id
+       WHERE f.user_id = $1 ORDER BY f.created_at`,
+      [userId],
+    ),
+    likes: await rows(
+      "SELECT post_id, created_at FROM post_likes WHERE user_id = $1 ORDER BY created_at",
+      [userId],
+    ),
+    saved_posts: await rows(
+      "SELECT post_id, created_at FROM saved_posts WHERE user_id = $1 ORDER BY created_at",
+      [userId],
+    ),
+    // every message in conversations the user belongs to (sent and received)
+    messages: await rows(
+      `SELECT m.id, m.conversation_id, m.sender_id,
+              (m.sender_id = $1) AS sent_by_me,
+              u.first_name || ' ' || u.last_name AS sender_name,
+              m.body, m.seen, m.created_at
+       FROM messages m
+       JOIN conversation_members cm
+         ON cm.conversation_id = m.conversation_id AND cm.user_id = $1
+       LEFT JOIN users u ON u.id = m.sender_id
+       ORDER BY m.conversation_id, m.created_at`,
+      [userId],
+    ),
+    marketplace_listings: await rows(
+      `SELECT l.*,
+              COALESCE(
+                (SELECT json_agg(i.image_url ORDER BY i.sort_order)
+                 FROM marketplace_listing_images i WHERE i.listing_id = l.id),
+                '[]'::json
+              ) AS images
+       FROM marketplace_listings l
+       WHERE l.seller_id = $1
+       ORDER BY l.created_at`,
+      [userId],
+    ),
+    lost_and_found: await rows(
+      "SELECT * FROM lost_and_found WHERE reported_by = $1 ORDER BY reported_at",
+      [userId],
+    ),
+    bookings: await rows(
+      `SELECT b.*, si.date, si.start_ts, si.end_ts
+       FROM bookings b
+       LEFT JOIN slot_instances si ON si.id = b.slot_instance_id
+       WHERE b.user_id = $1
+       ORDER BY si.start_ts`,
+      [userId],
+    ),
+    booking_requests: await rows(
+      "SELECT * FROM booking_requests WHERE requester_id = $1 ORDER BY created_at",
+      [userId],
+    ),
+    profile_views: {
+      // other people's IPs / user agents are not theirs to export
+      viewed_by: await rows(
+        `SELECT viewer_id, created_at FROM profile_views
+         WHERE target_id = $1 ORDER BY created_at`,
+        [userId],
+      ),
+      viewed: await rows(
+        `SELECT target_id, created_at FROM profile_views
+         WHERE viewer_id = $1 ORDER BY created_at`,
+        [userId],
+      ),
+    },
+  };
+}
+
+// S3 keys of everything the user uploaded
+function mediaKeys(data) {
+  const keys = [];
+  if (data.profile?.profile) keys.push(data.profile.profile);
+  for (const post of data.posts) {
+    if (post.image_url) keys.push(post.image_url);
+    keys.push(...post.images.map((img) => img.image_url));
+    if (post.video_url) keys.push(post.video_url, post.poster_url);
+  }
+  for (const listing of data.marketplace_listings) keys.push(...listing.images);
+  return [...new Set(keys.filter((k) => k && !/^https?:\/\//.test(k)))];
+}
+
+async function fetchMedia(keys) {
+  const files = [];
+  const skipped = [];
+  let total = 0;
+
+  for (const key of keys) {
+    if (total >= MAX_MEDIA_BYTES) {
+      skipped.push(key);
+      continue;
+    }
+    try {
+      const obj = await s3
+        .getObject({ Bucket: process.env.S3_BUCKET_NAME, Key: key })
+        .promise();
+      total += obj.Body.length;
+      files.push({ name: `media/${key}`, data: obj.Body, store: true });
+    } catch (err) {
+      console.error("export: media fetch failed", key, err && err.message);
+      skipped.push(key);
+    }
+  }
+  return { files, skipped };
+}
+
+function readme(skipped) {
+  const lines = [
+    "Your AroundU data",
+    "",
+    "Each .json file holds one kind of data (profile, posts, comments, ...).",
+    "Files you uploaded are in media/, named by the key used in the JSON files.",
+  ];
+  if (skipped.length) {
+    const cdn = process.env.CLOUDFRONT_URL;
+    lines.push(
+      "",
+      "These files were too large to include (or unavailable) and can be downloaded here:",
+      ...skipped.map((k) => (cdn ? `${cdn}/${k}` : k)),
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function buildArchive(userId) {
+  const data = await collectUserData(userId);
+  const { files, skipped } = await fetchMedia(mediaKeys(data));
+
+  const entries = Object.entries(data).map(([name, value]) => ({
+    name: `${name}.json`,
+    data: JSON.stringify(value, null, 2),
+  }));
+
+  return buildZip([
+    { name: "README.txt", data: readme(skipped) },
+    ...entries,
+    ...files,
+  ]);
+}
+
+// ---------- jobs ----------
+async function runExport(exportId, userId) {
+  try {
+    await pool.query(
+      "UPDATE data_exports SET status = 'processing' WHERE id = $1",
+      [exportId],
+    );
+
+    const archive = await buildArchive(userId);
+    const key = `exports/${userId}/${exportId}.zip`;
+    await s3
+      .upload({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: key,
+        Body: archive,
+        ContentType: "application/zip",
+        CacheControl: "private, no-store",
+      })
+      .promise();
+
+    const { rows: done } = await pool.query(
+      `UPDATE data_exports
+       SET status = 'ready', s3_key = $2, size_bytes = $3, completed_at = now(),
+           expires_at = now() + ($4 || ' days')::interval
+       WHERE id = $1
+       RETURNING expires_at`,
+      [exportId, key, archive.length, String(ARCHIVE_TTL_DAYS)],
+    );
+
+    await notify(getIo(), {
+      toUserId: userId,
+      type: "data_export_ready",
+      entityId: exportId,
+      entityType: "data_export",
+      data: {
+        url: downloadUrl(key),
+        link_expires_at: new Date(Date.now() + LINK_TTL_SECONDS * 1000),
+        expires_at: done[0]?.expires_at,
+      },
+    });
+  } catch (err) {
+    console.error("data export failed:", exportId, err);
+    await pool
+      .query(
+        `UPDATE data_exports SET status = 'failed', error = $2, completed_at = now()
+         WHERE id = $1`,
+        [exportId, String(err && err.message).slice(0, 500)],
+      )
+      .catch(() => {});
+  }
+}
+
+// Delete archives past expiry (one user's, or everyone's without userId)
+// and mark them expired. Rows whose object S3 failed to delete stay 'ready'
+// and are retried on the next run. Returns how many were removed.
+async function cleanupExpired(userId = null) {
+  const { rows: expired } = await pool.query(
+    `SELECT id, s3_key FROM data_exports
+     WHERE status = 'ready' AND expires_at < now()
+       AND ($1::uuid IS NULL OR user_id = $1)`,
+    [userId],
+  );
+  if (!expired.length) return 0;
+
+  let failed;
+  try {
+    failed = new Set(await deleteFromS3(expired.map((r) => r.s3_key)));
+  } catch (err) {
+    console.error("export cleanup failed:", err && err.message);
+    return 0;
+  }
+
+  const removed = expired.filter((r) => !failed.has(r.s3_key)).map((r) => r.id);
+  if (removed.length) {
+    await pool.query(
+      "UPDATE data_exports SET status = 'expired' WHERE id = ANY($1::uuid[])",
+      [removed],
+    );
+  }
+  return removed.length;
+}
+
+// called once from index.js
+function startExportCleanupScheduler() {
+  const run = () =>
+    cleanupExpired()
+      .then((n) => n && console.log(`🧹 deleted ${n} expired data export(s)`))
+      .catch((err) => console.error("export cleanup run failed:", err));
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, CLEANUP_INTERVAL_MS).unref();
+}
+
+/**
+ * Queue an export for `userId`. If one is already running, that one is
+ * returned instead of starting another.
+ * Returns { export, alreadyRunning }
+ */
+async function requestExport(userId) {
+  await cleanupExpired(userId);
+
+  await pool.query(
+    `UPDATE data_exports SET status = 'failed', error = 'interrupted', completed_at = now()
+     WHERE user_id = $1 AND status IN ('pending', 'processing')
+       AND created_at < now() - ($2 || ' minutes')::interval`,
+    [userId, String(STALE_JOB_MINUTES)],
+  );
+
+  const running = await pool.query(
+    `SELECT id, status, created_at FROM data_exports
+     WHERE user_id = $1 AND status IN ('pending', 'processing')
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId],
+  );
+  if (running.rows.length) {
+    return { export: running.rows[0], alreadyRunning: true };
+  }
+
+  const { rows: created } = await pool.query(
+    `INSERT INTO data_exports (user_id) VALUES ($1)
+     RETURNING id, status, created_at`,
+    [userId],
+  );
+  const job = created[0];
+
+  setImmediate(() => runExport(job.id, userId));
+  return { export: job, alreadyRunning: false };
+}
+
+// status of one of the user's exports, with a fresh link when ready
+async function getExport(userId, exportId) {
+  const { rows: found } = await pool.query(
+    `SELECT id, status, size_bytes, error, created_at, completed_at, expires_at, s3_key
+     FROM data_exports WHERE id = $1 AND user_id = $2`,
+    [exportId, userId],
+  );
+  const job = found[0];
+  if (!job) return null;
+
+  const { s3_key, ...rest } = job;
+  const downloadable =
+    job.status === "ready" && new Date(job.expires_at).getTime() > Date.now();
+  return {
+    ...rest,
+    status: job.status === "ready" && !downloadable ? "expired" : job.status,
+    url: downloadable ? downloadUrl(s3_key) : null,
+  };
+}
+
+module.exports = {
+  requestExport,
+  getExport,
+  collectUserData,
+  startExportCleanupScheduler,
+};
@@ -0,0 +1,120 @@
+// services/digestService.js
+// Daily email digest of unread notifications (opt-in: MAIL_DIGEST=on).
+// A user gets at most one digest per DIGEST_INTERVAL_HOURS, only for
+// notifications that arrived since the previous digest and stayed unread
+// for at least an hour.
+const pool = require("../config/db");
+const { sendMail } = require("./mail");
+
+const APP_URL = (process.env.APP_URL || "https://aroundu.me").replace(/\/$/, "");
+const DIGEST_INTERVAL_HOURS = Number(process.env.DIGEST_INTERVAL_HOURS) || 24;
+const RUN_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const DIGEST_BATCH = 100;
+const MAX_ITEMS = 10;
+
+const DESCRIBE = {
+  like: (name) => `${name} liked your post`,
+  comment: (name) => `${name} commented on your post`,
+  comment_mention: (name) => `${name} mentioned you in a comment`,
+  comment_reply: (name) => `${name} replied to your comment`,
+  post_mention: (name) => `${name} mentioned you in a post`,
+  follow_request: (name) => `${name} wants to follow you`,
+  follow_accept: (name) => `${name} accepted your follow request`,
+  post: (name) => `${name} shared a new post`,
+  new_sign_in: () => "New sign-in to your account",
+  data_export_ready: () => "Your data export is ready",
+  video_ready: () => "Your video is ready",
+  video_failed: () => "Your video could not be processed",
+  event_reminder: (name) => `Reminder: ${name}'s event is coming up`,
+};
+
+function describe(n) {
+  const name = `${n.first_name || ""} ${n.last_name || ""}`.trim() || "Someone";
+  const fn = DESCRIBE[n.type];
+  return fn ? fn(name) : `New ${n.type.replace(/_/g, " ")} from ${name}`;
+}
+
+/**
+ * Email one digest to `user` ({ id, email, first_name, last_digest_at }).
+ * Returns false when there was nothing to send.
+ */
+async function sendDigest(user) {
+  const { rows } = await pool.query(
+    `SELECT n.type, u.first_name, u.last_name
+     FROM notifications n
+     LEFT JOIN users u ON u.id = n.actor_id
+     WHERE n.user_id = $1
+       AND n.read = false
+       AND n.created_at > COALESCE($2, '-infinity'::timestamptz)
+       AND n.created_at <= now() - interval '1 hour'
+     ORDER BY n.created_at DESC`,
+    [user.id, user.last_digest_at],
+  );
+  if (!rows.length) return false;
+
+  await sendMail({
+    to: user.email,
+    template: "digest",
+    data: {
+      firstName: user.first_name,
+      count: rows.length,
+      items: rows.slice(0, MAX_ITEMS).map(describe),
+      appUrl: APP_URL,
+    },
+    userId: user.id,
+  });
+
+  await pool.query("UPDATE users SET last_digest_at = now() WHERE id = $1", [
+    user.id,
+  ]);
+  return true;
+}
+
+async function sendDueDigests() {
+  const { rows } = await pool.query(
+    `SELECT u.id, u.email, u.first_name, u.last_digest_at
+     FROM users u
+     WHERE u.deactivated_at IS NULL
+       AND (u.last_digest_at IS NULL
+            OR u.last_digest_at <= now() - ($1 || ' hours')::interval)
+       AND EXISTS (
+         SELECT 1 FROM notifications n
+         WHERE n.user_id = u.id
+           AND n.read = false
+           AND n.created_at > COALESCE(u.last_digest_at, '-infinity'::timestamptz)
+           AND n.created_at <= now() - interval '1 hour'
+       )
+     ORDER BY u.last_digest_at NULLS FIRST
+     LIMIT $2`,
+    [String(DIGEST_INTERVAL_HOURS), DIGEST_BATCH],
+  );
+
+  let sent = 0;
+  for (const user of rows) {
+    try {
+      if (await sendDigest(user)) sent += 1;
+    } catch (err) {
+      console.error("digest failed:", user.id, err && err.message);
+    }
+  }
+  return sent;
+}
+
+// called once from index.js
+function startDigestScheduler() {
+  if (process.env.MAIL_DIGEST !== "on") return;
+
+  const run = () =>
+    sendDueDigests()
+      .then((n) => n && console.log(`📬 sent ${n} digest email(s)`))
+      .catch((err) => console.error("digest run failed:", err));
+
+  setTimeout(run, 2 * 60 * 1000).unref();
+  setInterval(run, RUN_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  sendDigest,
+  sendDueDigests,
+  startDigestScheduler,
+};
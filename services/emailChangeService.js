@@ -0,0 +1,289 @@
+// services/emailChangeService.js
+// Verified changes of the primary and recovery email.
+//   1. request: an OTP goes to the NEW address (nothing is saved yet)
+//   2. confirm: the address is written and the previous owner is emailed a
+//      single-use undo link (APP_URL/undo-email-change?token=...)
+//   3. undo (optional): restores the previous address
+const crypto = require("crypto");
+const pool = require("../config/db");
+const { otpService } = require("./otp");
+const { sendMail } = require("./mail");
+const { inTransaction } = require("./roleService");
+const { markVerifiedStudent } = require("./universityDomainService");
+
+const APP_URL = (process.env.APP_URL || "https://aroundu.me").replace(/\/$/, "");
+const UNDO_TTL_DAYS = 7;
+const KINDS = ["primary", "recovery"];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Human-readable messages for the failure reasons below
+const EMAIL_CHANGE_MESSAGES = {
+  invalid_email: "Please enter a valid email address",
+  same_email: "That is already your email address",
+  email_taken: "Email already registered",
+  invalid_token: "Undo link is invalid or has expired",
+  superseded: "The email has been changed again since; this link no longer applies",
+};
+
+function normalizeEmail(email) {
+  return String(email || "").toLowerCase().trim();
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function otpPurpose(kind) {
+  return `email_change_${kind}`;
+}
+
+// the code only works for this user AND this address
+function otpIdentifier(userId, email) {
+  return `${userId}:${email}`;
+}
+
+// "jane.doe@gmail.com" -> "ja***@gmail.com"
+function maskEmail(email) {
+  const [local, domain] = String(email).split("@");
+  return `${local.slice(0, 2)}***@${domain}`;
+}
+
+/**
+ * Send a confirmation code to `newEmail`.
+ * Returns { ok: true } or { ok: false, reason, retryAfterSeconds? }
+ * (reason is an EMAIL_CHANGE_MESSAGES or OTP_MESSAGES key)
+ */
+async function requestEmailChange({ userId, kind, newEmail, ip = null }) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown email kind: ${kind}`);
+
+  const email = normalizeEmail(newEmail);
+  if (!EMAIL_RE.test(email)) return { ok: false, reason: "invalid_email" };
+
+  const { rows } = await pool.query(
+    "SELECT email, recovery_email, recovery_email_verified FROM users WHERE id = $1",
+    [userId],
+  );
+  const user = rows[0];
+  if (!user) return { ok: false, reason: "not_found" };
+
+  if (kind === "primary") {
+    if (email === user.email) return { ok: false, reason: "same_email" };
+    const taken = await pool.query(
+      "SELECT 1 FROM users WHERE email = $1 AND id <> $2 LIMIT 1",
+      [email, userId],
+    );
+    if (taken.rows.length) return { ok: false, reason: "email_taken" };
+  } else {
+    // a recovery address equal to the login address recovers nothing
+    if (email === user.email) return { ok: false, reason: "same_email" };
+    if (email === user.recovery_email && user.recovery_email_verified) {
+      return { ok: false, reason: "same_email" };
+    }
+  }
+
+  const issued = await otpService.issue({
+    purpose: otpPurpose(kind),
+    identifier: otpIdentifier(userId, email),
+    ip,
+  });
+  if (!issued.ok) return issued;
+
+  await sendMail({
+    to: email,
+    template: "otp",
+    data: {
+      code: issued.code,
+      ttlMinutes: otpService.ttlMinutes,
+      purpose: kind === "primary" ? "email_change" : "recovery_email",
+    },
+    userId,
+  });
+  return { ok: true };
+}
+
+/**
+ * Check the code sent to `newEmail` and save the address.
+ * Returns { ok: true, email } or { ok: false, reason, attemptsLeft? }
+ */
+async function confirmEmailChange({ userId, kind, newEmail, code }) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown email kind: ${kind}`);
+
+  const email = normalizeEmail(newEmail);
+  const result = await otpService.verify({
+    purpose: otpPurpose(kind),
+    identifier: otpIdentifier(userId, email),
+    code,
+  });
+  if (!result.ok) return result;
+
+  const undoToken = crypto.randomBytes(32).toString("base64url");
+
+  let change;
+  try {
+    change = await inTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT email, recovery_email, recovery_email_verified
+         FROM users WHERE id = $1 FOR UPDATE`,
+        [userId],
+      );
+      const user = rows[0];
+      if (!user) return null;
+
+      if (kind === "primary") {
+        const taken = await client.query(
+          "SELECT 1 FROM users WHERE email = $1 AND id <> $2 LIMIT 1",
+          [email, userId],
+        );
+        if (taken.rows.length) return { reason: "email_taken" };
+
+        // the badge belonged to the old address; re-checked below
+        await client.query(
+          `UPDATE users
+           SET email = $2, verified_student = false, student_verified_at = NULL
+           WHERE id = $1`,
+          [userId, email],
+        );
+      } else {
+        await client.query(
+          `UPDATE users
+           SET recovery_email = $2,
+               recovery_email_verified = true,
+               recovery_email_verified_at = now()
+           WHERE id = $1`,
+          [userId, email],
+        );
+      }
+
+      await client.query(
+        `INSERT INTO email_changes
+           (user_id, kind, old_email, new_email, old_verified, undo_token_hash, undo_expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, now() + ($7 || ' days')::interval)`,
+        [
+          userId,
+          kind,
+          kind === "primary" ? user.email : user.recovery_email,
+          email,
+          kind === "primary" ? true : Boolean(user.recovery_email_verified),
+          hashToken(undoToken),
+          String(UNDO_TTL_DAYS),
+        ],
+      );
+      return { user };
+    });
+  } catch (err) {
+    if (err.code === "23505") return { ok: false, reason: "email_taken" };
+    throw err;
+  }
+
+  if (!change) return { ok: false, reason: "not_found" };
+  if (change.reason) return { ok: false, reason: change.reason };
+
+  if (kind === "primary") {
+    // proving a university address counts as student verification (and a
+    // non-university one loses it)
+    await markVerifiedStudent(userId);
+  }
+
+  // the old primary address is told about a primary change; recovery
+  // changes are reported to the primary address
+  const noticeTo = change.user.email;
+  try {
+    await sendMail({
+      to: noticeTo,
+      template: "email_changed",
+      data: {
+        kind,
+        newEmail: maskEmail(email),
+        undoUrl: `${APP_URL}/undo-email-change?token=${undoToken}`,
+        undoDays: UNDO_TTL_DAYS,
+      },
+      userId,
+    });
+  } catch (err) {
+    // the change itself succeeded; don't fail the request over the email
+    console.error("email change notice failed:", err && err.message);
+  }
+
+  return { ok: true, email };
+}
+
+/**
+ * Restore the address replaced by the change behind `token`.
+ * Returns { ok: true, userId, kind } or { ok: false, reason }
+ */
+async function undoEmailChange(token) {
+  if (!token || typeof token !== "string") {
+    return { ok: false, reason: "invalid_token" };
+  }
+
+  let result;
+  try {
+    result = await inTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM email_changes
+         WHERE undo_token_hash = $1 AND undone_at IS NULL AND undo_expires_at > now()
+         FOR UPDATE`,
+        [hashToken(token)],
+      );
+      const change = rows[0];
+      if (!change) return { ok: false, reason: "invalid_token" };
+
+      const userRes = await client.query(
+        "SELECT email, recovery_email FROM users WHERE id = $1 FOR UPDATE",
+        [change.user_id],
+      );
+      const user = userRes.rows[0];
+      if (!user) return { ok: false, reason: "invalid_token" };
+
+      const current = change.kind === "primary" ? user.email : user.recovery_email;
+      if (current !== change.new_email) return { ok: false, reason: "superseded" };
+
+      if (change.kind === "primary") {
+        const taken = await client.query(
+          "SELECT 1 FROM users WHERE email = $1 AND id <> $2 LIMIT 1",
+          [change.old_email, change.user_id],
+        );
+        if (taken.rows.length) return { ok: false, reason: "email_taken" };
+
+        await client.query(
+          `UPDATE users
+           SET email = $2, verified_student = false, student_verified_at = NULL
+           WHERE id = $1`,
+          [change.user_id, change.old_email],
+        );
+      } else {
+        await client.query(
+          `UPDATE users
+           SET recovery_email = $2,
+               recovery_email_verified = $3,
+               recovery_email_verified_at = CASE WHEN $3 THEN recovery_email_verified_at END
+           WHERE id = $1`,
+          [change.user_id, change.old_email, change.old_verified],
+        );
+      }
+
+      await client.query(
+        "UPDATE email_changes SET undone_at = now() WHERE id = $1",
+        [change.id],
+      );
+      return { ok: true, userId: change.user_id, kind: change.kind };
+    });
+  } catch (err) {
+    if (err.code === "23505") return { ok: false, reason: "email_taken" };
+    throw err;
+  }
+
+  if (result.ok && result.kind === "primary") {
+    // student status follows the restored address
+    await markVerifiedStudent(result.userId);
+  }
+  return result;
+}
+
+module.exports = {
+  EMAIL_CHANGE_MESSAGES,
+  maskEmail,
+  requestEmailChange,
+  confirmEmailChange,
+  undoEmailChange,
+};
@@ -0,0 +1,379 @@
+// services/eventService.js
+// Event posts: creation, RSVPs (going / interested / not going), the
+// organizer's attendee list, calendar export and reminders. RSVPs close at
+// rsvp_deadline (or when the event starts); "going" is capped by capacity.
+// Reminders go out through notify() EVENT_REMINDER_HOURS before the start to
+// everyone going or interested, once per RSVP.
+const pool = require("../config/db");
+const { inTransaction } = require("./roleService");
+const { getIo } = require("./socketRegistry");
+const { buildIcs } = require("./ics");
+const { setPostHashtags } = require("./hashtagService");
+const notify = require("../routes/notify");
+
+const RSVP_STATUSES = ["going", "interested", "not_going"];
+const MAX_TITLE_LENGTH = 150;
+const MAX_LOCATION_LENGTH = 200;
+const EVENT_REMINDER_HOURS = Number(process.env.EVENT_REMINDER_HOURS) || 24;
+const REMINDER_INTERVAL_MS = 5 * 60 * 1000;
+const REMINDER_BATCH = 500;
+
+// Human-readable messages for the failure reasons below
+const EVENT_MESSAGES = {
+  title_required: `Title is required (max ${MAX_TITLE_LENGTH} characters)`,
+  location_required: `Location is required (max ${MAX_LOCATION_LENGTH} characters)`,
+  invalid_times: "Start must be in the future and end after start",
+  invalid_capacity: "Capacity must be a positive whole number",
+  invalid_deadline: "RSVP deadline must be in the future and before the start",
+  invalid_status: `Status must be one of: ${RSVP_STATUSES.join(", ")}`,
+  not_found: "Event not found",
+  forbidden: "Only the organizer can see the attendee list",
+  rsvp_closed: "RSVPs for this event are closed",
+  full: "This event is full",
+};
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Validate event input. Returns { ok: true, event } with normalized
+ * { title, startsAt, endsAt, location, capacity, rsvpDeadline } or
+ * { ok: false, reason }.
+ */
+function parseEventInput({ title, startsAt, endsAt, location, capacity, rsvpDeadline }) {
+  const cleanTitle = typeof title === "string" ? title.trim() : "";
+  if (!cleanTitle || cleanTitle.length > MAX_TITLE_LENGTH) {
+    return { ok: false, reason: "title_required" };
+  }
+  const cleanLocation = typeof location === "string" ? location.trim() : "";
+  if (!cleanLocation || cleanLocation.length > MAX_LOCATION_LENGTH) {
+    return { ok: false, reason: "location_required" };
+  }
+
+  const starts = parseDate(startsAt);
+  const ends = parseDate(endsAt);
+  if (!starts || !ends || starts <= new Date() || ends <= starts) {
+    return { ok: false, reason: "invalid_times" };
+  }
+
+  let cap = null;
+  if (capacity !== undefined && capacity !== null && capacity !== "") {
+    cap = Number(capacity);
+    if (!Number.isInteger(cap) || cap <= 0) {
+      return { ok: false, reason: "invalid_capacity" };
+    }
+  }
+
+  const deadline = parseDate(rsvpDeadline);
+  if (deadline === undefined || (deadline && (deadline <= new Date() || deadline > starts))) {
+    return { ok: false, reason: "invalid_deadline" };
+  }
+
+  return {
+    ok: true,
+    event: {
+      title: cleanTitle,
+      startsAt: starts,
+      endsAt: ends,
+      location: cleanLocation,
+      capacity: cap,
+      rsvpDeadline: deadline,
+    },
+  };
+}
+
+/**
+ * Create the event post. `event` comes from parseEventInput.
+ * Returns the new posts row.
+ */
+async function createEventPost({
+  userId,
+  description,
+  tags,
+  visibility,
+  event,
+  mentions = [],
+}) {
+  return inTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO posts (user_id, image_url, caption, tags, is_boosted, post_type, visibility, mentions)
+       VALUES ($1, NULL, $2, $3, false, 'event', $4, $5)
+       RETURNING *`,
+      [userId, description || event.title, tags, visibility, JSON.stringify(mentions)],
+    );
+    const post = rows[0];
+    await setPostHashtags(client, post.id, tags);
+
+    await client.query(
+      `INSERT INTO events (post_id, title, starts_at, ends_at, location, capacity, rsvp_deadline)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        post.id,
+        event.title,
+        event.startsAt,
+        event.endsAt,
+        event.location,
+        event.capacity,
+        event.rsvpDeadline,
+      ],
+    );
+    return post;
+  });
+}
+
+/**
+ * Event details for each event post id, as seen by `userId` (my_rsvp).
+ * Returns Map(postId -> { title, starts_at, ends_at, location, capacity,
+ * rsvp_deadline, going_count, interested_count, spots_left, rsvp_open,
+ * my_rsvp }).
+ */
+async function getEvents(postIds, userId = null) {
+  const byPost = new Map();
+  if (!postIds.length) return byPost;
+
+  const { rows } = await pool.query(
+    `SELECT e.post_id, e.title, e.starts_at, e.ends_at, e.location,
+            e.capacity, e.rsvp_deadline,
+            (now() < COALESCE(e.rsvp_deadline, e.starts_at)) AS rsvp_open,
+            COUNT(r.user_id) FILTER (WHERE r.status = 'going')::int AS going_count,
+            COUNT(r.user_id) FILTER (WHERE r.status = 'interested')::int AS interested_count,
+            MAX(r.status) FILTER (WHERE r.user_id = $2) AS my_rsvp
+     FROM events e
+     LEFT JOIN event_rsvps r ON r.post_id = e.post_id
+     WHERE e.post_id = ANY($1::uuid[])
+     GROUP BY e.post_id`,
+    [postIds, userId],
+  );
+
+  for (const e of rows) {
+    byPost.set(String(e.post_id), {
+      title: e.title,
+      starts_at: e.starts_at,
+      ends_at: e.ends_at,
+      location: e.location,
+      capacity: e.capacity,
+      rsvp_deadline: e.rsvp_deadline,
+      going_count: e.going_count,
+      interested_count: e.interested_count,
+      spots_left:
+        e.capacity != null ? Math.max(e.capacity - e.going_count, 0) : null,
+      rsvp_open: e.rsvp_open,
+      my_rsvp: e.my_rsvp || null,
+    });
+  }
+  return byPost;
+}
+
+/**
+ * Set the user's RSVP. "going" counts against capacity; switching to
+ * interested / not going frees the spot.
+ * Returns { ok: true, event } or { ok: false, reason } (EVENT_MESSAGES key)
+ */
+async function rsvp({ postId, userId, status }) {
+  if (!RSVP_STATUSES.includes(status)) {
+    return { ok: false, reason: "invalid_status" };
+  }
+
+  const result = await inTransaction(async (client) => {
+    // the event row serializes capacity checks
+    const { rows } = await client.query(
+      `SELECT capacity, (now() < COALESCE(rsvp_deadline, starts_at)) AS rsvp_open
+       FROM events WHERE post_id = $1
+       FOR UPDATE`,
+      [postId],
+    );
+    const event = rows[0];
+    if (!event) return { ok: false, reason: "not_found" };
+    if (!event.rsvp_open) return { ok: false, reason: "rsvp_closed" };
+
+    if (status === "going" && event.capacity != null) {
+      const { rows: taken } = await client.query(
+        `SELECT COUNT(*)::int AS n FROM event_rsvps
+         WHERE post_id = $1 AND status = 'going' AND user_id <> $2`,
+        [postId, userId],
+      );
+      if (taken[0].n >= event.capacity) return { ok: false, reason: "full" };
+    }
+
+    await client.query(
+      `INSERT INTO event_rsvps (post_id, user_id, status)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (post_id, user_id)
+       DO UPDATE SET status = EXCLUDED.status, updated_at = now()`,
+      [postId, userId, status],
+    );
+    return { ok: true };
+  });
+  if (!result.ok) return result;
+
+  return { ok: true, event: (await getEvents([postId], userId)).get(String(postId)) };
+}
+
+/**
+ * Withdraw the user's RSVP altogether.
+ * Returns { ok: true, event } or { ok: false, reason }
+ */
+async function cancelRsvp({ postId, userId }) {
+  const { rows } = await pool.query(
+    "SELECT 1 FROM events WHERE post_id = $1",
+    [postId],
+  );
+  if (!rows[0]) return { ok: false, reason: "not_found" };
+
+  await pool.query(
+    "DELETE FROM event_rsvps WHERE post_id = $1 AND user_id = $2",
+    [postId, userId],
+  );
+  return { ok: true, event: (await getEvents([postId], userId)).get(String(postId)) };
+}
+
+/**
+ * Attendee list for the organizer, grouped by status.
+ * Returns { ok: true, going, interested, not_going } (arrays of users) or
+ * { ok: false, reason }
+ */
+async function getAttendees(postId, organizerId) {
+  const { rows } = await pool.query(
+    `SELECT p.user_id FROM events e JOIN posts p ON p.id = e.post_id
+     WHERE e.post_id = $1`,
+    [postId],
+  );
+  if (!rows[0]) return { ok: false, reason: "not_found" };
+  if (String(rows[0].user_id) !== String(organizerId)) {
+    return { ok: false, reason: "forbidden" };
+  }
+
+  const { rows: attendees } = await pool.query(
+    `SELECT r.status, r.updated_at, u.id, u.first_name, u.last_name,
+            u.course, u.university
+     FROM event_rsvps r
+     JOIN users u ON u.id = r.user_id
+     WHERE r.post_id = $1 AND u.deactivated_at IS NULL
+     ORDER BY r.updated_at`,
+    [postId],
+  );
+
+  const grouped = { going: [], interested: [], not_going: [] };
+  for (const a of attendees) {
+    grouped[a.status].push({
+      id: a.id,
+      first_name: a.first_name,
+      last_name: a.last_name,
+      course: a.course,
+      university: a.university,
+      responded_at: a.updated_at,
+    });
+  }
+  return { ok: true, ...grouped };
+}
+
+/**
+ * .ics file for an event post.
+ * Returns { filename, body } or null if it isn't an event.
+ */
+async function getEventIcs(postId) {
+  const { rows } = await pool.query(
+    `SELECT e.*, p.caption, u.first_name, u.last_name
+     FROM events e
+     JOIN posts p ON p.id = e.post_id
+     JOIN users u ON u.id = p.user_id
+     WHERE e.post_id = $1`,
+    [postId],
+  );
+  const e = rows[0];
+  if (!e) return null;
+
+  const slug =
+    e.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 50) ||
+    "event";
+
+  return {
+    filename: `${slug}.ics`,
+    body: buildIcs({
+      uid: `event-${e.post_id}@aroundu.me`,
+      title: e.title,
+      startsAt: e.starts_at,
+      endsAt: e.ends_at,
+      location: e.location,
+      description: e.caption !== e.title ? e.caption : null,
+      organizerName: `${e.first_name || ""} ${e.last_name || ""}`.trim(),
+      updatedAt: e.created_at,
+    }),
+  };
+}
+
+// ---------- reminders ----------
+async function sendDueReminders() {
+  // claim first so a crash can't send the same reminder twice
+  const { rows } = await pool.query(
+    `UPDATE event_rsvps r
+     SET reminded_at = now()
+     FROM events e, posts p, users organizer
+     WHERE (r.post_id, r.user_id) IN (
+             SELECT r2.post_id, r2.user_id
+             FROM event_rsvps r2
+             JOIN events e2 ON e2.post_id = r2.post_id
+             WHERE r2.reminded_at IS NULL
+               AND r2.status IN ('going', 'interested')
+               AND e2.starts_at > now()
+               AND e2.starts_at <= now() + ($1 || ' hours')::interval
+             FOR UPDATE OF r2 SKIP LOCKED
+             LIMIT $2
+           )
+       AND e.post_id = r.post_id
+       AND p.id = r.post_id
+       AND organizer.id = p.user_id
+     RETURNING r.post_id, r.user_id, r.status, p.user_id AS organizer_id,
+               organizer.deactivated_at AS organizer_deactivated_at,
+               e.title, e.starts_at, e.location`,
+    [String(EVENT_REMINDER_HOURS), REMINDER_BATCH],
+  );
+
+  let sent = 0;
+  for (const r of rows) {
+    if (r.organizer_deactivated_at) continue;
+    const notification = await notify(getIo(), {
+      toUserId: r.user_id,
+      actorId: r.organizer_id,
+      type: "event_reminder",
+      entityId: r.post_id,
+      entityType: "post",
+      data: {
+        title: r.title,
+        starts_at: r.starts_at,
+        location: r.location,
+        rsvp: r.status,
+      },
+    });
+    if (notification) sent += 1;
+  }
+  return sent;
+}
+
+// called once from index.js
+function startEventReminderScheduler() {
+  const run = () =>
+    sendDueReminders()
+      .then((n) => n && console.log(`⏰ sent ${n} event reminder(s)`))
+      .catch((err) => console.error("event reminder run failed:", err));
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, REMINDER_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  EVENT_MESSAGES,
+  RSVP_STATUSES,
+  parseEventInput,
+  createEventPost,
+  getEvents,
+  rsvp,
+  cancelRsvp,
+  getAttendees,
+  getEventIcs,
+  sendDueReminders,
+  startEventReminderScheduler,
+};
@@ -0,0 +1,206 @@
+// services/feedRanking.js
+// "For You" ranking for GET /api/posts/feed/all?mode=ranked.
+// Candidates are the visible posts of the last CANDIDATE_DAYS (newest
+// CANDIDATE_LIMIT); each gets an additive score so every part can be shown
+// on its own (?debug=1):
+//   recency      weight * 0.5 ^ (age / halfLifeHours)
+//   likes        weight * ln(1 + likes per day over the last 24h)
+//   comments     weight * ln(1 + comments per day over the last 24h)
+//   follow       weight if the viewer follows the author
+//   interactions weight * ln(1 + viewer's likes/comments on the author's
+//                posts in the last 30 days)
+//   interests    weight * hashtags matching the viewer's interests or
+//                followed hashtags (at most 3)
+//   university   weight if the author is at the viewer's university
+//   course       weight if the author is in the viewer's course
+//   boost        weight if the post is boosted (posts.is_boosted)
+// Weights: DEFAULT_WEIGHTS, overridable with FEED_RANKING_WEIGHTS (JSON).
+const pool = require("../config/db");
+const { canonicalTag } = require("./hashtagService");
+
+const CANDIDATE_DAYS = Number(process.env.FEED_CANDIDATE_DAYS) || 14;
+const CANDIDATE_LIMIT = 500;
+const MAX_INTEREST_MATCHES = 3;
+
+const DEFAULT_WEIGHTS = {
+  recency: 3,
+  halfLifeHours: 24,
+  likes: 1,
+  comments: 1.5,
+  follow: 2,
+  interactions: 1,
+  interests: 1,
+  university: 0.75,
+  course: 0.75,
+  boost: 2.5,
+};
+
+function loadWeights() {
+  const raw = process.env.FEED_RANKING_WEIGHTS;
+  if (!raw) return { ...DEFAULT_WEIGHTS };
+  try {
+    const overrides = JSON.parse(raw);
+    const weights = { ...DEFAULT_WEIGHTS };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (key in DEFAULT_WEIGHTS && Number.isFinite(Number(value))) {
+        weights[key] = Number(value);
+      }
+    }
+    return weights;
+  } catch (err) {
+    console.error("FEED_RANKING_WEIGHTS is not valid JSON, using defaults");
+    return { ...DEFAULT_WEIGHTS };
+  }
+}
+
+const WEIGHTS = loadWeights();
+
+// per-day rate of the last 24h, for posts younger than a day too
+function perDay(countLast24h, ageHours) {
+  return (countLast24h * 24) / Math.max(1, Math.min(ageHours, 24));
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Score one candidate row (see rankCandidates for the features).
+ * Returns { score, components, features }
+ */
+function scorePost(row, weights = WEIGHTS) {
+  const features = {
+    age_hours: round(Number(row.age_hours)),
+    like_count: Number(row.like_count) || 0,
+    likes_24h: Number(row.likes_24h) || 0,
+    comment_count: Number(row.comment_count) || 0,
+    comments_24h: Number(row.comments_24h) || 0,
+    follows_author: Boolean(row.follows_author),
+    interactions_30d: Number(row.interactions_30d) || 0,
+    interest_matches: Number(row.interest_matches) || 0,
+    same_university: Boolean(row.same_university),
+    same_course: Boolean(row.same_course),
+    is_boosted: Boolean(row.is_boosted),
+  };
+
+  const components = {
+    recency:
+      weights.recency * Math.pow(0.5, features.age_hours / weights.halfLifeHours),
+    likes: weights.likes * Math.log1p(perDay(features.likes_24h, features.age_hours)),
+    comments:
+      weights.comments * Math.log1p(perDay(features.comments_24h, features.age_hours)),
+    follow: features.follows_author ? weights.follow : 0,
+    interactions: weights.interactions * Math.log1p(features.interactions_30d),
+    interests:
+      weights.interests * Math.min(features.interest_matches, MAX_INTEREST_MATCHES),
+    university: features.same_university ? weights.university : 0,
+    course: features.same_course ? weights.course : 0,
+    boost: features.is_boosted ? weights.boost : 0,
+  };
+  for (const key of Object.keys(components)) components[key] = round(components[key]);
+
+  const score = round(Object.values(components).reduce((sum, v) => sum + v, 0));
+  return { score, components, features };
+}
+
+/**
+ * Ranked post ids for `userId`, best first, with their scores.
+ * Same visibility, block, deactivation and video rules as /feed/all;
+ * optional university / course filters.
+ * Returns [{ id, score, components, features }]
+ */
+async function rankCandidates({ userId, filterUniversity = null, filterCourse = null }) {
+  const meRes = await pool.query(
+    "SELECT university, course, interests FROM users WHERE id = $1 LIMIT 1",
+    [userId],
+  );
+  const me = meRes.rows[0] || {};
+  const interests = (Array.isArray(me.interests) ? me.interests : [])
+    .map(canonicalTag)
+    .filter(Boolean);
+
+  const { rows } = await pool.query(
+    `WITH cand AS (
+       SELECT posts.id, posts.user_id, posts.created_at, posts.is_boosted,
+              users.university, users.course
+       FROM posts
+       JOIN users ON posts.user_id = users.id
+       WHERE (posts.visibility = 'public'
+              OR (posts.visibility = 'university' AND users.university = $2))
+         AND users.deactivated_at IS NULL
+         AND (posts.media_status IS NULL OR posts.media_status = 'ready' OR posts.user_id = $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM blocks b
+           WHERE (b.blocker_id = $1 AND b.blocked_id = posts.user_id)
+              OR (b.blocker_id = posts.user_id AND b.blocked_id = $1)
+         )
+         AND posts.created_at > now() - ($4 || ' days')::interval
+         AND ($6::text IS NULL OR users.university = $6)
+         AND ($7::text IS NULL OR users.course = $7)
+       ORDER BY posts.created_at DESC
+       LIMIT $5
+     ),
+     affinity AS (
+       SELECT author_id, COUNT(*)::int AS n
+       FROM (
+         SELECT p.user_id AS author_id
+         FROM post_likes pl JOIN posts p ON p.id = pl.post_id
+         WHERE pl.user_id = $1 AND pl.created_at > now() - interval '30 days'
+         UNION ALL
+         SELECT p.user_id
+         FROM comments c JOIN posts p ON p.id = c.post_id
+         WHERE c.user_id = $1 AND c.deleted_at IS NULL
+           AND c.created_at > now() - interval '30 days'
+       ) x
+       WHERE author_id <> $1
+       GROUP BY author_id
+     )
+     SELECT cand.id, cand.is_boosted,
+            EXTRACT(EPOCH FROM now() - cand.created_at) / 3600 AS age_hours,
+            (SELECT COUNT(*) FROM post_likes pl WHERE pl.post_id = cand.id)::int AS like_count,
+            (SELECT COUNT(*) FROM post_likes pl
+             WHERE pl.post_id = cand.id
+               AND pl.created_at > now() - interval '24 hours')::int AS likes_24h,
+            (SELECT COUNT(*) FROM comments c
+             WHERE c.post_id = cand.id AND c.deleted_at IS NULL)::int AS comment_count,
+            (SELECT COUNT(*) FROM comments c
+             WHERE c.post_id = cand.id AND c.deleted_at IS NULL
+               AND c.created_at > now() - interval '24 hours')::int AS comments_24h,
+            EXISTS (SELECT 1 FROM follow_requests f
+                    WHERE f.requester_id = $1 AND f.target_id = cand.user_id
+                      AND f.status = 'accepted') AS follows_author,
+            COALESCE(a.n, 0) AS interactions_30d,
+            (SELECT COUNT(*) FROM post_hashtags ph
+             JOIN hashtags h ON h.id = ph.hashtag_id
+             WHERE ph.post_id = cand.id
+               AND (h.name = ANY($3::text[])
+                    OR EXISTS (SELECT 1 FROM hashtag_follows hf
+                               WHERE hf.user_id = $1 AND hf.hashtag_id = h.id))
+            )::int AS interest_matches,
+            ($2::text IS NOT NULL AND cand.university = $2) AS same_university,
+            ($8::text IS NOT NULL AND cand.course = $8) AS same_course,
+            cand.created_at
+     FROM cand
+     LEFT JOIN affinity a ON a.author_id = cand.user_id`,
+    [
+      userId,
+      me.university || null,
+      interests,
+      String(CANDIDATE_DAYS),
+      CANDIDATE_LIMIT,
+      filterUniversity,
+      filterCourse,
+      me.course || null,
+    ],
+  );
+
+  return rows
+    .map((row) => ({ id: row.id, created_at: row.created_at, ...scorePost(row) }))
+    .sort((a, b) => b.score - a.score || b.created_at - a.created_at)
+    .map(({ created_at, ...ranked }) => ranked);
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  WEIGHTS,
+  scorePost,
+  rankCandidates,
+};
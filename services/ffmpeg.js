@@ -0,0 +1,143 @@
+// services/ffmpeg.js
+// Thin wrappers around the local ffmpeg / ffprobe binaries
+// (FFMPEG_PATH / FFPROBE_PATH, default: found on PATH).
+const { spawn } = require("child_process");
+
+const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE = process.env.FFPROBE_PATH || "ffprobe";
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// keep only the end of stderr; that's where ffmpeg puts the actual error
+const STDERR_TAIL = 4000;
+
+// Uploads are untrusted: read only the local file itself, with container
+// demuxers only. Playlist formats (hls, concat, ...) would otherwise make
+// ffmpeg open other local files or URLs named inside the "video".
+const ALLOWED_DEMUXERS = ["mov", "mp4", "matroska", "webm"];
+const INPUT_ARGS = [
+  "-protocol_whitelist", "file",
+  "-format_whitelist", ALLOWED_DEMUXERS.join(","),
+];
+
+// ffprobe's format_name ("mov,mp4,m4a,3gp,3g2,mj2", "matroska,webm", ...)
+function isAllowedFormat(formatName) {
+  const names = String(formatName || "").split(",");
+  return names.some((name) => ALLOWED_DEMUXERS.includes(name));
+}
+
+function run(bin, args, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(new Error(`${bin} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-STDERR_TAIL);
+    });
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(stdout);
+      reject(new Error(`${bin} exited with ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+/**
+ * Container format, duration and size of the first video stream.
+ * Returns { formatName, durationSeconds, width, height, hasVideo, hasAudio }
+ */
+async function probe(file) {
+  const out = await run(
+    FFPROBE,
+    [
+      "-v", "error",
+      ...INPUT_ARGS,
+      "-print_format", "json",
+      "-show_format",
+      "-show_streams",
+      file,
+    ],
+    { timeoutMs: 60 * 1000 },
+  );
+  const info = JSON.parse(out);
+  const streams = info.streams || [];
+  const video = streams.find((s) => s.codec_type === "video");
+
+  return {
+    formatName: info.format?.format_name || null,
+    durationSeconds: Number(info.format?.duration || video?.duration) || 0,
+    width: video ? Number(video.width) || null : null,
+    height: video ? Number(video.height) || null : null,
+    hasVideo: Boolean(video),
+    hasAudio: streams.some((s) => s.codec_type === "audio"),
+  };
+}
+
+// longest side at most maxSide (no upscaling), even dimensions for H.264
+function scaleFilter(maxSide) {
+  return (
+    `scale='if(gt(iw,ih),min(${maxSide},iw),-2)':'if(gt(iw,ih),-2,min(${maxSide},ih))'`
+  );
+}
+
+/**
+ * Transcode to a web-friendly MP4: H.264 (yuv420p) + AAC, moov atom up front.
+ */
+function transcodeToMp4(input, output, { maxSide = 720, maxDurationSeconds } = {}) {
+  const args = [
+    "-y",
+    ...INPUT_ARGS,
+    "-i", input,
+    "-map", "0:v:0",
+    "-map", "0:a:0?",
+    "-vf", scaleFilter(maxSide),
+    "-c:v", "libx264",
+    "-preset", "veryfast",
+    "-crf", "23",
+    "-profile:v", "high",
+    "-pix_fmt", "yuv420p",
+    "-c:a", "aac",
+    "-b:a", "128k",
+    "-movflags", "+faststart",
+  ];
+  if (maxDurationSeconds) args.push("-t", String(maxDurationSeconds));
+  args.push(output);
+  return run(FFMPEG, args);
+}
+
+// Single JPEG frame at `atSeconds`
+function extractPoster(input, output, { atSeconds = 0, maxSide = 720 } = {}) {
+  return run(
+    FFMPEG,
+    [
+      "-y",
+      "-ss", String(atSeconds),
+      ...INPUT_ARGS,
+      "-i", input,
+      "-frames:v", "1",
+      "-vf", scaleFilter(maxSide),
+      "-q:v", "3",
+      output,
+    ],
+    { timeoutMs: 60 * 1000 },
+  );
+}
+
+module.exports = {
+  ALLOWED_DEMUXERS,
+  isAllowedFormat,
+  run,
+  probe,
+  transcodeToMp4,
+  extractPoster,
+};
@@ -0,0 +1,70 @@
+// services/handleService.js
+// User handles (@handle): 2-30 letters, digits or underscores, unique
+// regardless of case and stored lowercase.
+const crypto = require("crypto");
+const pool = require("../config/db");
+
+const HANDLE_RE = /^[a-z0-9_]{2,30}$/;
+
+// Human-readable messages for the failure reasons below
+const HANDLE_MESSAGES = {
+  invalid: "Handles are 2-30 letters, numbers or underscores",
+  taken: "That handle is already taken",
+};
+
+function normalizeHandle(raw) {
+  if (typeof raw !== "string") return null;
+  const handle = raw.trim().replace(/^@/, "").toLowerCase();
+  return HANDLE_RE.test(handle) ? handle : null;
+}
+
+async function isHandleTaken(handle, exceptUserId = null) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM users
+     WHERE lower(handle) = $1 AND ($2::uuid IS NULL OR id <> $2)
+     LIMIT 1`,
+    [handle, exceptUserId],
+  );
+  return rows.length > 0;
+}
+
+// A free handle derived from the user's name, e.g. "janedoe" or "janedoe_4821"
+async function generateHandle(firstName, lastName) {
+  const base =
+    `${firstName || ""}${lastName || ""}`
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "")
+      .slice(0, 20) || "user";
+
+  if (base.length >= 2 && !(await isHandleTaken(base))) return base;
+  for (let i = 0; i < 5; i++) {
+    const candidate = `${base}_${crypto.randomInt(1000, 10000)}`;
+    if (!(await isHandleTaken(candidate))) return candidate;
+  }
+  return `${base}_${crypto.randomBytes(4).toString("hex")}`;
+}
+
+/**
+ * Change the user's handle.
+ * Returns { ok: true, handle } or { ok: false, reason } (HANDLE_MESSAGES key)
+ */
+async function setHandle(userId, raw) {
+  const handle = normalizeHandle(raw);
+  if (!handle) return { ok: false, reason: "invalid" };
+  if (await isHandleTaken(handle, userId)) return { ok: false, reason: "taken" };
+
+  try {
+    await pool.query("UPDATE users SET handle = $2 WHERE id = $1", [userId, handle]);
+  } catch (err) {
+    if (err.code === "23505") return { ok: false, reason: "taken" };
+    throw err;
+  }
+  return { ok: true, handle };
+}
+
+module.exports = {
+  HANDLE_MESSAGES,
+  normalizeHandle,
+  generateHandle,
+  setHandle,
+};
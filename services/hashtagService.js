@@ -0,0 +1,231 @@
+// services/hashtagService.js
+// Normalized hashtags (migrations/021): canonical names, post links,
+// follows, trending and autocomplete. posts.tags stays as typed; call
+// setPostHashtags whenever it is written.
+const pool = require("../config/db");
+
+const MAX_TAG_LENGTH = 50;
+const TRENDING_WINDOWS = { "1h": 1, "24h": 24, "7d": 24 * 7, "30d": 24 * 30 };
+const DEFAULT_TRENDING_WINDOW = "24h";
+
+// Human-readable messages for the failure reasons below
+const HASHTAG_MESSAGES = {
+  invalid_tag: `Tags are 1-${MAX_TAG_LENGTH} characters`,
+  not_found: "Hashtag not found",
+  invalid_window: `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(", ")}`,
+};
+
+/**
+ * Canonical form of a tag: NFKC, no leading '#', lowercase, inner
+ * whitespace as '_'. null if empty or too long. Mirrors the SQL backfill
+ * in migrations/021_hashtags.sql.
+ */
+function canonicalTag(raw) {
+  if (typeof raw !== "string") return null;
+  const display = raw.replace(/^\s*#+/, "").trim();
+  if (!display || [...display].length > MAX_TAG_LENGTH) return null;
+  return display.normalize("NFKC").replace(/\s+/g, "_").toLowerCase();
+}
+
+// LIKE pattern for names starting with `prefix`
+function likePrefix(prefix) {
+  return `${prefix.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+/**
+ * Link `postId` to the hashtags in `tags` (replacing earlier links).
+ * `db` is the pool or a transaction client.
+ */
+async function setPostHashtags(db, postId, tags) {
+  const byName = new Map();
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    const name = canonicalTag(tag);
+    if (name && !byName.has(name)) {
+      byName.set(name, tag.replace(/^\s*#+/, "").trim());
+    }
+  }
+
+  await db.query("DELETE FROM post_hashtags WHERE post_id = $1", [postId]);
+  if (!byName.size) return [];
+
+  await db.query(
+    `INSERT INTO hashtags (name, display_name)
+     SELECT * FROM unnest($1::text[], $2::text[])
+     ON CONFLICT (name) DO NOTHING`,
+    [[...byName.keys()], [...byName.values()]],
+  );
+  const { rows } = await db.query(
+    `INSERT INTO post_hashtags (post_id, hashtag_id, created_at)
+     SELECT p.id, h.id, p.created_at
+     FROM posts p, hashtags h
+     WHERE p.id = $1 AND h.name = ANY($2::text[])
+     ON CONFLICT DO NOTHING
+     RETURNING hashtag_id`,
+    [postId, [...byName.keys()]],
+  );
+  return rows.map((r) => r.hashtag_id);
+}
+
+/**
+ * One hashtag by any spelling, with usage and whether `userId` follows it.
+ * Returns null for unknown tags.
+ */
+async function getHashtag(raw, userId) {
+  const name = canonicalTag(raw);
+  if (!name) return null;
+
+  const { rows } = await pool.query(
+    `SELECT h.id, h.name, h.display_name,
+            (SELECT COUNT(*) FROM post_hashtags ph WHERE ph.hashtag_id = h.id)::int AS post_count,
+            (SELECT COUNT(*) FROM hashtag_follows f WHERE f.hashtag_id = h.id)::int AS follower_count,
+            EXISTS (SELECT 1 FROM hashtag_follows f
+                    WHERE f.hashtag_id = h.id AND f.user_id = $2) AS followed_by_me
+     FROM hashtags h
+     WHERE h.name = $1`,
+    [name, userId],
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Follow a hashtag (created if nobody used it yet).
+ * Returns { ok: true, hashtag } or { ok: false, reason }
+ */
+async function followHashtag(userId, raw) {
+  const name = canonicalTag(raw);
+  if (!name) return { ok: false, reason: "invalid_tag" };
+
+  await pool.query(
+    `INSERT INTO hashtags (name, display_name) VALUES ($1, $2)
+     ON CONFLICT (name) DO NOTHING`,
+    [name, raw.replace(/^\s*#+/, "").trim()],
+  );
+  await pool.query(
+    `INSERT INTO hashtag_follows (user_id, hashtag_id)
+     SELECT $1, id FROM hashtags WHERE name = $2
+     ON CONFLICT DO NOTHING`,
+    [userId, name],
+  );
+  return { ok: true, hashtag: await getHashtag(name, userId) };
+}
+
+/**
+ * Returns { ok: true, hashtag } or { ok: false, reason }
+ */
+async function unfollowHashtag(userId, raw) {
+  const name = canonicalTag(raw);
+  if (!name) return { ok: false, reason: "invalid_tag" };
+
+  await pool.query(
+    `DELETE FROM hashtag_follows f
+     USING hashtags h
+     WHERE f.hashtag_id = h.id AND h.name = $2 AND f.user_id = $1`,
+    [userId, name],
+  );
+  const hashtag = await getHashtag(name, userId);
+  if (!hashtag) return { ok: false, reason: "not_found" };
+  return { ok: true, hashtag };
+}
+
+async function getFollowedHashtags(userId) {
+  const { rows } = await pool.query(
+    `SELECT h.id, h.name, h.display_name, f.created_at AS followed_at
+     FROM hashtag_follows f
+     JOIN hashtags h ON h.id = f.hashtag_id
+     WHERE f.user_id = $1
+     ORDER BY f.created_at DESC`,
+    [userId],
+  );
+  return rows;
+}
+
+/**
+ * Tags starting with `prefix` (any spelling), most used first.
+ */
+async function autocompleteHashtags(prefix, { limit = 10, userId = null } = {}) {
+  const name = canonicalTag(prefix);
+  if (!name) return [];
+
+  const { rows } = await pool.query(
+    `SELECT h.name, h.display_name,
+            COUNT(ph.post_id)::int AS post_count,
+            BOOL_OR(f.user_id IS NOT NULL) AS followed_by_me
+     FROM hashtags h
+     LEFT JOIN post_hashtags ph ON ph.hashtag_id = h.id
+     LEFT JOIN hashtag_follows f ON f.hashtag_id = h.id AND f.user_id = $3
+     WHERE h.name LIKE $1
+     GROUP BY h.id
+     ORDER BY post_count DESC, h.name
+     LIMIT $2`,
+    [likePrefix(name), limit, userId],
+  );
+  return rows.map((r) => ({ ...r, followed_by_me: Boolean(r.followed_by_me) }));
+}
+
+/**
+ * Trending hashtags over a sliding window (TRENDING_WINDOWS key), globally
+ * or for one university (posts by its members). University-only posts only
+ * count when `viewerUniversity` is that university.
+ *
+ * score = authors * (posts + 1) / (posts in the previous window + 1):
+ * distinct authors keep one account from pushing a tag, and the ratio
+ * favors tags that are picking up over evergreen ones.
+ * Returns { ok: true, window, hashtags } or { ok: false, reason }
+ */
+async function getTrendingHashtags({
+  window = DEFAULT_TRENDING_WINDOW,
+  university = null,
+  viewerUniversity = null,
+  limit = 10,
+}) {
+  const hours = TRENDING_WINDOWS[window];
+  if (!hours) return { ok: false, reason: "invalid_window" };
+
+  const allowUniversityPosts = Boolean(university) && university === viewerUniversity;
+  const { rows } = await pool.query(
+    `WITH recent AS (
+       SELECT ph.hashtag_id, ph.post_id, p.user_id,
+              (ph.created_at > now() - ($1 || ' hours')::interval) AS in_window
+       FROM post_hashtags ph
+       JOIN posts p ON p.id = ph.post_id
+       JOIN users u ON u.id = p.user_id
+       WHERE ph.created_at > now() - ($1 || ' hours')::interval * 2
+         AND u.deactivated_at IS NULL
+         AND (p.media_status IS NULL OR p.media_status = 'ready')
+         AND ($2::text IS NULL OR u.university = $2)
+         AND (p.visibility = 'public' OR $3)
+     ),
+     counts AS (
+       SELECT hashtag_id,
+              COUNT(*) FILTER (WHERE in_window)::int AS post_count,
+              COUNT(DISTINCT user_id) FILTER (WHERE in_window)::int AS author_count,
+              COUNT(*) FILTER (WHERE NOT in_window)::int AS previous_post_count
+       FROM recent
+       GROUP BY hashtag_id
+     )
+     SELECT h.name, h.display_name, c.post_count, c.author_count,
+            c.previous_post_count,
+            ROUND((c.author_count * (c.post_count + 1.0)
+                   / (c.previous_post_count + 1))::numeric, 3)::float AS score
+     FROM counts c
+     JOIN hashtags h ON h.id = c.hashtag_id
+     WHERE c.post_count > 0
+     ORDER BY score DESC, c.post_count DESC, h.name
+     LIMIT $4`,
+    [String(hours), university, allowUniversityPosts, limit],
+  );
+  return { ok: true, window, hashtags: rows };
+}
+
+module.exports = {
+  HASHTAG_MESSAGES,
+  TRENDING_WINDOWS,
+  canonicalTag,
+  setPostHashtags,
+  getHashtag,
+  followHashtag,
+  unfollowHashtag,
+  getFollowedHashtags,
+  autocompleteHashtags,
+  getTrendingHashtags,
+};
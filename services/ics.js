@@ -0,0 +1,77 @@
+// services/ics.js
+// Minimal iCalendar (RFC 5545) writer for single events.
+//   const text = buildIcs({ uid, title, startsAt, endsAt, location, ... })
+// Times are written in UTC; lines are CRLF-terminated and folded at 75 octets.
+
+function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// continuation lines start with a space; never split a UTF-8 sequence
+function fold(line) {
+  const out = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * Build a VCALENDAR with one VEVENT.
+ * { uid, title, startsAt, endsAt, location?, description?, url?,
+ *   organizerName?, updatedAt? }
+ */
+function buildIcs({
+  uid,
+  title,
+  startsAt,
+  endsAt,
+  location,
+  description,
+  url,
+  organizerName,
+  updatedAt = new Date(),
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//AroundU//Events//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${icsDate(updatedAt)}`,
+    `DTSTART:${icsDate(startsAt)}`,
+    `DTEND:${icsDate(endsAt)}`,
+    `SUMMARY:${escapeText(title)}`,
+  ];
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizerName) {
+    lines.push(`X-AROUNDU-ORGANIZER:${escapeText(organizerName)}`);
+  }
+  lines.push("STATUS:CONFIRMED", "END:VEVENT", "END:VCALENDAR");
+
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildIcs };
@@ -0,0 +1,167 @@
+// services/imagePipeline.js
+// Shared processing for every user image (post images, avatars, marketplace):
+//   - the real format is read from the bytes (the client's MIME type and
+//     file name are ignored),
+//   - EXIF orientation is applied and all metadata (GPS, camera, ...) dropped,
+//   - thumb / medium / full variants are written as WebP and JPEG under
+//     images/<uuid>/<variant>.<ext>,
+//   - a blurhash placeholder is computed.
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { encode: encodeBlurhash } = require("blurhash");
+const uploadToS3 = require("../config/s3Upload");
+const generatePresignedUrl = require("../config/generatePresignedUrl");
+
+// longest side in px; never upscaled
+const VARIANTS = { thumb: 320, medium: 1080, full: 2048 };
+const FORMATS = {
+  webp: { mime: "image/webp", encode: (img) => img.webp({ quality: 80 }) },
+  jpeg: {
+    mime: "image/jpeg",
+    encode: (img) => img.jpeg({ quality: 82, mozjpeg: true }),
+  },
+};
+const ACCEPTED_FORMATS = new Set(["jpeg", "png", "webp", "gif", "heif", "avif", "tiff"]);
+const MAX_INPUT_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 20 * 1024 * 1024;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// the upload isn't an image we accept; maps to a 400
+class ImageRejectedError extends Error {}
+
+// Throws ImageRejectedError unless `buffer` is an image we accept.
+// Returns sharp metadata.
+async function assertImage(buffer) {
+  if (!buffer || !buffer.length) throw new ImageRejectedError("Empty file");
+  if (buffer.length > MAX_INPUT_BYTES) {
+    throw new ImageRejectedError(
+      `Images must be at most ${Math.round(MAX_INPUT_BYTES / (1024 * 1024))} MB`,
+    );
+  }
+
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw new ImageRejectedError("File is not a supported image");
+  }
+  if (!ACCEPTED_FORMATS.has(meta.format)) {
+    throw new ImageRejectedError("File is not a supported image");
+  }
+  return meta;
+}
+
+// first frame only (animated GIF/WebP become stills), orientation applied
+function load(buffer) {
+  return sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+}
+
+async function blurhashOf(buffer) {
+  const { data, info } = await load(buffer)
+    .resize(32, 32, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+}
+
+/**
+ * Validate, normalize and encode an uploaded image (no uploading).
+ * Returns { width, height, blurhash, outputs: [{ variant, format, mime,
+ * buffer, width, height }] }
+ */
+async function processImage(buffer) {
+  await assertImage(buffer);
+
+  const outputs = [];
+  let full = null;
+  for (const [variant, maxSide] of Object.entries(VARIANTS)) {
+    for (const [format, { mime, encode }] of Object.entries(FORMATS)) {
+      const img = load(buffer)
+        .resize(maxSide, maxSide, { fit: "inside", withoutEnlargement: true })
+        .flatten(format === "jpeg" ? { background: "#ffffff" } : false);
+      const { data, info } = await encode(img).toBuffer({ resolveWithObject: true });
+      outputs.push({ variant, format, mime, buffer: data, width: info.width, height: info.height });
+      if (variant === "full") full = info;
+    }
+  }
+
+  return {
+    width: full.width,
+    height: full.height,
+    blurhash: await blurhashOf(buffer),
+    outputs,
+  };
+}
+
+/**
+ * Process and upload an image. `key` is the full JPEG (use it wherever a
+ * single key is stored, e.g. posts.image_url or users.profile).
+ * Returns { key, variants: { thumb|medium|full: { webp, jpeg, width, height } },
+ * blurhash, width, height }
+ */
+async function processAndUploadImage(buffer) {
+  const processed = await processImage(buffer);
+  const base = `images/${crypto.randomUUID()}`;
+
+  const variants = {};
+  await Promise.all(
+    processed.outputs.map(async (out) => {
+      const key = await uploadToS3(
+        out.buffer,
+        null,
+        out.mime,
+        `${base}/${out.variant}.${out.format === "jpeg" ? "jpg" : out.format}`,
+      );
+      variants[out.variant] = variants[out.variant] || {
+        width: out.width,
+        height: out.height,
+      };
+      variants[out.variant][out.format] = key;
+    }),
+  );
+
+  return {
+    key: variants.full.jpeg,
+    variants,
+    blurhash: processed.blurhash,
+    width: processed.width,
+    height: processed.height,
+  };
+}
+
+// S3 keys of a stored variants object (for deletion / export)
+function variantKeys(variants) {
+  if (!variants) return [];
+  return Object.values(variants).flatMap((v) =>
+    Object.keys(FORMATS).map((f) => v[f]).filter(Boolean),
+  );
+}
+
+/**
+ * Stored variants -> public URLs:
+ * { thumb: { webp, jpeg, width, height }, medium: ..., full: ... }
+ * null for images uploaded before the pipeline (no variants).
+ */
+function variantUrls(variants) {
+  if (!variants) return null;
+  const urls = {};
+  for (const [name, v] of Object.entries(variants)) {
+    urls[name] = {
+      webp: generatePresignedUrl(v.webp),
+      jpeg: generatePresignedUrl(v.jpeg),
+      width: v.width,
+      height: v.height,
+    };
+  }
+  return urls;
+}
+
+module.exports = {
+  VARIANTS,
+  ImageRejectedError,
+  assertImage,
+  processImage,
+  processAndUploadImage,
+  variantKeys,
+  variantUrls,
+};
@@ -0,0 +1,147 @@
+// services/loginThrottle.js
+// Brute-force protection for login / OTP / 2FA checks.
+// Failures are counted per account and per IP over a sliding window:
+//   - after `delayAfter` failures the next try must wait 1s, 2s, 4s ... (capped)
+//   - after `lockAfter` failures the bucket is locked for `lockMs`
+// A successful attempt clears the account bucket (not the IP one).
+const pool = require("../config/db");
+
+const MINUTE = 60 * 1000;
+
+const RULES = {
+  account: {
+    windowMs: 15 * MINUTE,
+    delayAfter: 3,
+    maxDelayMs: 60 * 1000,
+    lockAfter: 10,
+    lockMs: 15 * MINUTE,
+  },
+  ip: {
+    windowMs: 15 * MINUTE,
+    delayAfter: 10,
+    maxDelayMs: 30 * 1000,
+    lockAfter: 50,
+    lockMs: 15 * MINUTE,
+  },
+};
+
+// scope: 'login' | 'otp' | '2fa' ...
+function bucketsFor(scope, { account, ip }) {
+  const buckets = [];
+  if (account) {
+    buckets.push({
+      key: `${scope}:acct:${String(account).toLowerCase().trim()}`,
+      rule: RULES.account,
+    });
+  }
+  if (ip) buckets.push({ key: `${scope}:ip:${ip}`, rule: RULES.ip });
+  return buckets;
+}
+
+async function bucketState(key, windowMs) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failure
+     FROM rate_limit_events
+     WHERE bucket = $1 AND created_at > now() - ($2 || ' milliseconds')::interval`,
+    [key, String(windowMs)],
+  );
+  return rows[0];
+}
+
+function waitMs({ failures, last_failure }, rule) {
+  if (!failures || !last_failure) return 0;
+  const last = new Date(last_failure).getTime();
+
+  if (failures >= rule.lockAfter) return last + rule.lockMs - Date.now();
+  if (failures >= rule.delayAfter) {
+    const delay = Math.min(
+      1000 * 2 ** (failures - rule.delayAfter),
+      rule.maxDelayMs,
+    );
+    return last + delay - Date.now();
+  }
+  return 0;
+}
+
+/**
+ * Call before checking credentials.
+ * Returns { allowed: true } or { allowed: false, locked, retryAfterSeconds }
+ */
+async function checkThrottle(scope, ids) {
+  let maxWait = 0;
+  let locked = false;
+
+  for (const { key, rule } of bucketsFor(scope, ids)) {
+    const state = await bucketState(key, rule.windowMs);
+    const wait = waitMs(state, rule);
+    if (wait > maxWait) {
+      maxWait = wait;
+      locked = state.failures >= rule.lockAfter;
+    }
+  }
+
+  if (maxWait <= 0) return { allowed: true };
+  return {
+    allowed: false,
+    locked,
+    retryAfterSeconds: Math.ceil(maxWait / 1000),
+  };
+}
+
+async function recordFailure(scope, ids) {
+  for (const { key, rule } of bucketsFor(scope, ids)) {
+    await pool.query("INSERT INTO rate_limit_events (bucket) VALUES ($1)", [
+      key,
+    ]);
+    // keep the table small: drop this bucket's events outside its window
+    await pool.query(
+      `DELETE FROM rate_limit_events
+       WHERE bucket = $1 AND created_at < now() - ($2 || ' milliseconds')::interval`,
+      [key, String(Math.max(rule.windowMs, rule.lockMs))],
+    );
+  }
+}
+
+async function clearFailures(scope, account) {
+  if (!account) return;
+  await pool.query("DELETE FROM rate_limit_events WHERE bucket = $1", [
+    `${scope}:acct:${String(account).toLowerCase().trim()}`,
+  ]);
+}
+
+/**
+ * Plain fixed-budget counter: records a hit and returns how many hits the
+ * bucket had inside the window (including this one).
+ */
+async function hit(bucket, windowMs) {
+  await pool.query("INSERT INTO rate_limit_events (bucket) VALUES ($1)", [
+    bucket,
+  ]);
+  const state = await bucketState(bucket, windowMs);
+  await pool.query(
+    `DELETE FROM rate_limit_events
+     WHERE bucket = $1 AND created_at < now() - ($2 || ' milliseconds')::interval`,
+    [bucket, String(windowMs)],
+  );
+  return state.failures;
+}
+
+// Standard 429 for a blocked checkThrottle() result
+function sendThrottled(res, throttle) {
+  res.set("Retry-After", String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    msg: throttle.locked
+      ? "Too many failed attempts. This account is temporarily locked"
+      : "Too many failed attempts. Please wait and try again",
+    code: throttle.locked ? "locked" : "throttled",
+    retryAfter: throttle.retryAfterSeconds,
+  });
+}
+
+module.exports = {
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  hit,
+  sendThrottled,
+};
@@ -0,0 +1,23 @@
+// services/mail/consoleDriver.js
+// Development driver: prints the text version instead of sending.
+
+/**
+ * Driver interface (shared with fileDriver, resendDriver, smtpDriver):
+ *   name
+ *   send({ from, to, subject, text, html }) -> { id } ; throws on failure
+ */
+function createConsoleDriver() {
+  let counter = 0;
+
+  return {
+    name: "console",
+
+    async send({ from, to, subject, text }) {
+      counter += 1;
+      console.log(`📧 Mail to ${to} from ${from}\n   ${subject}\n${text}`);
+      return { id: `console-${counter}` };
+    },
+  };
+}
+
+module.exports = createConsoleDriver;
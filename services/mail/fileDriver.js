@@ -0,0 +1,28 @@
+// services/mail/fileDriver.js
+// Writes every message to MAIL_OUTBOX_DIR as <id>.json (subject, text, html)
+// so tests and local tooling can read OTPs and links back.
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+function createFileDriver({ dir } = {}) {
+  const outbox = path.resolve(dir || "mail-outbox");
+
+  return {
+    name: "file",
+    outbox,
+
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.mkdir(outbox, { recursive: true });
+      await fs.writeFile(
+        path.join(outbox, `${id}.json`),
+        JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2),
+        "utf8",
+      );
+      return { id };
+    },
+  };
+}
+
+module.exports = createFileDriver;
@@ -0,0 +1,170 @@
+// services/mail/index.js
+// Every email goes through sendMail(): templates (services/mail/templates.js)
+// are rendered per locale, delivered by the configured driver with retries,
+// and each delivery is recorded in email_deliveries.
+//
+// MAIL_DRIVER=resend | smtp | file | console
+//   (default: resend when RESEND_API_KEY is set, console otherwise)
+//   smtp: SMTP_HOST, SMTP_PORT, SMTP_SECURE=true, SMTP_USER, SMTP_PASS
+//   file: MAIL_OUTBOX_DIR (default ./mail-outbox)
+// MAIL_FROM (default "AroundU <AroundU@aroundu.me>")
+const pool = require("../../config/db");
+const { renderTemplate, DEFAULT_LOCALE } = require("./templates");
+const createConsoleDriver = require("./consoleDriver");
+const createFileDriver = require("./fileDriver");
+const createResendDriver = require("./resendDriver");
+const createSmtpDriver = require("./smtpDriver");
+
+const DEFAULTS = {
+  from: process.env.MAIL_FROM || "AroundU <AroundU@aroundu.me>",
+  maxAttempts: 3,
+  retryDelayMs: 500, // doubled after each failed attempt
+};
+
+function createDriverFromEnv() {
+  const kind = (
+    process.env.MAIL_DRIVER || (process.env.RESEND_API_KEY ? "resend" : "console")
+  ).toLowerCase();
+
+  if (kind === "resend") {
+    return createResendDriver({ apiKey: process.env.RESEND_API_KEY });
+  }
+  if (kind === "smtp") {
+    return createSmtpDriver({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    });
+  }
+  if (kind === "file") return createFileDriver({ dir: process.env.MAIL_OUTBOX_DIR });
+  return createConsoleDriver();
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function logDelivery(entry) {
+  try {
+    await pool.query(
+      `INSERT INTO email_deliveries
+         (template, recipient, locale, driver, status, attempts, provider_id, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        entry.template,
+        entry.to,
+        entry.locale,
+        entry.driver,
+        entry.status,
+        entry.attempts,
+        entry.providerId || null,
+        entry.error ? String(entry.error).slice(0, 500) : null,
+      ],
+    );
+  } catch (err) {
+    // never fail a send because the log table is unavailable
+    console.error("mail log failed:", err && err.message);
+  }
+}
+
+// "hi-IN" -> "hi-in"; anything that isn't a language tag -> null
+function normalizeLocale(locale) {
+  const value = String(locale || "").trim().toLowerCase().replace(/_/g, "-");
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/.test(value) ? value : null;
+}
+
+// "hi-IN,hi;q=0.9,en;q=0.8" -> "hi-in"
+function localeFromRequest(req) {
+  const header = req && req.get && req.get("accept-language");
+  if (!header) return null;
+  return normalizeLocale(header.split(",")[0].split(";")[0]);
+}
+
+function createMailer({ driver, ...options } = {}) {
+  if (!driver) throw new Error("createMailer: driver is required");
+  const cfg = { ...DEFAULTS, ...options };
+
+  async function resolveLocale({ locale, userId }) {
+    if (locale) return locale;
+    if (!userId) return DEFAULT_LOCALE;
+    const { rows } = await pool.query("SELECT locale FROM users WHERE id = $1", [
+      userId,
+    ]);
+    return rows[0]?.locale || DEFAULT_LOCALE;
+  }
+
+  return {
+    driverName: driver.name,
+
+    /**
+     * Render `template` and deliver it to `to`.
+     * locale: explicit locale, else the recipient user's (userId), else default.
+     * Resolves { id } or throws after the last failed attempt.
+     */
+    async sendMail({ to, template, data = {}, locale = null, userId = null }) {
+      const rendered = renderTemplate(
+        template,
+        data,
+        await resolveLocale({ locale, userId }),
+      );
+      const message = {
+        from: cfg.from,
+        to,
+        subject: rendered.subject,
+        text: rendered.text,
+        html: rendered.html,
+      };
+
+      let lastError;
+      for (let attempt = 1; attempt <= cfg.maxAttempts; attempt++) {
+        try {
+          const { id } = await driver.send(message);
+          await logDelivery({
+            template,
+            to,
+            locale: rendered.locale,
+            driver: driver.name,
+            status: "sent",
+            attempts: attempt,
+            providerId: id,
+          });
+          return { id };
+        } catch (err) {
+          lastError = err;
+          console.error(
+            `mail "${template}" to ${to} failed (attempt ${attempt}/${cfg.maxAttempts}):`,
+            err && err.message,
+          );
+          if (attempt < cfg.maxAttempts) {
+            await sleep(cfg.retryDelayMs * 2 ** (attempt - 1));
+          }
+        }
+      }
+
+      await logDelivery({
+        template,
+        to,
+        locale: rendered.locale,
+        driver: driver.name,
+        status: "failed",
+        attempts: cfg.maxAttempts,
+        error: lastError && lastError.message,
+      });
+      throw lastError;
+    },
+  };
+}
+
+const mailer = createMailer({ driver: createDriverFromEnv() });
+
+module.exports = {
+  sendMail: mailer.sendMail,
+  createMailer,
+  normalizeLocale,
+  localeFromRequest,
+  renderTemplate,
+  createConsoleDriver,
+  createFileDriver,
+  createResendDriver,
+  createSmtpDriver,
+};
@@ -0,0 +1,25 @@
+// services/mail/resendDriver.js
+const { Resend } = require("resend");
+
+function createResendDriver({ apiKey }) {
+  const resend = new Resend(apiKey);
+
+  return {
+    name: "resend",
+
+    async send({ from, to, subject, text, html }) {
+      const { data, error } = await resend.emails.send({
+        from,
+        to,
+        subject,
+        text,
+        html,
+      });
+      // the SDK reports API errors in the result instead of throwing
+      if (error) throw new Error(`resend: ${error.message || error.name}`);
+      return { id: data && data.id };
+    },
+  };
+}
+
+module.exports = createResendDriver;
@@ -0,0 +1,24 @@
+// services/mail/smtpDriver.js
+const nodemailer = require("nodemailer");
+
+function createSmtpDriver({ host, port, secure, user, pass }) {
+  if (!host) throw new Error("smtp mail driver: SMTP_HOST is required");
+
+  const transport = nodemailer.createTransport({
+    host,
+    port: Number(port) || 587,
+    secure: Boolean(secure), // true for 465, STARTTLS otherwise
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ from, to, subject, text, html }) {
+      const info = await transport.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId };
+    },
+  };
+}
+
+module.exports = createSmtpDriver;
@@ -0,0 +1,224 @@
+// services/mail/templates.js
+// Named email templates. Each template has one entry per locale; a locale
+// provides subject(data), text(data) and body(data) (HTML inside the shared
+// layout). Lookup falls back "pt-BR" -> "pt" -> DEFAULT_LOCALE.
+const DEFAULT_LOCALE = "en";
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function layout(bodyHtml, { footer }) {
+  return `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2328">
+    <div style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px">
+      <h2 style="margin:0 0 16px;color:#4f46e5">AroundU</h2>
+      ${bodyHtml}
+      <p style="margin-top:24px;font-size:12px;color:#6b7280">${escapeHtml(footer)}</p>
+    </div>
+  </body>
+</html>`;
+}
+
+function codeBlock(code) {
+  return `<p style="font-size:28px;letter-spacing:6px;font-weight:bold;margin:16px 0">${escapeHtml(code)}</p>`;
+}
+
+function button(url, label) {
+  return `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#4f46e5;color:#ffffff;border-radius:6px;text-decoration:none">${escapeHtml(label)}</a></p>`;
+}
+
+// ---------- otp ----------
+// data: { code, ttlMinutes, purpose: email_verification | password_reset | email_change | recovery_email }
+const OTP_HEADINGS = {
+  en: {
+    email_verification: "Verify your email",
+    password_reset: "Reset your password",
+    email_change: "Confirm your new email",
+    recovery_email: "Confirm your recovery email",
+  },
+  hi: {
+    email_verification: "अपना ईमेल सत्यापित करें",
+    password_reset: "अपना पासवर्ड रीसेट करें",
+    email_change: "अपने नए ईमेल की पुष्टि करें",
+    recovery_email: "अपने रिकवरी ईमेल की पुष्टि करें",
+  },
+};
+
+const otp = {
+  en: {
+    subject: (d) => `${OTP_HEADINGS.en[d.purpose] || "Your code"}: ${d.code}`,
+    text: (d) =>
+      `Your AroundU code is ${d.code}. It expires in ${d.ttlMinutes} minutes.\n\n` +
+      "If you didn't request this, you can ignore this email.",
+    body: (d) =>
+      `<p>${escapeHtml(OTP_HEADINGS.en[d.purpose] || "Your code")}</p>` +
+      codeBlock(d.code) +
+      `<p>It expires in ${escapeHtml(d.ttlMinutes)} minutes. If you didn't request this, you can ignore this email.</p>`,
+  },
+  hi: {
+    subject: (d) => `${OTP_HEADINGS.hi[d.purpose] || "आपका कोड"}: ${d.code}`,
+    text: (d) =>
+      `आपका AroundU कोड ${d.code} है। यह ${d.ttlMinutes} मिनट में समाप्त हो जाएगा।\n\n` +
+      "अगर आपने इसका अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।",
+    body: (d) =>
+      `<p>${escapeHtml(OTP_HEADINGS.hi[d.purpose] || "आपका कोड")}</p>` +
+      codeBlock(d.code) +
+      `<p>यह ${escapeHtml(d.ttlMinutes)} मिनट में समाप्त हो जाएगा। अगर आपने इसका अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।</p>`,
+  },
+};
+
+// ---------- password_changed ----------
+const password_changed = {
+  en: {
+    subject: () => "Your AroundU password was changed",
+    text: () =>
+      "Your AroundU password was just changed and all devices were signed out.\n\n" +
+      "If this wasn't you, reset your password immediately and contact support.",
+    body: () =>
+      "<p>Your AroundU password was just changed and all devices were signed out.</p>" +
+      "<p><strong>If this wasn't you</strong>, reset your password immediately and contact support.</p>",
+  },
+  hi: {
+    subject: () => "आपका AroundU पासवर्ड बदल दिया गया",
+    text: () =>
+      "आपका AroundU पासवर्ड अभी बदला गया है और सभी डिवाइस से साइन आउट कर दिया गया है।\n\n" +
+      "अगर यह आपने नहीं किया, तो तुरंत अपना पासवर्ड रीसेट करें और सपोर्ट से संपर्क करें।",
+    body: () =>
+      "<p>आपका AroundU पासवर्ड अभी बदला गया है और सभी डिवाइस से साइन आउट कर दिया गया है।</p>" +
+      "<p><strong>अगर यह आपने नहीं किया</strong>, तो तुरंत अपना पासवर्ड रीसेट करें और सपोर्ट से संपर्क करें।</p>",
+  },
+};
+
+// ---------- email_changed ----------
+// data: { kind: primary | recovery, newEmail (masked), undoUrl, undoDays }
+const email_changed = {
+  en: {
+    subject: (d) =>
+      d.kind === "primary"
+        ? "Your AroundU email was changed"
+        : "Your AroundU recovery email was changed",
+    text: (d) =>
+      `The ${d.kind === "primary" ? "sign-in" : "recovery"} email of your AroundU account was changed to ${d.newEmail}.\n\n` +
+      `If this wasn't you, undo the change within ${d.undoDays} days:\n${d.undoUrl}\n\n` +
+      "Undoing also signs out every device.",
+    body: (d) =>
+      `<p>The ${d.kind === "primary" ? "sign-in" : "recovery"} email of your AroundU account was changed to <strong>${escapeHtml(d.newEmail)}</strong>.</p>` +
+      `<p>If this wasn't you, undo the change within ${escapeHtml(d.undoDays)} days. Undoing also signs out every device.</p>` +
+      button(d.undoUrl, "Undo this change"),
+  },
+  hi: {
+    subject: (d) =>
+      d.kind === "primary"
+        ? "आपका AroundU ईमेल बदल दिया गया"
+        : "आपका AroundU रिकवरी ईमेल बदल दिया गया",
+    text: (d) =>
+      `आपके AroundU अकाउंट का ${d.kind === "primary" ? "साइन-इन" : "रिकवरी"} ईमेल बदलकर ${d.newEmail} कर दिया गया है।\n\n` +
+      `अगर यह आपने नहीं किया, तो ${d.undoDays} दिनों के भीतर इसे वापस लें:\n${d.undoUrl}\n\n` +
+      "वापस लेने पर सभी डिवाइस से साइन आउट हो जाएगा।",
+    body: (d) =>
+      `<p>आपके AroundU अकाउंट का ${d.kind === "primary" ? "साइन-इन" : "रिकवरी"} ईमेल बदलकर <strong>${escapeHtml(d.newEmail)}</strong> कर दिया गया है।</p>` +
+      `<p>अगर यह आपने नहीं किया, तो ${escapeHtml(d.undoDays)} दिनों के भीतर इसे वापस लें। वापस लेने पर सभी डिवाइस से साइन आउट हो जाएगा।</p>` +
+      button(d.undoUrl, "बदलाव वापस लें"),
+  },
+};
+
+// ---------- booking_accepted ----------
+// data: { firstName, professorName, date, startTime, endTime }
+const booking_accepted = {
+  en: {
+    subject: (d) => `${d.professorName} accepted your booking`,
+    text: (d) =>
+      `Hi ${d.firstName || "there"},\n\n` +
+      `${d.professorName} accepted your booking request for ${d.date}, ${d.startTime}–${d.endTime}.\n\n` +
+      "You can see the details under Bookings in the app.",
+    body: (d) =>
+      `<p>Hi ${escapeHtml(d.firstName || "there")},</p>` +
+      `<p><strong>${escapeHtml(d.professorName)}</strong> accepted your booking request for ` +
+      `<strong>${escapeHtml(d.date)}, ${escapeHtml(d.startTime)}–${escapeHtml(d.endTime)}</strong>.</p>` +
+      "<p>You can see the details under Bookings in the app.</p>",
+  },
+  hi: {
+    subject: (d) => `${d.professorName} ने आपकी बुकिंग स्वीकार कर ली`,
+    text: (d) =>
+      `नमस्ते ${d.firstName || ""},\n\n` +
+      `${d.professorName} ने ${d.date}, ${d.startTime}–${d.endTime} के लिए आपका बुकिंग अनुरोध स्वीकार कर लिया है।\n\n` +
+      "विवरण ऐप में Bookings के अंतर्गत देखें।",
+    body: (d) =>
+      `<p>नमस्ते ${escapeHtml(d.firstName || "")},</p>` +
+      `<p><strong>${escapeHtml(d.professorName)}</strong> ने <strong>${escapeHtml(d.date)}, ${escapeHtml(d.startTime)}–${escapeHtml(d.endTime)}</strong> के लिए आपका बुकिंग अनुरोध स्वीकार कर लिया है।</p>` +
+      "<p>विवरण ऐप में Bookings के अंतर्गत देखें।</p>",
+  },
+};
+
+// ---------- digest ----------
+// data: { firstName, count, items: [string], appUrl }
+const digest = {
+  en: {
+    subject: (d) => `You have ${d.count} new notification${d.count === 1 ? "" : "s"} on AroundU`,
+    text: (d) =>
+      `Hi ${d.firstName || "there"}, here's what you missed:\n\n` +
+      d.items.map((item) => `• ${item}`).join("\n") +
+      `\n\nOpen AroundU: ${d.appUrl}`,
+    body: (d) =>
+      `<p>Hi ${escapeHtml(d.firstName || "there")}, here's what you missed:</p>` +
+      `<ul>${d.items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>` +
+      button(d.appUrl, "Open AroundU"),
+  },
+  hi: {
+    subject: (d) => `AroundU पर आपकी ${d.count} नई सूचनाएँ हैं`,
+    text: (d) =>
+      `नमस्ते ${d.firstName || ""}, आपसे यह छूट गया:\n\n` +
+      d.items.map((item) => `• ${item}`).join("\n") +
+      `\n\nAroundU खोलें: ${d.appUrl}`,
+    body: (d) =>
+      `<p>नमस्ते ${escapeHtml(d.firstName || "")}, आपसे यह छूट गया:</p>` +
+      `<ul>${d.items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>` +
+      button(d.appUrl, "AroundU खोलें"),
+  },
+};
+
+const TEMPLATES = { otp, password_changed, email_changed, booking_accepted, digest };
+
+const FOOTERS = {
+  en: "You're receiving this because you have an AroundU account.",
+  hi: "आपको यह ईमेल इसलिए मिला है क्योंकि आपका AroundU अकाउंट है।",
+};
+
+function resolveLocale(variants, locale) {
+  const wanted = String(locale || "").toLowerCase();
+  if (variants[wanted]) return wanted;
+  const base = wanted.split("-")[0];
+  if (variants[base]) return base;
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Render a named template. Returns { subject, text, html, locale }.
+ */
+function renderTemplate(name, data = {}, locale = DEFAULT_LOCALE) {
+  const variants = TEMPLATES[name];
+  if (!variants) throw new Error(`Unknown mail template: ${name}`);
+
+  const resolved = resolveLocale(variants, locale);
+  const t = variants[resolved];
+  return {
+    subject: t.subject(data),
+    text: t.text(data),
+    html: layout(t.body(data), { footer: FOOTERS[resolved] || FOOTERS.en }),
+    locale: resolved,
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  TEMPLATES,
+  renderTemplate,
+  escapeHtml,
+};
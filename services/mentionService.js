@@ -0,0 +1,143 @@
+// services/mentionService.js
+// @mentions in captions, discussion content and comments. Two forms:
+//   @handle               (users.handle, case-insensitive)
+//   @[Display Name](id)   (what the client's mention picker inserts)
+// Mentions resolve to active users the author hasn't blocked and who can
+// see the post; mentioning someone who blocked the author is refused.
+// Entities are stored with the text as
+// [{ user_id, handle, name, offset, length }] (offsets in JS string units of
+// the stored text).
+const pool = require("../config/db");
+const notify = require("../routes/notify");
+const { getIo } = require("./socketRegistry");
+const { canViewPost } = require("./postAccess");
+
+const MAX_MENTIONS = 20;
+const HANDLE_MENTION_RE = /(^|[^A-Za-z0-9_@])@([A-Za-z0-9_]{2,30})(?![A-Za-z0-9_])/g;
+const EXPLICIT_MENTION_RE =
+  /@\[([^\]\n]{1,100})\]\(([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})\)/g;
+
+// Human-readable messages for the failure reasons below
+const MENTION_MESSAGES = {
+  blocked: "You can't mention someone who has blocked you",
+};
+
+// raw mention tokens in `text`, in order: { offset, length, handle | userId }
+function extractMentions(text) {
+  if (typeof text !== "string" || !text.includes("@")) return [];
+
+  const tokens = [];
+  for (const m of text.matchAll(EXPLICIT_MENTION_RE)) {
+    tokens.push({ offset: m.index, length: m[0].length, userId: m[2].toLowerCase() });
+  }
+  const taken = (i) => tokens.some((t) => i >= t.offset && i < t.offset + t.length);
+  for (const m of text.matchAll(HANDLE_MENTION_RE)) {
+    const offset = m.index + m[1].length;
+    if (!taken(offset)) {
+      tokens.push({
+        offset,
+        length: m[2].length + 1,
+        handle: m[2].toLowerCase(),
+      });
+    }
+  }
+  return tokens.sort((a, b) => a.offset - b.offset).slice(0, MAX_MENTIONS);
+}
+
+/**
+ * Resolve the mentions in `text` written by `authorId`.
+ * Users who couldn't see the post are dropped: pass `postId` for text on an
+ * existing post (comments), or the post's `visibility` when it isn't saved
+ * yet or is changing.
+ * Returns { ok: true, mentions } (entities, unknown handles dropped) or
+ * { ok: false, reason: "blocked" } when a mentioned user blocked the author.
+ */
+async function resolveMentions(text, authorId, { postId = null, visibility = null } = {}) {
+  const tokens = extractMentions(text);
+  if (!tokens.length) return { ok: true, mentions: [] };
+
+  const { rows } = await pool.query(
+    `SELECT u.id, u.handle, u.first_name, u.last_name,
+            EXISTS (SELECT 1 FROM blocks b
+                    WHERE b.blocker_id = u.id AND b.blocked_id = $3) AS blocked_author,
+            EXISTS (SELECT 1 FROM blocks b
+                    WHERE b.blocker_id = $3 AND b.blocked_id = u.id) AS blocked_by_author,
+            COALESCE(u.university = (SELECT university FROM users WHERE id = $3), false)
+              AS same_university
+     FROM users u
+     WHERE (u.id::text = ANY($1::text[]) OR lower(u.handle) = ANY($2::text[]))
+       AND u.deactivated_at IS NULL`,
+    [
+      tokens.filter((t) => t.userId).map((t) => t.userId),
+      tokens.filter((t) => t.handle).map((t) => t.handle),
+      authorId,
+    ],
+  );
+
+  const mentions = [];
+  for (const t of tokens) {
+    const user = rows.find((u) =>
+      t.userId
+        ? String(u.id).toLowerCase() === t.userId
+        : (u.handle || "").toLowerCase() === t.handle,
+    );
+    if (!user || user.blocked_by_author) continue;
+    if (user.blocked_author) return { ok: false, reason: "blocked" };
+    if (String(user.id) !== String(authorId)) {
+      if (visibility === "university" && !user.same_university) continue;
+      if (postId && !(await canViewPost(postId, user.id))) continue;
+    }
+
+    mentions.push({
+      user_id: user.id,
+      handle: user.handle,
+      name: `${user.first_name || ""} ${user.last_name || ""}`.trim(),
+      offset: t.offset,
+      length: t.length,
+    });
+  }
+  return { ok: true, mentions };
+}
+
+// distinct mentioned user ids
+function mentionedUserIds(mentions) {
+  return [...new Set((mentions || []).map((m) => String(m.user_id)))];
+}
+
+/**
+ * Notify mentioned users (once each) who can see the post, except ids in
+ * `skip`. Posts: type "post_mention"; comments: type "comment_mention".
+ */
+async function notifyMentions({
+  mentions,
+  actorId,
+  postId,
+  commentId = null,
+  text,
+  skip = [],
+}) {
+  const skipped = new Set(skip.filter(Boolean).map(String));
+  for (const userId of mentionedUserIds(mentions)) {
+    if (skipped.has(userId)) continue;
+    // the notification carries the text
+    if (!(await canViewPost(postId, userId))) continue;
+    await notify(getIo(), {
+      toUserId: userId,
+      actorId,
+      type: commentId ? "comment_mention" : "post_mention",
+      entityId: postId,
+      entityType: "post",
+      data: commentId
+        ? { postId, commentId, commentText: text }
+        : { postId, caption: text },
+    });
+  }
+}
+
+module.exports = {
+  MENTION_MESSAGES,
+  extractMentions,
+  resolveMentions,
+  mentionedUserIds,
+  notifyMentions,
+};
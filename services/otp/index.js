@@ -0,0 +1,169 @@
+// services/otp/index.js
+// One OTP service for every flow (signup email verification, forgot password,
+// ...). Codes are stored hashed, verification attempts are capped, and sends
+// are throttled per identifier and per IP.
+//
+// OTP_STORE=postgres (default) | memory
+const crypto = require("crypto");
+const createMemoryStore = require("./memoryStore");
+const createPostgresStore = require("./postgresStore");
+
+const MINUTE = 60 * 1000;
+
+const DEFAULTS = {
+  ttlMs: 5 * MINUTE,
+  codeLength: 6,
+  maxAttempts: 5,
+  resendCooldownMs: 60 * 1000,
+  identifierQuota: { max: 5, windowMs: 60 * MINUTE },
+  ipQuota: { max: 20, windowMs: 60 * MINUTE },
+};
+
+function createOtpService({ store, ...options } = {}) {
+  if (!store) throw new Error("createOtpService: store is required");
+  const cfg = { ...DEFAULTS, ...options };
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || "";
+
+  function hashCode(purpose, identifier, code) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${purpose}:${identifier}:${code}`)
+      .digest("hex");
+  }
+
+  function sameHash(a, b) {
+    const bufA = Buffer.from(a, "hex");
+    const bufB = Buffer.from(b, "hex");
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  function generateCode() {
+    const min = 10 ** (cfg.codeLength - 1);
+    return String(crypto.randomInt(min, min * 10));
+  }
+
+  return {
+    ttlMinutes: Math.round(cfg.ttlMs / MINUTE),
+
+    /**
+     * Create (or replace) the code for purpose + identifier.
+     * Returns { ok: true, code } — the caller delivers the code —
+     * or { ok: false, reason: 'cooldown' | 'identifier_quota' | 'ip_quota', retryAfterSeconds }
+     */
+    async issue({ purpose, identifier, ip = null }) {
+      const now = Date.now();
+
+      const existing = await store.get(purpose, identifier);
+      if (existing && existing.lastSentAt) {
+        const waitMs =
+          existing.lastSentAt.getTime() + cfg.resendCooldownMs - now;
+        if (waitMs > 0) {
+          return {
+            ok: false,
+            reason: "cooldown",
+            retryAfterSeconds: Math.ceil(waitMs / 1000),
+          };
+        }
+      }
+
+      const idBucket = `id:${purpose}:${identifier}`;
+      const idCount = await store.countEvents(
+        idBucket,
+        cfg.identifierQuota.windowMs,
+      );
+      if (idCount >= cfg.identifierQuota.max) {
+        return {
+          ok: false,
+          reason: "identifier_quota",
+          retryAfterSeconds: Math.ceil(cfg.identifierQuota.windowMs / 1000),
+        };
+      }
+
+      const ipBucket = ip ? `ip:${ip}` : null;
+      if (ipBucket) {
+        const ipCount = await store.countEvents(ipBucket, cfg.ipQuota.windowMs);
+        if (ipCount >= cfg.ipQuota.max) {
+          return {
+            ok: false,
+            reason: "ip_quota",
+            retryAfterSeconds: Math.ceil(cfg.ipQuota.windowMs / 1000),
+          };
+        }
+      }
+
+      const code = generateCode();
+      await store.save(purpose, identifier, {
+        codeHash: hashCode(purpose, identifier, code),
+        expiresAt: new Date(now + cfg.ttlMs),
+        lastSentAt: new Date(now),
+      });
+      await store.addEvent(idBucket);
+      if (ipBucket) await store.addEvent(ipBucket);
+
+      return { ok: true, code };
+    },
+
+    /**
+     * Check a code. A correct code is consumed.
+     * Returns { ok: true }
+     * or { ok: false, reason: 'not_found' | 'expired' | 'too_many_attempts' | 'invalid', attemptsLeft? }
+     */
+    async verify({ purpose, identifier, code }) {
+      const record = await store.get(purpose, identifier);
+      if (!record) return { ok: false, reason: "not_found" };
+
+      if (Date.now() > record.expiresAt.getTime()) {
+        await store.delete(purpose, identifier);
+        return { ok: false, reason: "expired" };
+      }
+
+      // count the attempt before checking it, in one atomic step, so
+      // parallel guesses can't all slip under the cap
+      const attempts = await store.incrementAttempts(purpose, identifier);
+      if (attempts === 0) return { ok: false, reason: "not_found" };
+      if (attempts > cfg.maxAttempts) {
+        await store.delete(purpose, identifier);
+        return { ok: false, reason: "too_many_attempts" };
+      }
+
+      const candidate = hashCode(purpose, identifier, String(code).trim());
+      if (!sameHash(candidate, record.codeHash)) {
+        const attemptsLeft = Math.max(cfg.maxAttempts - attempts, 0);
+        if (attemptsLeft === 0) await store.delete(purpose, identifier);
+        return { ok: false, reason: "invalid", attemptsLeft };
+      }
+
+      await store.delete(purpose, identifier);
+      return { ok: true };
+    },
+  };
+}
+
+// Human-readable messages for the failure reasons above
+const OTP_MESSAGES = {
+  cooldown: "Please wait before requesting another OTP",
+  identifier_quota: "Too many OTP requests for this address. Try again later",
+  ip_quota: "Too many OTP requests. Try again later",
+  not_found: "OTP not found",
+  expired: "OTP expired",
+  too_many_attempts: "Too many attempts. Please request a new OTP",
+  invalid: "Invalid OTP",
+};
+
+function createStoreFromEnv() {
+  const kind = (process.env.OTP_STORE || "postgres").toLowerCase();
+  if (kind === "memory") return createMemoryStore();
+  // "redis" can slot in here: any object implementing the store interface
+  // documented in memoryStore.js works.
+  return createPostgresStore();
+}
+
+const otpService = createOtpService({ store: createStoreFromEnv() });
+
+module.exports = {
+  otpService,
+  createOtpService,
+  createMemoryStore,
+  createPostgresStore,
+  OTP_MESSAGES,
+};
@@ -0,0 +1,61 @@
+// services/otp/memoryStore.js
+// Process-local OTP store. Fine for development and single-instance setups;
+// codes are lost on restart and not shared between instances.
+
+/**
+ * Store interface (shared with postgresStore, and any future redisStore):
+ *   get(purpose, identifier)        -> { codeHash, attempts, expiresAt, lastSentAt } | null
+ *   save(purpose, identifier, rec)  -> replaces the record, attempts reset to 0
+ *   incrementAttempts(purpose, identifier) -> new attempt count
+ *   delete(purpose, identifier)
+ *   countEvents(bucket, windowMs)   -> sends recorded for bucket within window
+ *   addEvent(bucket)
+ * Dates are JS Date objects.
+ */
+function createMemoryStore() {
+  const codes = new Map(); // `${purpose}:${identifier}` -> record
+  const events = new Map(); // bucket -> [timestamp ms]
+
+  const keyOf = (purpose, identifier) => `${purpose}:${identifier}`;
+
+  return {
+    async get(purpose, identifier) {
+      return codes.get(keyOf(purpose, identifier)) || null;
+    },
+
+    async save(purpose, identifier, { codeHash, expiresAt, lastSentAt }) {
+      codes.set(keyOf(purpose, identifier), {
+        codeHash,
+        attempts: 0,
+        expiresAt,
+        lastSentAt,
+      });
+    },
+
+    async incrementAttempts(purpose, identifier) {
+      const record = codes.get(keyOf(purpose, identifier));
+      if (!record) return 0;
+      record.attempts += 1;
+      return record.attempts;
+    },
+
+    async delete(purpose, identifier) {
+      codes.delete(keyOf(purpose, identifier));
+    },
+
+    async countEvents(bucket, windowMs) {
+      const since = Date.now() - windowMs;
+      const recent = (events.get(bucket) || []).filter((t) => t > since);
+      events.set(bucket, recent);
+      return recent.length;
+    },
+
+    async addEvent(bucket) {
+      const list = events.get(bucket) || [];
+      list.push(Date.now());
+      events.set(bucket, list);
+    },
+  };
+}
+
+module.exports = createMemoryStore;
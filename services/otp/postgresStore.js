@@ -0,0 +1,78 @@
+// services/otp/postgresStore.js
+// OTP store backed by otp_codes / otp_send_events (migrations/004).
+// Survives restarts and is shared by every instance.
+const pool = require("../../config/db");
+
+function createPostgresStore(db = pool) {
+  return {
+    async get(purpose, identifier) {
+      const { rows } = await db.query(
+        `SELECT code_hash, attempts, expires_at, last_sent_at
+         FROM otp_codes
+         WHERE purpose = $1 AND identifier = $2
+         LIMIT 1`,
+        [purpose, identifier],
+      );
+      const row = rows[0];
+      if (!row) return null;
+      return {
+        codeHash: row.code_hash,
+        attempts: Number(row.attempts) || 0,
+        expiresAt: new Date(row.expires_at),
+        lastSentAt: new Date(row.last_sent_at),
+      };
+    },
+
+    async save(purpose, identifier, { codeHash, expiresAt, lastSentAt }) {
+      await db.query(
+        `INSERT INTO otp_codes (purpose, identifier, code_hash, attempts, expires_at, last_sent_at)
+         VALUES ($1, $2, $3, 0, $4, $5)
+         ON CONFLICT (purpose, identifier) DO UPDATE
+           SET code_hash = EXCLUDED.code_hash,
+               attempts = 0,
+               expires_at = EXCLUDED.expires_at,
+               last_sent_at = EXCLUDED.last_sent_at`,
+        [purpose, identifier, codeHash, expiresAt, lastSentAt],
+      );
+    },
+
+    async incrementAttempts(purpose, identifier) {
+      const { rows } = await db.query(
+        `UPDATE otp_codes SET attempts = attempts + 1
+         WHERE purpose = $1 AND identifier = $2
+         RETURNING attempts`,
+        [purpose, identifier],
+      );
+      return rows.length ? Number(rows[0].attempts) : 0;
+    },
+
+    async delete(purpose, identifier) {
+      await db.query(
+        "DELETE FROM otp_codes WHERE purpose = $1 AND identifier = $2",
+        [purpose, identifier],
+      );
+    },
+
+    async countEvents(bucket, windowMs) {
+      // prune while we're here so the table stays small
+      await db.query(
+        `DELETE FROM otp_send_events
+         WHERE bucket = $1 AND created_at < now() - ($2 || ' milliseconds')::interval`,
+        [bucket, String(windowMs)],
+      );
+      const { rows } = await db.query(
+        "SELECT COUNT(*)::int AS cnt FROM otp_send_events WHERE bucket = $1",
+        [bucket],
+      );
+      return rows[0].cnt;
+    },
+
+    async addEvent(bucket) {
+      await db.query("INSERT INTO otp_send_events (bucket) VALUES ($1)", [
+        bucket,
+      ]);
+    },
+  };
+}
+
+module.exports = createPostgresStore;
@@ -0,0 +1,73 @@
+// services/passwordResetService.js
+// Single-use password reset tokens, issued only after the forgot-password
+// OTP has been verified.
+const crypto = require("crypto");
+const pool = require("../config/db");
+const { sendMail } = require("./mail");
+
+const RESET_TOKEN_TTL_MINUTES = 15;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issue a reset token for the user with `email`.
+ * Any older unused token of that user stops working.
+ * Returns null when no such user exists.
+ */
+async function createResetToken(email) {
+  const userRes = await pool.query(
+    "SELECT id FROM users WHERE email = $1 LIMIT 1",
+    [email.toLowerCase().trim()],
+  );
+  const user = userRes.rows[0];
+  if (!user) return null;
+
+  await pool.query(
+    `UPDATE password_reset_tokens SET used_at = now()
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [user.id],
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, now() + ($3 || ' minutes')::interval)`,
+    [user.id, hashToken(token), String(RESET_TOKEN_TTL_MINUTES)],
+  );
+
+  return { token, expiresInMinutes: RESET_TOKEN_TTL_MINUTES };
+}
+
+/**
+ * Mark the token as used and return its user id.
+ * Returns null for unknown, expired or already-used tokens.
+ */
+async function consumeResetToken(token) {
+  if (!token || typeof token !== "string") return null;
+
+  const { rows } = await pool.query(
+    `UPDATE password_reset_tokens
+     SET used_at = now()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > now()
+     RETURNING user_id`,
+    [hashToken(token)],
+  );
+  return rows[0]?.user_id || null;
+}
+
+async function sendPasswordChangedEmail(email, userId = null) {
+  try {
+    await sendMail({ to: email, template: "password_changed", userId });
+  } catch (err) {
+    // the reset itself succeeded; don't fail the request over the email
+    console.error("password changed email failed:", err && err.message);
+  }
+}
+
+module.exports = {
+  createResetToken,
+  consumeResetToken,
+  sendPasswordChangedEmail,
+};
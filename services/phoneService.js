@@ -0,0 +1,155 @@
+// services/phoneService.js
+// Phone numbers are stored in E.164 ("+919876543210") and only after the
+// owner typed back an SMS code. A verified number is unique across users.
+//
+// DEFAULT_PHONE_COUNTRY_CODE (e.g. "91") is used for numbers typed without
+// a "+<country>" prefix.
+const pool = require("../config/db");
+const { otpService } = require("./otp");
+const { sendSms } = require("./sms");
+
+const OTP_PURPOSE = "phone_verification";
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+
+// Human-readable messages for the failure reasons below
+const PHONE_MESSAGES = {
+  invalid_phone: "Please enter a valid phone number with country code",
+  same_phone: "This number is already verified on your account",
+  phone_taken: "This phone number is already in use",
+};
+
+/**
+ * "+1 (415) 555-0100" -> "+14155550100", "0044 20..." -> "+4420...",
+ * "098765 43210" -> "+919876543210" (with DEFAULT_PHONE_COUNTRY_CODE=91).
+ * Returns null if the result isn't a plausible E.164 number.
+ */
+function normalizePhone(input) {
+  if (input === undefined || input === null) return null;
+  let raw = String(input).trim().replace(/[\s().-]/g, "");
+
+  if (raw.startsWith("00")) raw = `+${raw.slice(2)}`;
+  if (!raw.startsWith("+")) {
+    const cc = (process.env.DEFAULT_PHONE_COUNTRY_CODE || "").replace(/\D/g, "");
+    if (!cc) return null;
+    raw = `+${cc}${raw.replace(/^0+/, "")}`;
+  }
+
+  return E164_RE.test(raw) ? raw : null;
+}
+
+// "+919876543210" -> "+91******3210"
+function maskPhone(phone) {
+  return `${phone.slice(0, 3)}${"*".repeat(Math.max(phone.length - 7, 0))}${phone.slice(-4)}`;
+}
+
+function otpIdentifier(userId, phone) {
+  return `${userId}:${phone}`;
+}
+
+async function isTakenByOther(phone, userId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM users
+     WHERE phone_number = $1 AND phone_verified = true AND id <> $2
+     LIMIT 1`,
+    [phone, userId],
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Text a verification code to `phoneNumber` (nothing is saved yet).
+ * Returns { ok: true, phone } or { ok: false, reason, retryAfterSeconds? }
+ */
+async function requestPhoneVerification({ userId, phoneNumber, ip = null }) {
+  const phone = normalizePhone(phoneNumber);
+  if (!phone) return { ok: false, reason: "invalid_phone" };
+
+  const { rows } = await pool.query(
+    "SELECT phone_number, phone_verified FROM users WHERE id = $1",
+    [userId],
+  );
+  const user = rows[0];
+  if (!user) return { ok: false, reason: "not_found" };
+  if (user.phone_verified && user.phone_number === phone) {
+    return { ok: false, reason: "same_phone" };
+  }
+  if (await isTakenByOther(phone, userId)) {
+    return { ok: false, reason: "phone_taken" };
+  }
+
+  const issued = await otpService.issue({
+    purpose: OTP_PURPOSE,
+    identifier: otpIdentifier(userId, phone),
+    ip,
+  });
+  if (!issued.ok) return issued;
+
+  await sendSms(
+    phone,
+    `Your AroundU verification code is ${issued.code}. It expires in ${otpService.ttlMinutes} minutes.`,
+  );
+  return { ok: true, phone };
+}
+
+/**
+ * Check the code texted to `phoneNumber` and save it as verified.
+ * Returns { ok: true, phone } or { ok: false, reason, attemptsLeft? }
+ */
+async function confirmPhoneVerification({ userId, phoneNumber, code }) {
+  const phone = normalizePhone(phoneNumber);
+  if (!phone) return { ok: false, reason: "invalid_phone" };
+
+  const result = await otpService.verify({
+    purpose: OTP_PURPOSE,
+    identifier: otpIdentifier(userId, phone),
+    code,
+  });
+  if (!result.ok) return result;
+
+  if (await isTakenByOther(phone, userId)) {
+    return { ok: false, reason: "phone_taken" };
+  }
+
+  try {
+    await pool.query(
+      `UPDATE users
+       SET phone_number = $2, phone_verified = true, phone_verified_at = now()
+       WHERE id = $1`,
+      [userId, phone],
+    );
+  } catch (err) {
+    // lost a race against another account verifying the same number
+    if (err.code === "23505") return { ok: false, reason: "phone_taken" };
+    throw err;
+  }
+
+  return { ok: true, phone };
+}
+
+async function removePhone(userId) {
+  await pool.query(
+    `UPDATE users
+     SET phone_number = NULL, phone_verified = false, phone_verified_at = NULL
+     WHERE id = $1`,
+    [userId],
+  );
+}
+
+// verified number of a user, or null
+async function getVerifiedPhone(userId) {
+  const { rows } = await pool.query(
+    "SELECT phone_number FROM users WHERE id = $1 AND phone_verified = true",
+    [userId],
+  );
+  return rows[0]?.phone_number || null;
+}
+
+module.exports = {
+  PHONE_MESSAGES,
+  normalizePhone,
+  maskPhone,
+  requestPhoneVerification,
+  confirmPhoneVerification,
+  removePhone,
+  getVerifiedPhone,
+};
@@ -0,0 +1,356 @@
+// services/pollService.js
+// Poll posts: creation, voting and results. Results are pushed live to
+// sockets that subscribed with "poll:subscribe" (room poll:<postId>) as
+// "poll:results" { postId, poll }; the broadcast never includes who voted
+// for what, per-user fields (my_votes) only come back over HTTP.
+const pool = require("../config/db");
+const { inTransaction } = require("./roleService");
+const { getIo } = require("./socketRegistry");
+const { canViewPost } = require("./postAccess");
+const { setPostHashtags } = require("./hashtagService");
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const MAX_OPTION_LENGTH = 100;
+
+// Human-readable messages for the failure reasons below
+const POLL_MESSAGES = {
+  question_required: "Question is required",
+  invalid_options: `A poll needs ${MIN_OPTIONS}-${MAX_OPTIONS} different options (max ${MAX_OPTION_LENGTH} characters each)`,
+  invalid_closes_at: "Close time must be a future date",
+  not_found: "Poll not found",
+  closed: "This poll is closed",
+  invalid_option: "Unknown option for this poll",
+  single_choice: "This poll allows only one choice",
+  anonymous: "Votes in this poll are anonymous",
+};
+
+function pollRoom(postId) {
+  return `poll:${postId}`;
+}
+
+/**
+ * Validate poll input. Returns { ok: true, poll } with normalized
+ * { options, allowsMultiple, isAnonymous, closesAt } or { ok: false, reason }.
+ */
+function parsePollInput({ options, closesAt, multipleChoice, anonymous }) {
+  let list = options;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list)) return { ok: false, reason: "invalid_options" };
+
+  const labels = list.map((o) => (typeof o === "string" ? o.trim() : ""));
+  const distinct = new Set(labels.map((l) => l.toLowerCase()));
+  if (
+    labels.length < MIN_OPTIONS ||
+    labels.length > MAX_OPTIONS ||
+    labels.some((l) => !l || l.length > MAX_OPTION_LENGTH) ||
+    distinct.size !== labels.length
+  ) {
+    return { ok: false, reason: "invalid_options" };
+  }
+
+  let closes = null;
+  if (closesAt !== undefined && closesAt !== null && closesAt !== "") {
+    closes = new Date(closesAt);
+    if (isNaN(closes.getTime()) || closes <= new Date()) {
+      return { ok: false, reason: "invalid_closes_at" };
+    }
+  }
+
+  return {
+    ok: true,
+    poll: {
+      options: labels,
+      allowsMultiple: multipleChoice === true || multipleChoice === "true",
+      // anonymous unless the author asks for named voting
+      isAnonymous: !(anonymous === false || anonymous === "false"),
+      closesAt: closes,
+    },
+  };
+}
+
+/**
+ * Create the poll post. `poll` comes from parsePollInput.
+ * Returns the new posts row.
+ */
+async function createPollPost({ userId, question, tags, visibility, poll, mentions = [] }) {
+  return inTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO posts (user_id, image_url, caption, tags, is_boosted, post_type, visibility, mentions)
+       VALUES ($1, NULL, $2, $3, false, 'poll', $4, $5)
+       RETURNING *`,
+      [userId, question, tags, visibility, JSON.stringify(mentions)],
+    );
+    const post = rows[0];
+    await setPostHashtags(client, post.id, tags);
+
+    await client.query(
+      `INSERT INTO polls (post_id, allows_multiple, is_anonymous, closes_at)
+       VALUES ($1, $2, $3, $4)`,
+      [post.id, poll.allowsMultiple, poll.isAnonymous, poll.closesAt],
+    );
+    for (let i = 0; i < poll.options.length; i++) {
+      await client.query(
+        "INSERT INTO poll_options (post_id, label, sort_order) VALUES ($1, $2, $3)",
+        [post.id, poll.options[i], i],
+      );
+    }
+    return post;
+  });
+}
+
+/**
+ * Results for each poll post id, as seen by `userId` (my_votes).
+ * Returns Map(postId -> { allows_multiple, is_anonymous, closes_at, closed,
+ * total_votes, total_voters, my_votes, options: [{ id, label, votes,
+ * voted_by_me }] }).
+ */
+async function getPolls(postIds, userId = null) {
+  const byPost = new Map();
+  if (!postIds.length) return byPost;
+
+  const { rows: polls } = await pool.query(
+    `SELECT post_id, allows_multiple, is_anonymous, closes_at,
+            (closes_at IS NOT NULL AND closes_at <= now()) AS closed,
+            (SELECT COUNT(DISTINCT v.user_id) FROM poll_votes v
+             WHERE v.post_id = polls.post_id)::int AS total_voters
+     FROM polls
+     WHERE post_id = ANY($1::uuid[])`,
+    [postIds],
+  );
+  if (!polls.length) return byPost;
+
+  const { rows: options } = await pool.query(
+    `SELECT o.post_id, o.id, o.label,
+            COUNT(v.user_id)::int AS votes,
+            COALESCE(BOOL_OR(v.user_id = $2), false) AS voted_by_me
+     FROM poll_options o
+     LEFT JOIN poll_votes v ON v.option_id = o.id
+     WHERE o.post_id = ANY($1::uuid[])
+     GROUP BY o.id
+     ORDER BY o.post_id, o.sort_order`,
+    [polls.map((p) => p.post_id), userId],
+  );
+
+  for (const p of polls) {
+    const opts = options
+      .filter((o) => String(o.post_id) === String(p.post_id))
+      .map((o) => ({
+        id: Number(o.id),
+        label: o.label,
+        votes: o.votes,
+        voted_by_me: o.voted_by_me,
+      }));
+    byPost.set(String(p.post_id), {
+      allows_multiple: p.allows_multiple,
+      is_anonymous: p.is_anonymous,
+      closes_at: p.closes_at,
+      closed: p.closed,
+      total_votes: opts.reduce((sum, o) => sum + o.votes, 0),
+      total_voters: p.total_voters,
+      my_votes: opts.filter((o) => o.voted_by_me).map((o) => o.id),
+      options: opts,
+    });
+  }
+  return byPost;
+}
+
+// results without the per-user fields, for broadcasting
+function publicResults(poll) {
+  return {
+    ...poll,
+    my_votes: undefined,
+    options: poll.options.map(({ voted_by_me, ...o }) => o),
+  };
+}
+
+async function broadcastResults(postId) {
+  const io = getIo();
+  if (!io) return;
+  const poll = (await getPolls([postId])).get(String(postId));
+  if (poll) {
+    io.to(pollRoom(postId)).emit("poll:results", {
+      postId,
+      poll: publicResults(poll),
+    });
+  }
+}
+
+function parseOptionIds(body) {
+  const raw = body.optionIds ?? (body.optionId !== undefined ? [body.optionId] : []);
+  const list = Array.isArray(raw) ? raw : [raw];
+  const ids = list.map(Number).filter((n) => Number.isInteger(n) && n > 0);
+  return [...new Set(ids)];
+}
+
+/**
+ * Vote for `optionIds`. Single-choice polls replace the previous vote;
+ * multiple-choice polls add to it.
+ * Returns { ok: true, poll } or { ok: false, reason } (POLL_MESSAGES key)
+ */
+async function vote({ postId, userId, optionIds }) {
+  if (!optionIds.length) return { ok: false, reason: "invalid_option" };
+
+  const result = await inTransaction(async (client) => {
+    // one vote change per user and poll at a time
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+      `poll:${postId}:${userId}`,
+    ]);
+
+    const { rows } = await client.query(
+      `SELECT allows_multiple, (closes_at IS NOT NULL AND closes_at <= now()) AS closed
+       FROM polls WHERE post_id = $1`,
+      [postId],
+    );
+    const poll = rows[0];
+    if (!poll) return { ok: false, reason: "not_found" };
+    if (poll.closed) return { ok: false, reason: "closed" };
+    if (!poll.allows_multiple && optionIds.length > 1) {
+      return { ok: false, reason: "single_choice" };
+    }
+
+    const valid = await client.query(
+      "SELECT id FROM poll_options WHERE post_id = $1 AND id = ANY($2::bigint[])",
+      [postId, optionIds],
+    );
+    if (valid.rows.length !== optionIds.length) {
+      return { ok: false, reason: "invalid_option" };
+    }
+
+    if (!poll.allows_multiple) {
+      await client.query(
+        "DELETE FROM poll_votes WHERE post_id = $1 AND user_id = $2",
+        [postId, userId],
+      );
+    }
+    await client.query(
+      `INSERT INTO poll_votes (option_id, post_id, user_id)
+       SELECT unnest($3::bigint[]), $1, $2
+       ON CONFLICT DO NOTHING`,
+      [postId, userId, optionIds],
+    );
+    return { ok: true };
+  });
+  if (!result.ok) return result;
+
+  await broadcastResults(postId);
+  return { ok: true, poll: (await getPolls([postId], userId)).get(String(postId)) };
+}
+
+/**
+ * Remove the user's vote for `optionIds` (all of their votes if empty).
+ * Returns { ok: true, poll } or { ok: false, reason }
+ */
+async function unvote({ postId, userId, optionIds }) {
+  const { rows } = await pool.query(
+    `SELECT (closes_at IS NOT NULL AND closes_at <= now()) AS closed
+     FROM polls WHERE post_id = $1`,
+    [postId],
+  );
+  if (!rows[0]) return { ok: false, reason: "not_found" };
+  if (rows[0].closed) return { ok: false, reason: "closed" };
+
+  const { rowCount } = optionIds.length
+    ? await pool.query(
+        `DELETE FROM poll_votes
+         WHERE post_id = $1 AND user_id = $2 AND option_id = ANY($3::bigint[])`,
+        [postId, userId, optionIds],
+      )
+    : await pool.query(
+        "DELETE FROM poll_votes WHERE post_id = $1 AND user_id = $2",
+        [postId, userId],
+      );
+
+  if (rowCount) await broadcastResults(postId);
+  return { ok: true, poll: (await getPolls([postId], userId)).get(String(postId)) };
+}
+
+/**
+ * Who voted for what, for named polls only.
+ * Returns { ok: true, options: [{ id, label, voters: [user] }] } or
+ * { ok: false, reason }
+ */
+async function getVoters(postId) {
+  const { rows } = await pool.query(
+    "SELECT is_anonymous FROM polls WHERE post_id = $1",
+    [postId],
+  );
+  if (!rows[0]) return { ok: false, reason: "not_found" };
+  if (rows[0].is_anonymous) return { ok: false, reason: "anonymous" };
+
+  const { rows: votes } = await pool.query(
+    `SELECT o.id AS option_id, o.label, u.id, u.first_name, u.last_name
+     FROM poll_options o
+     LEFT JOIN poll_votes v ON v.option_id = o.id
+     LEFT JOIN users u ON u.id = v.user_id AND u.deactivated_at IS NULL
+     WHERE o.post_id = $1
+     ORDER BY o.sort_order, v.created_at`,
+    [postId],
+  );
+
+  const options = [];
+  for (const row of votes) {
+    let option = options.find((o) => o.id === Number(row.option_id));
+    if (!option) {
+      option = { id: Number(row.option_id), label: row.label, voters: [] };
+      options.push(option);
+    }
+    if (row.id) {
+      option.voters.push({
+        id: row.id,
+        first_name: row.first_name,
+        last_name: row.last_name,
+      });
+    }
+  }
+  return { ok: true, options };
+}
+
+// socket.on("poll:subscribe" / "poll:unsubscribe", { postId }, ack)
+// Payloads come straight from clients (null included): read them inside try.
+function registerPollSocketHandlers(socket) {
+  socket.on("poll:subscribe", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      const postId = payload?.postId;
+      if (!postId || !(await canViewPost(postId, socket.data.user.id))) {
+        return reply({ ok: false, error: POLL_MESSAGES.not_found });
+      }
+      socket.join(pollRoom(postId));
+      reply({ ok: true });
+    } catch (err) {
+      console.error("poll:subscribe failed:", err && err.message);
+      reply({ ok: false, error: "Server error" });
+    }
+  });
+
+  socket.on("poll:unsubscribe", (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      const postId = payload?.postId;
+      if (postId) socket.leave(pollRoom(postId));
+      reply({ ok: true });
+    } catch (err) {
+      console.error("poll:unsubscribe failed:", err && err.message);
+      reply({ ok: false, error: "Server error" });
+    }
+  });
+}
+
+module.exports = {
+  POLL_MESSAGES,
+  parsePollInput,
+  parseOptionIds,
+  createPollPost,
+  getPolls,
+  vote,
+  unvote,
+  getVoters,
+  registerPollSocketHandlers,
+};
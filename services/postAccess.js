@@ -0,0 +1,31 @@
+// services/postAccess.js
+// Whether a user may see a post outside the feed queries (sockets, jobs).
+// Mirrors the feed rules: owner not deactivated, no block either way,
+// university-only posts only within the university, unfinished videos
+// only for their owner.
+const pool = require("../config/db");
+
+async function canViewPost(postId, userId) {
+  const { rows } = await pool.query(
+    `SELECT 1
+     FROM posts p
+     JOIN users owner ON owner.id = p.user_id
+     JOIN users me ON me.id = $2
+     WHERE p.id = $1
+       AND owner.deactivated_at IS NULL
+       AND (p.visibility = 'public'
+            OR p.user_id = $2
+            OR owner.university = me.university)
+       AND (p.media_status IS NULL OR p.media_status = 'ready' OR p.user_id = $2)
+       AND NOT EXISTS (
+         SELECT 1 FROM blocks b
+         WHERE (b.blocker_id = $2 AND b.blocked_id = p.user_id)
+            OR (b.blocker_id = p.user_id AND b.blocked_id = $2)
+       )
+     LIMIT 1`,
+    [postId, userId],
+  );
+  return rows.length > 0;
+}
+
+module.exports = { canViewPost };
@@ -0,0 +1,117 @@
+// services/postImageService.js
+// Ordered images of photo posts (post_images). posts.image_url stays the
+// cover (first image); posts from before carousels have no post_images rows
+// and are served from image_url alone.
+const pool = require("../config/db");
+const generatePresignedUrl = require("../config/generatePresignedUrl");
+const { variantUrls } = require("./imagePipeline");
+
+const MAX_POST_IMAGES = 10;
+const MAX_ALT_TEXT_LENGTH = 500;
+
+/**
+ * Alt texts from a multipart body, one per image in upload order:
+ *   altTexts: JSON array (or repeated altTexts fields), or
+ *   alt: a single string (single-image uploads)
+ */
+function parseAltTexts(body, count) {
+  let raw = body.altTexts ?? body.alt_texts;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      raw = [raw];
+    }
+  }
+  if (!Array.isArray(raw)) raw = body.alt !== undefined ? [body.alt] : [];
+
+  return Array.from({ length: count }, (_, i) => {
+    const alt = typeof raw[i] === "string" ? raw[i].trim() : "";
+    return alt ? alt.slice(0, MAX_ALT_TEXT_LENGTH) : null;
+  });
+}
+
+// Insert processed images (services/imagePipeline, already in display
+// order, plus altText) for `postId`.
+async function insertPostImages(client, postId, images) {
+  const rows = [];
+  for (let i = 0; i < images.length; i++) {
+    const img = images[i];
+    const { rows: inserted } = await client.query(
+      `INSERT INTO post_images
+         (post_id, image_url, alt_text, sort_order, variants, blurhash, width, height)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING image_url, alt_text, sort_order, variants, blurhash, width, height`,
+      [
+        postId,
+        img.key,
+        img.altText || null,
+        i,
+        img.variants || null,
+        img.blurhash || null,
+        img.width || null,
+        img.height || null,
+      ],
+    );
+    rows.push(inserted[0]);
+  }
+  return rows;
+}
+
+function toPublicImage(row) {
+  return {
+    url: generatePresignedUrl(row.image_url),
+    alt_text: row.alt_text || null,
+    sort_order: row.sort_order,
+    // thumb / medium / full in WebP and JPEG (null for older uploads)
+    variants: variantUrls(row.variants),
+    blurhash: row.blurhash || null,
+    width: row.width || null,
+    height: row.height || null,
+  };
+}
+
+/**
+ * Ordered, presigned images for each post row ({ id, image_url }).
+ * Returns Map(postId -> [{ url, alt_text, sort_order, variants, blurhash,
+ * width, height }]).
+ */
+async function getPostImages(posts) {
+  const byPost = new Map();
+  if (!posts.length) return byPost;
+
+  const { rows } = await pool.query(
+    `SELECT post_id, image_url, alt_text, sort_order, variants, blurhash, width, height
+     FROM post_images
+     WHERE post_id = ANY($1::uuid[])
+     ORDER BY post_id, sort_order ASC, created_at ASC`,
+    [posts.map((p) => p.id)],
+  );
+  for (const row of rows) {
+    const key = String(row.post_id);
+    if (!byPost.has(key)) byPost.set(key, []);
+    byPost.get(key).push(toPublicImage(row));
+  }
+
+  // single-image posts without post_images rows
+  for (const post of posts) {
+    const key = String(post.id);
+    if (!byPost.has(key)) {
+      byPost.set(
+        key,
+        post.image_url
+          ? [toPublicImage({ image_url: post.image_url, sort_order: 0 })]
+          : [],
+      );
+    }
+  }
+  return byPost;
+}
+
+module.exports = {
+  MAX_POST_IMAGES,
+  parseAltTexts,
+  insertPostImages,
+  getPostImages,
+  toPublicImage,
+};
@@ -0,0 +1,196 @@
+// services/postRevisionService.js
+// Owner edits of caption / tags / visibility. The version being replaced is
+// copied into post_revisions first, so every earlier version stays viewable.
+const pool = require("../config/db");
+const { inTransaction } = require("./roleService");
+const {
+  MENTION_MESSAGES,
+  resolveMentions,
+  mentionedUserIds,
+} = require("./mentionService");
+const { setPostHashtags } = require("./hashtagService");
+
+const MAX_TAGS = 7; // same limit as POST /api/posts/discussion
+const VISIBILITIES = ["public", "university"];
+
+// Human-readable messages for the failure reasons below
+const POST_EDIT_MESSAGES = {
+  not_found: "Post not found",
+  forbidden: "Not authorized to edit this post",
+  nothing_to_update: "Nothing to update (caption, tags or visibility)",
+  invalid_caption: "Caption must be a string",
+  invalid_tags: "Tags must be an array of strings",
+  invalid_visibility: "Visibility must be 'public' or 'university'",
+  content_required: "Content is required",
+  mention_blocked: MENTION_MESSAGES.blocked,
+};
+
+// array or JSON string -> trimmed, de-duplicated strings (null if invalid)
+function parseTags(raw) {
+  let tags = raw;
+  if (typeof raw === "string") {
+    try {
+      tags = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(tags) || tags.some((t) => typeof t !== "string")) {
+    return null;
+  }
+  const cleaned = tags.map((t) => t.trim()).filter(Boolean);
+  return [...new Set(cleaned)].slice(0, MAX_TAGS);
+}
+
+function sameTags(a, b) {
+  const x = a || [];
+  const y = b || [];
+  return x.length === y.length && x.every((t, i) => t === y[i]);
+}
+
+/**
+ * Edit a post owned by `userId`. Fields left undefined are kept.
+ * Returns { ok: true, changed, newMentions } (mentions that weren't in the
+ * previous caption, to notify) or { ok: false, reason }
+ * (reason is a POST_EDIT_MESSAGES key)
+ */
+async function editPost({ postId, userId, caption, tags, visibility }) {
+  if (caption === undefined && tags === undefined && visibility === undefined) {
+    return { ok: false, reason: "nothing_to_update" };
+  }
+
+  let nextTags;
+  if (tags !== undefined) {
+    nextTags = parseTags(tags);
+    if (!nextTags) return { ok: false, reason: "invalid_tags" };
+  }
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return { ok: false, reason: "invalid_visibility" };
+  }
+  if (caption !== undefined && caption !== null && typeof caption !== "string") {
+    return { ok: false, reason: "invalid_caption" };
+  }
+
+  return inTransaction(async (client) => {
+    const { rows } = await client.query(
+      `SELECT id, user_id, post_type, caption, tags, visibility, mentions,
+              created_at, edited_at
+       FROM posts WHERE id = $1 FOR UPDATE`,
+      [postId],
+    );
+    const post = rows[0];
+    if (!post) return { ok: false, reason: "not_found" };
+    if (String(post.user_id) !== String(userId)) {
+      return { ok: false, reason: "forbidden" };
+    }
+
+    let nextCaption = post.caption;
+    if (caption !== undefined) {
+      nextCaption = caption === null ? null : caption.trim() || null;
+      // a discussion post is its text
+      if (post.post_type === "discussion" && !nextCaption) {
+        return { ok: false, reason: "content_required" };
+      }
+    }
+    const next = {
+      caption: nextCaption,
+      tags: nextTags !== undefined ? nextTags : post.tags || [],
+      visibility: visibility !== undefined ? visibility : post.visibility,
+    };
+
+    if (
+      next.caption === post.caption &&
+      next.visibility === post.visibility &&
+      sameTags(next.tags, post.tags)
+    ) {
+      return { ok: true, changed: false, newMentions: [] };
+    }
+
+    let mentions = post.mentions || [];
+    // a narrower audience can drop mentions too
+    if (next.caption !== post.caption || next.visibility !== post.visibility) {
+      const resolved = await resolveMentions(next.caption, userId, {
+        visibility: next.visibility,
+      });
+      if (!resolved.ok) return { ok: false, reason: "mention_blocked" };
+      mentions = resolved.mentions;
+    }
+    const before = new Set(mentionedUserIds(post.mentions));
+
+    await client.query(
+      `INSERT INTO post_revisions
+         (post_id, caption, tags, visibility, valid_from, edited_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        post.id,
+        post.caption,
+        post.tags || [],
+        post.visibility,
+        post.edited_at || post.created_at,
+        userId,
+      ],
+    );
+    await client.query(
+      `UPDATE posts
+       SET caption = $2, tags = $3, visibility = $4, mentions = $5, edited_at = now()
+       WHERE id = $1`,
+      [post.id, next.caption, next.tags, next.visibility, JSON.stringify(mentions)],
+    );
+    if (!sameTags(next.tags, post.tags)) {
+      await setPostHashtags(client, post.id, next.tags);
+    }
+    return {
+      ok: true,
+      changed: true,
+      newMentions: mentions.filter((m) => !before.has(String(m.user_id))),
+    };
+  });
+}
+
+/**
+ * Current version first, then earlier ones, newest to oldest.
+ * Returns null for unknown posts.
+ */
+async function getPostHistory(postId) {
+  const postRes = await pool.query(
+    `SELECT caption, tags, visibility, created_at, edited_at
+     FROM posts WHERE id = $1`,
+    [postId],
+  );
+  const post = postRes.rows[0];
+  if (!post) return null;
+
+  const { rows } = await pool.query(
+    `SELECT id, caption, tags, visibility, valid_from, replaced_at
+     FROM post_revisions
+     WHERE post_id = $1
+     ORDER BY replaced_at DESC, id DESC`,
+    [postId],
+  );
+
+  return [
+    {
+      current: true,
+      caption: post.caption,
+      tags: post.tags || [],
+      visibility: post.visibility,
+      valid_from: post.edited_at || post.created_at,
+      replaced_at: null,
+    },
+    ...rows.map((r) => ({
+      current: false,
+      revision_id: r.id,
+      caption: r.caption,
+      tags: r.tags || [],
+      visibility: r.visibility,
+      valid_from: r.valid_from,
+      replaced_at: r.replaced_at,
+    })),
+  ];
+}
+
+module.exports = {
+  POST_EDIT_MESSAGES,
+  editPost,
+  getPostHistory,
+};
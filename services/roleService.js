@@ -0,0 +1,121 @@
+// services/roleService.js
+// Roles = the account type (users.user_type: student | professor | club)
+// plus staff roles from user_roles (moderator | admin).
+// Every staff-role change is written to role_audit_log.
+const db = require("../config/db");
+
+const ROLES = ["student", "professor", "club", "moderator", "admin"];
+// the only roles users.user_type can give; staff roles come from user_roles
+const ACCOUNT_ROLES = ["student", "professor", "club"];
+const STAFF_ROLES = ["moderator", "admin"];
+
+// admin implicitly has every permission
+const ROLE_PERMISSIONS = {
+  student: [],
+  club: ["events:create"],
+  professor: ["bookings:manage"],
+  moderator: ["reports:read", "reports:review", "bug_reports:read"],
+  admin: ["*"],
+};
+
+async function getUserRoles(userId) {
+  const { rows } = await db.query(
+    `SELECT u.user_type,
+            COALESCE(ARRAY_AGG(r.role) FILTER (WHERE r.role IS NOT NULL), '{}') AS staff_roles
+     FROM users u
+     LEFT JOIN user_roles r ON r.user_id = u.id
+     WHERE u.id = $1
+     GROUP BY u.id`,
+    [userId],
+  );
+  if (!rows.length) return [];
+
+  const { user_type, staff_roles } = rows[0];
+  const accountRole = ACCOUNT_ROLES.includes(user_type) ? user_type : null;
+  return [...new Set([accountRole, ...staff_roles].filter(Boolean))];
+}
+
+function permissionsFor(roles) {
+  const perms = new Set();
+  for (const role of roles) {
+    (ROLE_PERMISSIONS[role] || []).forEach((p) => perms.add(p));
+  }
+  return perms;
+}
+
+function hasPermission(roles, permission) {
+  const perms = permissionsFor(roles);
+  return perms.has("*") || perms.has(permission);
+}
+
+async function logRoleChange(client, { userId, actorId, action, role, reason }) {
+  await client.query(
+    `INSERT INTO role_audit_log (user_id, actor_id, action, role, reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, actorId || null, action, role, reason || null],
+  );
+}
+
+// run fn(client) inside a single-connection transaction
+async function inTransaction(fn) {
+  const pool = await db.getPool();
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Grant a staff role. Returns false if the user already had it.
+ */
+async function grantRole(userId, role, actorId, reason) {
+  return inTransaction(async (client) => {
+    const ins = await client.query(
+      `INSERT INTO user_roles (user_id, role, granted_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, role) DO NOTHING`,
+      [userId, role, actorId],
+    );
+    if (ins.rowCount === 0) return false;
+
+    await logRoleChange(client, { userId, actorId, action: "grant", role, reason });
+    return true;
+  });
+}
+
+/**
+ * Revoke a staff role. Returns false if the user didn't have it.
+ */
+async function revokeRole(userId, role, actorId, reason) {
+  return inTransaction(async (client) => {
+    const del = await client.query(
+      "DELETE FROM user_roles WHERE user_id = $1 AND role = $2",
+      [userId, role],
+    );
+    if (del.rowCount === 0) return false;
+
+    await logRoleChange(client, { userId, actorId, action: "revoke", role, reason });
+    return true;
+  });
+}
+
+module.exports = {
+  ROLES,
+  ACCOUNT_ROLES,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  getUserRoles,
+  hasPermission,
+  grantRole,
+  revokeRole,
+  logRoleChange,
+  inTransaction,
+};
@@ -0,0 +1,205 @@
+// services/sessionService.js
+// Device sessions: short-lived access JWTs + rotating refresh tokens.
+// Every access token carries the session id (`sid`) so a session can be
+// revoked server-side (logout, lost device, password change).
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const pool = require("../config/db");
+const { disconnectSessions } = require("./socketRegistry");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10,
+);
+
+// Helper: client address as resolved by Express ("trust proxy" in index.js);
+// never read x-forwarded-for directly, clients can put anything in it
+function getClientIp(req) {
+  return req.ip || null;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// refresh token format: "<sessionId>.<secret>" (only the hash is stored)
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(48).toString("base64url");
+  return `${sessionId}.${secret}`;
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string") return null;
+  const dot = refreshToken.indexOf(".");
+  if (dot <= 0) return null;
+  return { sessionId: refreshToken.slice(0, dot) };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      user_type: user.user_type,
+      university: user.university,
+      course: user.course,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  );
+}
+
+/**
+ * Create a new device session for `user` and return the token pair.
+ * `req` is used for device metadata (user agent, ip, optional body.deviceName).
+ */
+async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = buildRefreshToken(sessionId);
+  const deviceName =
+    (req.body && (req.body.deviceName || req.body.device_name)) || null;
+
+  await pool.query(
+    `INSERT INTO user_sessions
+       (id, user_id, refresh_token_hash, device_name, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, now() + ($7 || ' days')::interval)`,
+    [
+      sessionId,
+      user.id,
+      hashToken(refreshToken),
+      deviceName ? String(deviceName).slice(0, 100) : null,
+      req.get("user-agent") || null,
+      getClientIp(req),
+      String(REFRESH_TOKEN_TTL_DAYS),
+    ],
+  );
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    sessionId,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (the old refresh token dies).
+ * Presenting an already-rotated refresh token revokes the whole session,
+ * since that means the token was copied.
+ * Returns null when the refresh token is unknown, expired or revoked.
+ */
+async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const { rows } = await pool.query(
+    `SELECT s.id, s.refresh_token_hash, s.expires_at, s.revoked_at,
+            u.id AS user_id, u.user_type, u.university, u.course
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id::text = $1
+     LIMIT 1`,
+    [parsed.sessionId],
+  );
+  const session = rows[0];
+  if (!session || session.revoked_at) return null;
+  if (new Date(session.expires_at) <= new Date()) return null;
+
+  if (session.refresh_token_hash !== hashToken(refreshToken)) {
+    await revokeSession(session.id, "refresh_token_reuse");
+    return null;
+  }
+
+  const nextRefreshToken = buildRefreshToken(session.id);
+  const upd = await pool.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = $2, last_used_at = now(), ip = COALESCE($3, ip)
+     WHERE id = $1 AND refresh_token_hash = $4 AND revoked_at IS NULL
+     RETURNING id`,
+    [
+      session.id,
+      hashToken(nextRefreshToken),
+      getClientIp(req),
+      session.refresh_token_hash,
+    ],
+  );
+  // lost a race with a concurrent refresh using the same token
+  if (upd.rowCount === 0) return null;
+
+  const user = {
+    id: session.user_id,
+    user_type: session.user_type,
+    university: session.university,
+    course: session.course,
+  };
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: nextRefreshToken,
+    sessionId: session.id,
+  };
+}
+
+async function isSessionActive(sessionId, userId) {
+  if (!sessionId || !userId) return false;
+  const { rows } = await pool.query(
+    `SELECT 1 FROM user_sessions
+     WHERE id = $1 AND user_id = $2
+       AND revoked_at IS NULL
+       AND expires_at > now()
+     LIMIT 1`,
+    [sessionId, userId],
+  );
+  return rows.length > 0;
+}
+
+async function listSessions(userId) {
+  const { rows } = await pool.query(
+    `SELECT id, device_name, user_agent, ip, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > now()
+     ORDER BY last_used_at DESC`,
+    [userId],
+  );
+  return rows;
+}
+
+// Revoke one session. Pass userId to make sure it belongs to that user.
+async function revokeSession(sessionId, reason = "logout", userId = null) {
+  const { rowCount } = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = now(), revoked_reason = $2
+     WHERE id = $1
+       AND revoked_at IS NULL
+       AND ($3::uuid IS NULL OR user_id = $3::uuid)`,
+    [sessionId, reason, userId],
+  );
+  if (rowCount > 0) disconnectSessions([sessionId], reason);
+  return rowCount > 0;
+}
+
+// Revoke every session of a user, optionally keeping the current one.
+async function revokeAllSessions(userId, reason, exceptSessionId = null) {
+  const { rows } = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = now(), revoked_reason = $2
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND ($3::uuid IS NULL OR id <> $3::uuid)
+     RETURNING id`,
+    [userId, reason, exceptSessionId],
+  );
+  const revoked = rows.map((r) => r.id);
+  disconnectSessions(revoked, reason);
+  return revoked;
+}
+
+module.exports = {
+  getClientIp,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,20 @@
+// services/sms/consoleProvider.js
+// Development provider: prints messages instead of sending them.
+
+/**
+ * Provider interface (shared with fileProvider, twilioProvider, ...):
+ *   name
+ *   send({ to, body })  -> resolves once accepted; throws on failure
+ * `to` is always E.164 (see normalizePhone in services/phoneService.js).
+ */
+function createConsoleProvider() {
+  return {
+    name: "console",
+
+    async send({ to, body }) {
+      console.log(`📱 SMS to ${to}: ${body}`);
+    },
+  };
+}
+
+module.exports = createConsoleProvider;
@@ -0,0 +1,21 @@
+// services/sms/fileProvider.js
+// Appends every message as one JSON line to a file, so tests and local
+// tooling can read the codes back.
+const fs = require("fs/promises");
+const path = require("path");
+
+function createFileProvider({ file } = {}) {
+  const outbox = path.resolve(file || "sms-outbox.jsonl");
+
+  return {
+    name: "file",
+    outbox,
+
+    async send({ to, body }) {
+      const line = JSON.stringify({ to, body, sentAt: new Date().toISOString() });
+      await fs.appendFile(outbox, line + "\n", "utf8");
+    },
+  };
+}
+
+module.exports = createFileProvider;
@@ -0,0 +1,53 @@
+// services/sms/index.js
+// One place to send SMS from. The provider is picked from the environment:
+//
+// SMS_PROVIDER=console (default) | file | twilio
+//   file:   SMS_OUTBOX_FILE (default ./sms-outbox.jsonl)
+//   twilio: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM
+// console and file only log the codes, so with NODE_ENV=production a real
+// provider is required and startup fails without one.
+const createConsoleProvider = require("./consoleProvider");
+const createFileProvider = require("./fileProvider");
+const createTwilioProvider = require("./twilioProvider");
+
+const isProduction = process.env.NODE_ENV === "production";
+
+function createProviderFromEnv() {
+  const kind = (process.env.SMS_PROVIDER || "").toLowerCase();
+  if (kind === "twilio") {
+    return createTwilioProvider({
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM,
+    });
+  }
+  if (isProduction) {
+    throw new Error(
+      `SMS_PROVIDER must be a real provider (twilio) in production, got "${kind || "unset"}"`,
+    );
+  }
+  if (kind === "file") {
+    return createFileProvider({ file: process.env.SMS_OUTBOX_FILE });
+  }
+  // any object implementing the interface in consoleProvider.js works
+  return createConsoleProvider();
+}
+
+let provider = createProviderFromEnv();
+
+async function sendSms(to, body) {
+  await provider.send({ to, body });
+}
+
+// swap the provider at runtime (tests, scripts)
+function setSmsProvider(next) {
+  provider = next;
+}
+
+module.exports = {
+  sendSms,
+  setSmsProvider,
+  createConsoleProvider,
+  createFileProvider,
+  createTwilioProvider,
+};
@@ -0,0 +1,33 @@
+// services/sms/twilioProvider.js
+// Twilio Messages API over plain HTTPS (no SDK needed).
+
+function createTwilioProvider({ accountSid, authToken, from }) {
+  if (!accountSid || !authToken || !from) {
+    throw new Error("twilio SMS provider: accountSid, authToken and from are required");
+  }
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const auth = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+
+  return {
+    name: "twilio",
+
+    async send({ to, body }) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${auth}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }),
+      });
+
+      if (!res.ok) {
+        const detail = await res.text().catch(() => "");
+        throw new Error(`twilio SMS failed (${res.status}): ${detail.slice(0, 200)}`);
+      }
+    },
+  };
+}
+
+module.exports = createTwilioProvider;
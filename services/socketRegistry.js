@@ -0,0 +1,24 @@
+// services/socketRegistry.js
+// Holds the socket.io server so non-route code (e.g. session revocation)
+// can reach connected sockets. index.js calls setIo(io) at startup.
+let ioRef = null;
+
+function setIo(io) {
+  ioRef = io;
+}
+
+function getIo() {
+  return ioRef;
+}
+
+// Kick every socket authenticated with one of these session ids
+function disconnectSessions(sessionIds, reason = "session_revoked") {
+  if (!ioRef || !sessionIds || !sessionIds.length) return;
+  for (const sid of sessionIds) {
+    const room = `session:${sid}`;
+    ioRef.to(room).emit("auth:revoked", { reason });
+    ioRef.in(room).disconnectSockets(true);
+  }
+}
+
+module.exports = { setIo, getIo, disconnectSessions };
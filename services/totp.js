@@ -0,0 +1,103 @@
+// services/totp.js
+// Minimal RFC 6238 TOTP (SHA-1, 6 digits, 30s step) — what Google
+// Authenticator, Authy, 1Password etc. expect from an otpauth:// URI.
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx < 0) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160-bit secret, base32 encoded
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Check `code` against the current step ±window.
+ * Returns the matching step (so callers can reject replays) or null.
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const expected = codeForStep(secret, step + i);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))
+    ) {
+      return step + i;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUri({ secret, accountName, issuer = "AroundU" }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  codeForStep,
+  currentStep,
+};
@@ -0,0 +1,310 @@
+// services/twoFactorService.js
+// TOTP enrollment, backup codes, login challenges and role 2FA policy.
+const crypto = require("crypto");
+const pool = require("../config/db");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("./totp");
+const { otpService } = require("./otp");
+const { sendSms } = require("./sms");
+const { getVerifiedPhone, maskPhone } = require("./phoneService");
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+// one-off codes texted to the verified phone when the authenticator is unavailable
+const SMS_FALLBACK_PURPOSE = "2fa_sms";
+
+// ---------- secret encryption (secrets are never stored in plain text) ----------
+function encryptionKey() {
+  return crypto
+    .createHash("sha256")
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString("base64")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, enc] = stored.split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function normalizeBackupCode(code) {
+  return String(code || "").toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+// ---------- enrollment ----------
+async function startEnrollment(userId) {
+  const { rows } = await pool.query(
+    "SELECT email, totp_enabled FROM users WHERE id = $1",
+    [userId],
+  );
+  const user = rows[0];
+  if (!user) return null;
+  if (user.totp_enabled) return { alreadyEnabled: true };
+
+  const secret = generateSecret();
+  await pool.query("UPDATE users SET totp_pending_secret = $1 WHERE id = $2", [
+    encryptSecret(secret),
+    userId,
+  ]);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+  };
+}
+
+async function replaceBackupCodes(userId) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  await pool.query("DELETE FROM user_backup_codes WHERE user_id = $1", [userId]);
+  await pool.query(
+    `INSERT INTO user_backup_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codes.map((c) => sha256(normalizeBackupCode(c)))],
+  );
+  return codes;
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app.
+ * Returns the plain backup codes (shown once) or null if the code is wrong.
+ */
+async function confirmEnrollment(userId, code) {
+  const { rows } = await pool.query(
+    "SELECT totp_pending_secret FROM users WHERE id = $1",
+    [userId],
+  );
+  const pending = rows[0]?.totp_pending_secret;
+  if (!pending) return null;
+
+  const step = verifyTotp(decryptSecret(pending), code);
+  if (step === null) return null;
+
+  await pool.query(
+    `UPDATE users
+     SET totp_secret = totp_pending_secret,
+         totp_pending_secret = NULL,
+         totp_enabled = true,
+         totp_enabled_at = now(),
+         totp_last_step = $2
+     WHERE id = $1`,
+    [userId, step],
+  );
+  return replaceBackupCodes(userId);
+}
+
+async function disable(userId) {
+  await pool.query(
+    `UPDATE users
+     SET totp_secret = NULL, totp_pending_secret = NULL,
+         totp_enabled = false, totp_enabled_at = NULL, totp_last_step = NULL
+     WHERE id = $1`,
+    [userId],
+  );
+  await pool.query("DELETE FROM user_backup_codes WHERE user_id = $1", [userId]);
+}
+
+/**
+ * Check a TOTP code, an unused backup code or an SMS fallback code for an
+ * enrolled user. None of them can be used twice.
+ */
+async function verifySecondFactor(userId, code) {
+  const { rows } = await pool.query(
+    "SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = $1",
+    [userId],
+  );
+  const user = rows[0];
+  if (!user || !user.totp_enabled || !user.totp_secret) return false;
+
+  const step = verifyTotp(decryptSecret(user.totp_secret), code);
+  if (step !== null) {
+    // only accept steps newer than the last one used
+    const upd = await pool.query(
+      `UPDATE users SET totp_last_step = $2
+       WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+      [userId, step],
+    );
+    return upd.rowCount > 0;
+  }
+
+  const backup = normalizeBackupCode(code);
+  if (backup.length === 8) {
+    const used = await pool.query(
+      `UPDATE user_backup_codes SET used_at = now()
+       WHERE id = (
+         SELECT id FROM user_backup_codes
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         LIMIT 1
+       )
+       RETURNING id`,
+      [userId, sha256(backup)],
+    );
+    if (used.rowCount > 0) return true;
+  }
+
+  const sms = await otpService.verify({
+    purpose: SMS_FALLBACK_PURPOSE,
+    identifier: String(userId),
+    code,
+  });
+  return sms.ok;
+}
+
+/**
+ * Text a one-off 2FA code to the user's verified phone.
+ * Returns { ok: true, sentTo } or { ok: false, reason: 'no_phone' | OTP send reasons }
+ */
+async function sendSmsFallbackCode(userId, ip = null) {
+  const phone = await getVerifiedPhone(userId);
+  if (!phone) return { ok: false, reason: "no_phone" };
+
+  const issued = await otpService.issue({
+    purpose: SMS_FALLBACK_PURPOSE,
+    identifier: String(userId),
+    ip,
+  });
+  if (!issued.ok) return issued;
+
+  await sendSms(
+    phone,
+    `Your AroundU sign-in code is ${issued.code}. It expires in ${otpService.ttlMinutes} minutes.`,
+  );
+  return { ok: true, sentTo: maskPhone(phone) };
+}
+
+async function getStatus(userId) {
+  const { rows } = await pool.query(
+    `SELECT u.totp_enabled, u.totp_enabled_at,
+            (SELECT COUNT(*)::int FROM user_backup_codes b
+             WHERE b.user_id = u.id AND b.used_at IS NULL) AS backup_codes_left
+     FROM users u WHERE u.id = $1`,
+    [userId],
+  );
+  return rows[0] || null;
+}
+
+// ---------- login challenges ----------
+async function createChallenge(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO two_factor_challenges (user_id, token_hash, expires_at)
+     VALUES ($1, $2, now() + ($3 || ' minutes')::interval)`,
+    [userId, sha256(token), String(CHALLENGE_TTL_MINUTES)],
+  );
+  return { challengeToken: token, expiresInMinutes: CHALLENGE_TTL_MINUTES };
+}
+
+// user behind a still-usable challenge (doesn't spend an attempt), or null
+async function getChallengeUserId(challengeToken) {
+  if (!challengeToken) return null;
+  const { rows } = await pool.query(
+    `SELECT user_id FROM two_factor_challenges
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > now() AND attempts < $2`,
+    [sha256(String(challengeToken)), CHALLENGE_MAX_ATTEMPTS],
+  );
+  return rows[0]?.user_id || null;
+}
+
+/**
+ * Exchange a challenge token + code.
+ * Returns { ok: true, userId } or { ok: false, reason: 'invalid_challenge' | 'invalid_code' }
+ * (userId is also set for invalid_code so callers can throttle the account)
+ */
+async function completeChallenge(challengeToken, code) {
+  if (!challengeToken) return { ok: false, reason: "invalid_challenge" };
+
+  const { rows } = await pool.query(
+    `UPDATE two_factor_challenges
+     SET attempts = attempts + 1
+     WHERE token_hash = $1
+       AND used_at IS NULL
+       AND expires_at > now()
+       AND attempts < $2
+     RETURNING id, user_id`,
+    [sha256(String(challengeToken)), CHALLENGE_MAX_ATTEMPTS],
+  );
+  const challenge = rows[0];
+  if (!challenge) return { ok: false, reason: "invalid_challenge" };
+
+  const valid = await verifySecondFactor(challenge.user_id, code);
+  if (!valid) {
+    return { ok: false, reason: "invalid_code", userId: challenge.user_id };
+  }
+
+  await pool.query(
+    "UPDATE two_factor_challenges SET used_at = now() WHERE id = $1",
+    [challenge.id],
+  );
+  return { ok: true, userId: challenge.user_id };
+}
+
+// ---------- role policy ----------
+async function getRolePolicies() {
+  const { rows } = await pool.query(
+    "SELECT role, required, updated_by, updated_at FROM role_2fa_policies ORDER BY role",
+  );
+  return rows;
+}
+
+async function setRolePolicy(role, required, actorId) {
+  const { rows } = await pool.query(
+    `INSERT INTO role_2fa_policies (role, required, updated_by, updated_at)
+     VALUES ($1, $2, $3, now())
+     ON CONFLICT (role) DO UPDATE
+       SET required = EXCLUDED.required,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = now()
+     RETURNING role, required, updated_by, updated_at`,
+    [role, Boolean(required), actorId],
+  );
+  return rows[0];
+}
+
+// true when one of `roles` requires 2FA but the user hasn't enrolled
+async function isSetupRequired(userId, roles) {
+  if (!roles || !roles.length) return false;
+  const { rows } = await pool.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM role_2fa_policies
+       WHERE required = true AND role = ANY($2::text[])
+     ) AND NOT COALESCE((SELECT totp_enabled FROM users WHERE id = $1), false)
+     AS setup_required`,
+    [userId, roles],
+  );
+  return Boolean(rows[0]?.setup_required);
+}
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  disable,
+  verifySecondFactor,
+  replaceBackupCodes,
+  getStatus,
+  sendSmsFallbackCode,
+  createChallenge,
+  getChallengeUserId,
+  completeChallenge,
+  getRolePolicies,
+  setRolePolicy,
+  isSetupRequired,
+};
@@ -0,0 +1,115 @@
+// services/universityDomainService.js
+// University email-domain policy used at registration.
+//
+// UNIVERSITY_EMAIL_POLICY:
+//   strict (default) - email domain must belong to the selected university
+//   flag             - anyone can register, but only matching emails can
+//                      become verified_student
+//   off              - no domain matching at all
+const jwt = require("jsonwebtoken");
+const pool = require("../config/db");
+
+const POLICIES = ["strict", "flag", "off"];
+const EMAIL_VERIFICATION_TTL = "30m";
+
+function getDomainPolicy() {
+  const policy = (process.env.UNIVERSITY_EMAIL_POLICY || "strict")
+    .toLowerCase()
+    .trim();
+  return POLICIES.includes(policy) ? policy : "strict";
+}
+
+function emailDomainOf(email) {
+  const at = (email || "").lastIndexOf("@");
+  if (at < 0) return null;
+  return email.slice(at + 1).toLowerCase().trim() || null;
+}
+
+// cs.uni.edu matches uni.edu only when the row allows subdomains
+function domainMatches(emailDomain, { domain, allow_subdomains }) {
+  if (!emailDomain || !domain) return false;
+  const d = domain.toLowerCase();
+  if (emailDomain === d) return true;
+  return Boolean(allow_subdomains) && emailDomain.endsWith(`.${d}`);
+}
+
+/**
+ * Look up a university by name and check `email` against its domains.
+ * Returns { universityFound, domains: [...], matched }
+ */
+async function checkUniversityEmail(email, university) {
+  const { rows } = await pool.query(
+    `SELECT u.name, d.domain, d.allow_subdomains
+     FROM universities u
+     LEFT JOIN university_domains d ON d.university = u.name
+     WHERE u.name = $1`,
+    [university],
+  );
+
+  if (!rows.length) {
+    return { universityFound: false, domains: [], matched: false };
+  }
+
+  const domainRows = rows.filter((r) => r.domain);
+  const emailDomain = emailDomainOf(email);
+
+  return {
+    universityFound: true,
+    domains: domainRows.map((r) => r.domain),
+    matched: domainRows.some((r) => domainMatches(emailDomain, r)),
+  };
+}
+
+// Short-lived proof (returned by OTP verify) that the caller owns `email`
+function signEmailVerificationToken(email) {
+  return jwt.sign(
+    { email: email.toLowerCase().trim(), purpose: "email_verification" },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL },
+  );
+}
+
+function isEmailVerificationTokenValid(token, email) {
+  if (!token || !email) return false;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return (
+      decoded.purpose === "email_verification" &&
+      decoded.email === email.toLowerCase().trim()
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Mark a user as a verified student if their email matches their university.
+ * Call only after the email has been proven via OTP.
+ */
+async function markVerifiedStudent(userId) {
+  const { rows } = await pool.query(
+    "SELECT email, university FROM users WHERE id = $1 LIMIT 1",
+    [userId],
+  );
+  const user = rows[0];
+  if (!user || !user.university) return false;
+
+  const check = await checkUniversityEmail(user.email, user.university);
+  if (!check.matched) return false;
+
+  await pool.query(
+    `UPDATE users
+     SET verified_student = true, student_verified_at = COALESCE(student_verified_at, now())
+     WHERE id = $1`,
+    [userId],
+  );
+  return true;
+}
+
+module.exports = {
+  getDomainPolicy,
+  checkUniversityEmail,
+  signEmailVerificationToken,
+  isEmailVerificationTokenValid,
+  markVerifiedStudent,
+};
@@ -0,0 +1,324 @@
+// services/videoProcessingService.js
+// Video posts: the upload is stored as-is (video_source_key) and the post is
+// created with media_status = 'processing'. A background worker then
+//   1. probes it and enforces VIDEO_MAX_DURATION_SECONDS,
+//   2. transcodes it to MP4/H.264 and grabs a poster frame (services/ffmpeg),
+//   3. uploads both, marks the post 'ready' and notifies the owner.
+// Jobs live in the posts table itself, so a restart only delays them: a job
+// whose worker died is picked up again after STALE_JOB_MINUTES, up to
+// MAX_ATTEMPTS times.
+const fs = require("fs");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const AWS = require("aws-sdk");
+const pool = require("../config/db");
+const deleteFromS3 = require("../config/s3Delete");
+const generatePresignedUrl = require("../config/generatePresignedUrl");
+const notify = require("../routes/notify");
+const { getIo } = require("./socketRegistry");
+const {
+  isAllowedFormat,
+  probe,
+  transcodeToMp4,
+  extractPoster,
+} = require("./ffmpeg");
+const { notifyMentions } = require("./mentionService");
+const { setPostHashtags } = require("./hashtagService");
+
+const s3 = new AWS.S3({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION,
+});
+
+const VIDEO_MAX_BYTES =
+  Number(process.env.VIDEO_MAX_BYTES) || 100 * 1024 * 1024;
+const VIDEO_MAX_DURATION_SECONDS =
+  Number(process.env.VIDEO_MAX_DURATION_SECONDS) || 60;
+const VIDEO_MAX_SIDE = 720; // rendition is at most 720p
+const MAX_ATTEMPTS = 3;
+const STALE_JOB_MINUTES = 30;
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// failures that retrying won't fix
+class VideoRejectedError extends Error {}
+
+/**
+ * Public video fields of a posts row (all null for non-video posts).
+ * URLs are only handed out once the rendition is ready.
+ */
+function videoFields(post) {
+  const ready = post.post_type === "video" && post.media_status === "ready";
+  return {
+    media_status: post.media_status || null,
+    media_error: post.media_status === "failed" ? post.media_error : null,
+    video_url: ready ? generatePresignedUrl(post.video_url) : null,
+    poster_url: ready ? generatePresignedUrl(post.poster_url) : null,
+    video_duration_seconds:
+      post.video_duration_seconds != null
+        ? Number(post.video_duration_seconds)
+        : null,
+    video_width: post.video_width || null,
+    video_height: post.video_height || null,
+  };
+}
+
+// ---------- S3 ----------
+async function uploadFile(file, key, contentType) {
+  await s3
+    .upload({
+      Bucket: process.env.S3_BUCKET_NAME,
+      Key: key,
+      Body: fs.createReadStream(file),
+      ContentType: contentType,
+      CacheControl: "public, max-age=31536000, immutable",
+    })
+    .promise();
+  return key;
+}
+
+async function downloadFile(key, file) {
+  await pipeline(
+    s3
+      .getObject({ Bucket: process.env.S3_BUCKET_NAME, Key: key })
+      .createReadStream(),
+    fs.createWriteStream(file),
+  );
+}
+
+/**
+ * Create a video post from a multer disk upload ({ path, mimetype, size,
+ * originalname }). The temp file is removed either way.
+ * Returns the new posts row (media_status = 'processing').
+ */
+async function createVideoPost({
+  userId,
+  file,
+  caption,
+  tags,
+  visibility,
+  mentions = [],
+}) {
+  try {
+    const ext = path.extname(file.originalname || "").toLowerCase().slice(0, 8);
+    const sourceKey = await uploadFile(
+      file.path,
+      `videos/source/${crypto.randomUUID()}${ext}`,
+      file.mimetype,
+    );
+
+    const { rows } = await pool.query(
+      `INSERT INTO posts
+         (user_id, image_url, caption, tags, is_boosted, post_type, visibility,
+          media_status, video_source_key, mentions)
+       VALUES ($1, NULL, $2, $3, false, 'video', $4, 'processing', $5, $6)
+       RETURNING *`,
+      [userId, caption, tags, visibility, sourceKey, JSON.stringify(mentions)],
+    );
+    await setPostHashtags(pool, rows[0].id, tags);
+
+    setImmediate(runPendingJobs);
+    return rows[0];
+  } finally {
+    fsp.unlink(file.path).catch(() => {});
+  }
+}
+
+// ---------- jobs ----------
+async function claimNextJob() {
+  const { rows } = await pool.query(
+    `UPDATE posts
+     SET media_job_started_at = now(), media_attempts = media_attempts + 1
+     WHERE id = (
+       SELECT id FROM posts
+       WHERE media_status = 'processing'
+         AND media_attempts < $1
+         AND (media_job_started_at IS NULL
+              OR media_job_started_at < now() - ($2 || ' minutes')::interval)
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING id, user_id, video_source_key, media_attempts`,
+    [MAX_ATTEMPTS, String(STALE_JOB_MINUTES)],
+  );
+  return rows[0] || null;
+}
+
+async function processJob(job) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "aroundu-video-"));
+  try {
+    const source = path.join(dir, "source");
+    const output = path.join(dir, "video.mp4");
+    const posterFile = path.join(dir, "poster.jpg");
+
+    await downloadFile(job.video_source_key, source);
+
+    let info;
+    try {
+      info = await probe(source);
+    } catch (err) {
+      throw new VideoRejectedError("Unreadable video file");
+    }
+    // playlists (hls, concat, ...) never get to ffmpeg
+    if (!isAllowedFormat(info.formatName)) {
+      throw new VideoRejectedError("Unsupported video format");
+    }
+    if (!info.hasVideo) throw new VideoRejectedError("No video stream found");
+    if (info.durationSeconds > VIDEO_MAX_DURATION_SECONDS + 0.5) {
+      throw new VideoRejectedError(
+        `Video is longer than ${VIDEO_MAX_DURATION_SECONDS} seconds`,
+      );
+    }
+
+    await transcodeToMp4(source, output, {
+      maxSide: VIDEO_MAX_SIDE,
+      maxDurationSeconds: VIDEO_MAX_DURATION_SECONDS,
+    });
+    await extractPoster(output, posterFile, {
+      atSeconds: Math.min(1, info.durationSeconds / 2),
+      maxSide: VIDEO_MAX_SIDE,
+    });
+
+    const { size } = await fsp.stat(output);
+    if (size > VIDEO_MAX_BYTES) {
+      throw new VideoRejectedError("Video is too large after processing");
+    }
+    const rendition = await probe(output);
+
+    const base = `videos/${job.id}/${crypto.randomUUID()}`;
+    const videoKey = await uploadFile(output, `${base}.mp4`, "video/mp4");
+    const posterKey = await uploadFile(posterFile, `${base}.jpg`, "image/jpeg");
+
+    const { rows: ready } = await pool.query(
+      `UPDATE posts
+       SET media_status = 'ready', media_error = NULL, video_url = $2,
+           poster_url = $3, video_duration_seconds = $4, video_width = $5,
+           video_height = $6, video_source_key = NULL
+       WHERE id = $1 AND media_status = 'processing'
+       RETURNING caption, mentions`,
+      [
+        job.id,
+        videoKey,
+        posterKey,
+        rendition.durationSeconds,
+        rendition.width,
+        rendition.height,
+      ],
+    );
+
+    if (!ready.length) {
+      // the post was deleted while we were working on it
+      await deleteFromS3([videoKey, posterKey, job.video_source_key]);
+      return;
+    }
+
+    await deleteFromS3([job.video_source_key]).catch((err) =>
+      console.error("video source cleanup failed:", job.id, err && err.message),
+    );
+    await notify(getIo(), {
+      toUserId: job.user_id,
+      type: "video_ready",
+      entityId: job.id,
+      entityType: "post",
+    });
+    // mentions only go out once others can actually see the video
+    await notifyMentions({
+      mentions: ready[0].mentions,
+      actorId: job.user_id,
+      postId: job.id,
+      text: ready[0].caption,
+    });
+  } finally {
+    fsp.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+async function failJob(job, err) {
+  const permanent =
+    err instanceof VideoRejectedError || job.media_attempts >= MAX_ATTEMPTS;
+
+  if (!permanent) {
+    // let the next run retry it
+    await pool.query(
+      "UPDATE posts SET media_job_started_at = NULL, media_error = $2 WHERE id = $1",
+      [job.id, String(err && err.message).slice(0, 500)],
+    );
+    return;
+  }
+
+  const reason =
+    err instanceof VideoRejectedError ? err.message : "Video processing failed";
+  const { rowCount } = await pool.query(
+    `UPDATE posts
+     SET media_status = 'failed', media_error = $2, video_source_key = NULL
+     WHERE id = $1 AND media_status = 'processing'`,
+    [job.id, reason],
+  );
+  await deleteFromS3([job.video_source_key]).catch(() => {});
+
+  if (rowCount) {
+    await notify(getIo(), {
+      toUserId: job.user_id,
+      type: "video_failed",
+      entityId: job.id,
+      entityType: "post",
+      data: { reason },
+    });
+  }
+}
+
+// jobs left 'processing' after their last attempt died with the worker
+async function failAbandonedJobs() {
+  await pool.query(
+    `UPDATE posts
+     SET media_status = 'failed', media_error = 'Video processing failed'
+     WHERE media_status = 'processing'
+       AND media_attempts >= $1
+       AND media_job_started_at < now() - ($2 || ' minutes')::interval`,
+    [MAX_ATTEMPTS, String(STALE_JOB_MINUTES)],
+  );
+}
+
+// one video at a time: ffmpeg already uses every core it gets
+let running = false;
+
+async function runPendingJobs() {
+  if (running) return;
+  running = true;
+  try {
+    await failAbandonedJobs();
+    for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+      try {
+        await processJob(job);
+      } catch (err) {
+        console.error("video job failed:", job.id, err && err.message);
+        await failJob(job, err).catch((e) =>
+          console.error("video job bookkeeping failed:", job.id, e),
+        );
+      }
+    }
+  } catch (err) {
+    console.error("video worker run failed:", err);
+  } finally {
+    running = false;
+  }
+}
+
+// called once from index.js
+function startVideoWorker() {
+  setTimeout(runPendingJobs, 10 * 1000).unref();
+  setInterval(runPendingJobs, POLL_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  VIDEO_MAX_BYTES,
+  VIDEO_MAX_DURATION_SECONDS,
+  videoFields,
+  createVideoPost,
+  runPendingJobs,
+  startVideoWorker,
+};